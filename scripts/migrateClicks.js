@@ -0,0 +1,88 @@
+/**
+ * One-off migration: move click events embedded in `urls.clicks` into the
+ * `clicks` collection and drop the embedded array.
+ *
+ * Safe to re-run: clicks are upserted on (shortcode, ts, ip), so a run that
+ * was interrupted half way will not duplicate anything.
+ *
+ * Usage: node scripts/migrateClicks.js [--batch-size=500]
+ */
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+
+const parseBatchSize = () => {
+  const arg = process.argv.find(a => a.startsWith('--batch-size='));
+  const size = arg ? Number(arg.split('=')[1]) : 500;
+  return Number.isInteger(size) && size > 0 ? size : 500;
+};
+
+const migrateUrl = async(urlDoc, batchSize) => {
+  const clicks = urlDoc.clicks || [];
+
+  for (let i = 0; i < clicks.length; i += batchSize) {
+    const ops = clicks.slice(i, i + batchSize).map(click => ({
+      updateOne: {
+        filter: { shortcode: urlDoc.shortcode, ts: click.ts, ip: click.ip },
+        update: {
+          $setOnInsert: Click.describe({
+            shortcode: urlDoc.shortcode,
+            ts: click.ts,
+            ip: click.ip,
+            referrer: click.referrer || null,
+            userAgent: click.userAgent || null,
+            country: click.country || null
+          })
+        },
+        upsert: true
+      }
+    }));
+    await Click.bulkWrite(ops, { ordered: false });
+  }
+
+  // clickCount was always kept equal to clicks.length, but make sure of it
+  await Url.collection.updateOne(
+    { _id: urlDoc._id },
+    {
+      $unset: { clicks: '' },
+      $max: { clickCount: clicks.length }
+    }
+  );
+
+  return clicks.length;
+};
+
+const run = async() => {
+  const batchSize = parseBatchSize();
+
+  await mongoose.connect(config.mongoUrl);
+  console.log('[Migration] Connected to MongoDB');
+
+  await Click.syncIndexes();
+
+  // Read the raw collection: the Url schema no longer declares `clicks`
+  const cursor = Url.collection.find(
+    { clicks: { $exists: true } },
+    { projection: { shortcode: 1, clicks: 1 } }
+  );
+
+  let urls = 0;
+  let moved = 0;
+  for await (const urlDoc of cursor) {
+    moved += await migrateUrl(urlDoc, batchSize);
+    urls++;
+    if (urls % 100 === 0) {
+      console.log(`[Migration] ${urls} URLs processed, ${moved} clicks moved`);
+    }
+  }
+
+  console.log(`[Migration] Done: ${urls} URLs processed, ${moved} clicks moved`);
+};
+
+run()
+  .catch(error => {
+    console.error('[Migration] Failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,97 @@
+/**
+ * Local stand-in for the AffordMed auth and log endpoints, for trying out the
+ * log spool and shipper without the real service.
+ *
+ * Point the service at it:
+ *   LOG_AUTH_URL=http://localhost:4000/auth LOGS_URL=http://localhost:4000/logs
+ * (the other LOG_* variables only need to be non-empty).
+ *
+ * Received entries are printed, one JSON line each. To test outages and
+ * retries, --fail-rate=0.3 answers that share of log requests with a 503, and
+ * --token-ttl=10 expires tokens after 10 seconds so that 401s occur.
+ *
+ * Usage: node scripts/mockLogServer.js [--port=4000] [--fail-rate=0] [--token-ttl=3600]
+ *
+ * The tests in tests/ start it in-process through createMockLogServer().
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+const parseArg = (name, fallback) => {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  const value = arg ? Number(arg.split('=')[1]) : fallback;
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Build the mock service. Tests start it on a free port and change
+ * state.failRate while it runs.
+ * @param {object} options - { failRate, tokenTtlMs, onEntry(entry, state) called for every accepted entry }
+ * @returns {object} { app, state }, state holding failRate and the received entries
+ */
+const createMockLogServer = ({ failRate = 0, tokenTtlMs = 3600 * 1000, onEntry = () => {} } = {}) => {
+  const state = { failRate, received: [] };
+  const tokens = new Map();
+
+  const app = express();
+  app.use(express.json());
+
+  app.post('/auth', (req, res) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    tokens.set(token, Date.now() + tokenTtlMs);
+    res.json({ token });
+  });
+
+  app.post('/logs', (req, res) => {
+    const header = req.get('authorization') || '';
+    const token = header.replace(/^Bearer /, '');
+    const expiresAt = tokens.get(token);
+
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({ message: 'invalid token' });
+    }
+
+    if (Math.random() < state.failRate) {
+      return res.status(503).json({ message: 'simulated outage' });
+    }
+
+    const { stack, level, package: packageName, message } = req.body || {};
+    if (!stack || !level || !packageName || !message) {
+      return res.status(400).json({ message: 'stack, level, package and message are required' });
+    }
+
+    state.received.push(req.body);
+    onEntry(req.body, state);
+    res.json({ logID: crypto.randomUUID(), message: 'log created successfully' });
+  });
+
+  return { app, state };
+};
+
+if (require.main === module) {
+  const port = parseArg('port', 4000);
+  const failRate = parseArg('fail-rate', 0);
+  const tokenTtlMs = parseArg('token-ttl', 3600) * 1000;
+
+  const { app, state } = createMockLogServer({
+    failRate,
+    tokenTtlMs,
+    onEntry: entry => console.log(JSON.stringify(entry))
+  });
+
+  const server = app.listen(port, () => {
+    console.error(`[MockLogServer] Listening on port ${port} (fail rate ${failRate})`);
+  });
+
+  const shutdown = () => {
+    console.error(`[MockLogServer] Received ${state.received.length} log entries`);
+    server.close(() => process.exit(0));
+  };
+
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = {
+  createMockLogServer
+};
@@ -0,0 +1,175 @@
+/* eslint-env browser */
+
+/**
+ * API explorer: renders the operations of /api/openapi.json and sends test
+ * requests. DOM nodes are built with createElement only and listeners are
+ * attached here, so the page needs no inline script or handler.
+ */
+(function() {
+  'use strict';
+
+  const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+  const element = (tag, attributes = {}, children = []) => {
+    const node = document.createElement(tag);
+    for (const [name, value] of Object.entries(attributes)) {
+      if (name === 'text') {
+        node.textContent = value;
+      } else {
+        node.setAttribute(name, value);
+      }
+    }
+    for (const child of children) {
+      node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    }
+    return node;
+  };
+
+  let fieldCount = 0;
+
+  const field = (label, input) => {
+    fieldCount += 1;
+    input.id = `field-${fieldCount}`;
+    return element('div', {}, [element('label', { for: input.id, text: label }), input]);
+  };
+
+  const jsonMediaType = (content) => Object.keys(content || {}).find(type => type === 'application/json');
+
+  const renderResult = (output, response, text) => {
+    output.textContent = '';
+    if (response.type === 'opaqueredirect') {
+      output.appendChild(element('pre', { text: 'Redirect (not followed)' }));
+      return;
+    }
+
+    const headers = [];
+    response.headers.forEach((value, name) => headers.push(`${name}: ${value}`));
+
+    let body = text;
+    try {
+      body = JSON.stringify(JSON.parse(text), null, 2);
+    } catch (error) {
+      // Not JSON; shown as is
+    }
+
+    output.appendChild(element('pre', { text: `${response.status} ${response.statusText}\n${headers.join('\n')}` }));
+    output.appendChild(element('pre', { text: body }));
+  };
+
+  const renderOperation = (spec, path, method, operation) => {
+    const parameters = operation.parameters || [];
+    const inputs = parameters.map(parameter => ({
+      parameter,
+      input: element('input', {
+        type: 'text',
+        placeholder: parameter.description || (parameter.schema && parameter.schema.type) || ''
+      })
+    }));
+
+    const bodyType = operation.requestBody && jsonMediaType(operation.requestBody.content);
+    const bodyInput = bodyType ? element('textarea', { spellcheck: 'false' }) : null;
+    if (bodyInput) {
+      bodyInput.value = '{}';
+    }
+
+    const output = element('div');
+    const send = element('button', { type: 'submit', text: 'Send' });
+    const form = element('form', {}, [
+      ...inputs.map(({ parameter, input }) => field(`${parameter.name} (${parameter.in})`, input)),
+      ...(bodyInput ? [field('Body (application/json)', bodyInput)] : []),
+      send
+    ]);
+
+    form.addEventListener('submit', async(event) => {
+      event.preventDefault();
+
+      let url = path;
+      const query = new URLSearchParams();
+      const headers = {};
+
+      for (const { parameter, input } of inputs) {
+        if (input.value === '') {
+          continue;
+        }
+        if (parameter.in === 'path') {
+          url = url.replace(`{${parameter.name}}`, encodeURIComponent(input.value));
+        } else if (parameter.in === 'query') {
+          query.set(parameter.name, input.value);
+        } else if (parameter.in === 'header') {
+          headers[parameter.name] = input.value;
+        }
+      }
+
+      const apiKey = document.getElementById('api-key').value;
+      if (operation.security && apiKey) {
+        headers[spec.components.securitySchemes.apiKey.name] = apiKey;
+      }
+      if (bodyInput) {
+        headers['Content-Type'] = bodyType;
+      }
+
+      send.disabled = true;
+      try {
+        const response = await fetch(query.toString() ? `${url}?${query}` : url, {
+          method: method.toUpperCase(),
+          headers,
+          body: bodyInput ? bodyInput.value : undefined,
+          redirect: 'manual'
+        });
+        renderResult(output, response, await response.text());
+      } catch (error) {
+        output.textContent = '';
+        output.appendChild(element('p', { class: 'error', text: `Request failed: ${error.message}` }));
+      } finally {
+        send.disabled = false;
+      }
+    });
+
+    const responses = Object.entries(operation.responses || {})
+      .map(([status, response]) => element('li', { text: `${status}: ${response.description}` }));
+
+    return element('details', {}, [
+      element('summary', {}, [
+        element('span', { class: 'method', text: method }),
+        element('code', { text: path }),
+        ` ${operation.summary || ''}`
+      ]),
+      ...(operation.description ? [element('p', { text: operation.description })] : []),
+      element('ul', {}, responses),
+      form,
+      output
+    ]);
+  };
+
+  const render = (spec) => {
+    const container = document.getElementById('operations');
+    container.textContent = '';
+
+    for (const tag of spec.tags || []) {
+      const operations = [];
+      for (const [path, item] of Object.entries(spec.paths)) {
+        for (const method of METHODS) {
+          if (item[method] && (item[method].tags || []).includes(tag.name)) {
+            operations.push(renderOperation(spec, path, method, item[method]));
+          }
+        }
+      }
+
+      if (operations.length > 0) {
+        container.appendChild(element('h2', { text: tag.name }));
+        container.appendChild(element('p', { text: tag.description || '' }));
+        operations.forEach(operation => container.appendChild(operation));
+      }
+    }
+  };
+
+  fetch('/api/openapi.json')
+    .then(response => response.json())
+    .then(render)
+    .catch(error => {
+      const container = document.getElementById('operations');
+      container.textContent = '';
+      const message = `Failed to load the specification: ${error.message}`;
+      container.appendChild(element('p', { class: 'error', text: message }));
+    });
+})();
@@ -1,34 +1,293 @@
 require('dotenv').config();
 
+const DEFAULT_BASE_URL = 'http://localhost:3000';
+
+/**
+ * Base URL of short links: BASE_URL, or HOSTNAME when it is a full URL.
+ * Shells and Docker set HOSTNAME to the bare machine name, which is ignored.
+ * @returns {URL}
+ */
+function resolveBaseUrl() {
+  for (const candidate of [process.env.BASE_URL, process.env.HOSTNAME]) {
+    try {
+      const url = new URL(candidate);
+      if (url.protocol === 'http:' || url.protocol === 'https:') {
+        return url;
+      }
+    } catch (error) {
+      // Not an absolute URL
+    }
+  }
+
+  return new URL(DEFAULT_BASE_URL);
+}
+
+const baseUrl = resolveBaseUrl();
+
 const config = {
   port: process.env.PORT || 3000,
   mongoUrl: process.env.MONGO_URL || 'mongodb://localhost:27017/urlshortener',
-  hostname: process.env.HOSTNAME || 'http://localhost:3000',
+  // Always an absolute URL without a trailing slash
+  hostname: baseUrl.origin + baseUrl.pathname.replace(/\/+$/, ''),
+  // Host part of hostname, lowercased
+  baseHostname: baseUrl.hostname.toLowerCase(),
   
   
   logging: {
-    authUrl: process.env.LOG_AUTH_URL,
-    logsUrl: process.env.LOGS_URL,
-    accessCode: process.env.LOG_ACCESS_CODE,
-    clientId: process.env.LOG_CLIENT_ID,
-    clientSecret: process.env.LOG_CLIENT_SECRET,
-    email: process.env.LOG_EMAIL,
-    name: process.env.LOG_NAME,
-    rollNo: process.env.LOG_ROLLNO
+    // Comma separated: console, file, http, syslog, stdout-json
+    transports: (process.env.LOG_TRANSPORTS || 'http').split(',').map(name => name.trim()).filter(Boolean),
+
+    console: {
+      minLevel: process.env.LOG_CONSOLE_LEVEL || 'info'
+    },
+
+    file: {
+      minLevel: process.env.LOG_FILE_LEVEL || 'info',
+      path: process.env.LOG_FILE_PATH || 'logs/app.log'
+    },
+
+    // AffordMed log service, authenticated with a bearer token
+    http: {
+      minLevel: process.env.LOG_HTTP_LEVEL || 'debug',
+      authUrl: process.env.LOG_AUTH_URL,
+      logsUrl: process.env.LOGS_URL,
+      accessCode: process.env.LOG_ACCESS_CODE,
+      clientId: process.env.LOG_CLIENT_ID,
+      clientSecret: process.env.LOG_CLIENT_SECRET,
+      email: process.env.LOG_EMAIL,
+      name: process.env.LOG_NAME,
+      rollNo: process.env.LOG_ROLLNO,
+      // Log entries are spooled to disk and shipped in the background
+      spool: {
+        dir: process.env.LOG_SPOOL_DIR || 'data/log-spool',
+        maxSegmentBytes: 1024 * 1024,
+        maxBytes: Number(process.env.LOG_SPOOL_MAX_BYTES || 100 * 1024 * 1024),
+        batchSize: 50,
+        shipIntervalMs: 1000,
+        retryBaseMs: 1000,
+        retryMaxMs: 60 * 1000
+      }
+    },
+
+    syslog: {
+      minLevel: process.env.LOG_SYSLOG_LEVEL || 'info',
+      host: process.env.SYSLOG_HOST || 'localhost',
+      port: Number(process.env.SYSLOG_PORT || 514),
+      protocol: process.env.SYSLOG_PROTOCOL || 'udp',
+      facility: process.env.SYSLOG_FACILITY || 'local0',
+      appName: 'url-shortener'
+    },
+
+    stdoutJson: {
+      minLevel: process.env.LOG_STDOUT_LEVEL || 'info'
+    }
   },
 
- 
   shortcode: {
     defaultLength: 6,
     minCustomLength: 4,
     maxCustomLength: 20,
     maxRetries: 5,
-    base62Chars: '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'
+    base62Chars: '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    // First path segments of the service's own routes, which take precedence over
+    // GET /:shortcode. Matched case-insensitively, like Express routes.
+    reserved: ['admin', 'api', 'health', 'metrics', 'shorturls']
   },
 
  
   defaultValidityMinutes: 30,
 
+  auth: {
+    header: 'X-API-Key',
+    keyPrefix: 'usk_',
+    keyBytes: 24,
+    // Bootstrap key for the admin API, used to issue the first keys
+    adminKey: process.env.ADMIN_API_KEY,
+    adminOwner: 'admin'
+  },
+
+  maxClicksLimit: 1000000000,
+
+  variants: {
+    minVariants: 2,
+    maxVariants: 10,
+    maxWeight: 1000,
+    // Visitor id cookie used to keep each visitor on the same variant
+    cookieName: 'sl_vid',
+    cookieMaxAgeMs: 365 * 24 * 60 * 60 * 1000
+  },
+
+  redirects: {
+    // Statuses a link may redirect with; 307 and 308 keep the request method
+    statuses: [301, 302, 307, 308],
+    defaultStatus: 302,
+    // What happens when a visitor's query parameter is already in the destination
+    queryConflicts: ['keep', 'override', 'append'],
+    // UTM tags a link may add, sent as utm_<field>
+    utmFields: ['source', 'medium', 'campaign', 'term', 'content'],
+    maxUtmLength: 200
+  },
+
+  // Branded short-link domains, see services/domainService. Links without a
+  // domain belong to the host of `hostname`.
+  domains: {
+    // Scheme of short links on registered domains
+    protocol: process.env.DOMAIN_PROTOCOL || 'https',
+    // How often the registry is reloaded, so domains added on another instance take effect
+    refreshMs: 30 * 1000
+  },
+
+  qr: {
+    formats: ['png', 'svg'],
+    defaultFormat: 'png',
+    // Width and height in pixels, including the margin
+    minSize: 64,
+    maxSize: 2000,
+    defaultSize: 300,
+    // Quiet zone around the code, in modules
+    maxMargin: 20,
+    defaultMargin: 4,
+    errorCorrectionLevels: ['L', 'M', 'Q', 'H'],
+    defaultErrorCorrection: 'M',
+    defaultForeground: '#000000',
+    defaultBackground: '#ffffff',
+    // Encoded links carry <sourceParam>=qr so scans are recorded with source "qr"
+    sourceParam: process.env.QR_SOURCE_PARAM || 'src'
+  },
+
+  rules: {
+    maxRules: 20,
+    maxValuesPerCondition: 50,
+    // Device classes reported by ua-parser-js, plus desktop (see utils/clientInfo)
+    devices: ['desktop', 'mobile', 'tablet', 'console', 'smarttv', 'wearable', 'embedded']
+  },
+
+  password: {
+    minLength: 4,
+    maxLength: 128,
+    header: 'X-Link-Password',
+    // Failed attempts allowed per client and shortcode before further attempts are refused
+    maxFailures: 5,
+    // Failed attempts allowed per shortcode from all clients together, against guessing from many IPs
+    maxLinkFailures: 100,
+    failureWindowMs: 15 * 60 * 1000
+  },
+
+  // Expired links stay queryable for graceDays, then are archived and deleted
+  retention: {
+    graceDays: Number(process.env.LINK_RETENTION_DAYS || 30),
+    sweepIntervalMs: 60 * 60 * 1000,
+    batchSize: 500
+  },
+
+  list: {
+    defaultLimit: 50,
+    maxLimit: 200
+  },
+
+  bulk: {
+    maxItems: 1000,
+    maxFileSizeBytes: 5 * 1024 * 1024
+  },
+
+  analytics: {
+    ipHashSalt: process.env.IP_HASH_SALT || 'url-shortener',
+    // Bucket sizes for time series, in milliseconds
+    intervals: {
+      hour: 60 * 60 * 1000,
+      day: 24 * 60 * 60 * 1000,
+      week: 7 * 24 * 60 * 60 * 1000
+    },
+    defaultInterval: 'day',
+    defaultRangeDays: 7,
+    maxBuckets: 1000,
+    defaultTop: 10,
+    maxTop: 100
+  },
+
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    // 'memory' keeps an LRU per process, 'redis' shares the cache between instances
+    driver: process.env.CACHE_DRIVER || 'memory',
+    ttlMs: Number(process.env.CACHE_TTL_MS || 60 * 1000),
+    memory: {
+      maxEntries: 10000
+    },
+    redis: {
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      keyPrefix: 'url:'
+    }
+  },
+
+  health: {
+    // Time limits for the dependency checks of GET /health/ready
+    mongoTimeoutMs: 2000,
+    cacheTimeoutMs: 1000
+  },
+
+  requestId: {
+    header: 'X-Request-Id',
+    maxLength: 128
+  },
+
+  // Checks of destination URLs beyond their syntax, on creation and update
+  screening: {
+    dns: {
+      // Resolve hostnames and reject those with a private or reserved address
+      enabled: process.env.SCREENING_DNS !== 'false',
+      timeoutMs: Number(process.env.SCREENING_DNS_TIMEOUT_MS || 2000),
+      // Reject hostnames that do not resolve instead of accepting them
+      requireResolvable: process.env.SCREENING_REQUIRE_RESOLVABLE === 'true'
+    },
+    // Other URL shorteners; linking to them would hide the final destination
+    shortenerDomains: (process.env.SCREENING_SHORTENER_DOMAINS ||
+      'bit.ly,bitly.com,tinyurl.com,t.co,goo.gl,ow.ly,is.gd,v.gd,buff.ly,rebrand.ly,cutt.ly,shorturl.at,' +
+      'tiny.cc,t.ly,rb.gy,bl.ink,s.id,lnkd.in,trib.al,shorte.st,adf.ly')
+      .split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean),
+    // How often each instance reloads the admin blocklist and allowlist
+    listRefreshMs: 30 * 1000,
+    reputation: {
+      // Comma separated: file
+      checkers: (process.env.REPUTATION_CHECKERS || 'file').split(',').map(name => name.trim()).filter(Boolean),
+      file: {
+        path: process.env.REPUTATION_FILE_PATH || 'data/reputation.txt',
+        reloadIntervalMs: 60 * 1000
+      }
+    }
+  },
+
+  openapi: {
+    // JSON responses are checked against the documented schema of their status:
+    // 'off', 'warn' (log mismatches) or 'strict' (also answer 500 instead)
+    validateResponses: process.env.OPENAPI_VALIDATE_RESPONSES || 'warn'
+  },
+
+  metrics: {
+    prefix: 'url_shortener_',
+    // Latency histogram buckets, in seconds
+    latencyBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+  },
+
+  clicks: {
+    flushIntervalMs: Number(process.env.CLICK_FLUSH_INTERVAL_MS || 1000),
+    batchSize: Number(process.env.CLICK_BATCH_SIZE || 500),
+    maxQueued: 50000,
+    // Failed batches are retried with exponential backoff, then dropped
+    maxRetries: 5,
+    retryBaseMs: 1000,
+    retryMaxMs: 30 * 1000,
+    // Batch ids remembered per link; enough to cover the batches written to a
+    // link while another one is being retried
+    countedBatches: 100,
+    queue: {
+      // 'file' keeps queued clicks on disk so they survive a restart
+      driver: process.env.CLICK_QUEUE_DRIVER || 'memory',
+      path: process.env.CLICK_QUEUE_PATH || 'data/click-queue.jsonl',
+      // The file is rewritten once this many written clicks have piled up in it
+      compactAfter: 10000
+    }
+  },
+
   
   rateLimit: {
     windowMs: 15 * 60 * 1000, 
@@ -0,0 +1,65 @@
+const apiKeyService = require('../services/apiKeyService');
+const Url = require('../models/Url');
+const ValidationService = require('../utils/validation');
+const config = require('../config');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Require a valid API key in the configured header and expose the caller as req.apiKey
+ */
+const requireApiKey = async(req, res, next) => {
+  try {
+    const principal = await apiKeyService.authenticate(req.get(config.auth.header));
+
+    if (!principal) {
+      throw new UnauthorizedError(`A valid API key is required in the ${config.auth.header} header`);
+    }
+
+    req.apiKey = principal;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require the authenticated caller to be an admin. Use after requireApiKey.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.apiKey || !req.apiKey.isAdmin) {
+    return next(new ForbiddenError('Admin privileges required'));
+  }
+
+  next();
+};
+
+/**
+ * Load the link named by req.params.shortcode, on the short-link domain in the
+ * domain query parameter, into req.urlDoc, answering 404 when it does not exist
+ * and 403 when the caller does not own it. Use after requireApiKey.
+ */
+const requireUrlOwner = async(req, res, next) => {
+  try {
+    const { domain } = ValidationService.validateLinkDomain(req.query.domain);
+    const urlDoc = await Url.findOne({ shortcode: req.params.shortcode, domain });
+
+    if (!urlDoc) {
+      throw new NotFoundError('shortcode not found');
+    }
+
+    if (!urlDoc.isOwnedBy(req.apiKey)) {
+      throw new ForbiddenError('You do not have access to this shortcode');
+    }
+
+    req.urlDoc = urlDoc;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireApiKey,
+  requireAdmin,
+  requireUrlOwner
+};
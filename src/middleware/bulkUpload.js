@@ -0,0 +1,101 @@
+const express = require('express');
+const multer = require('multer');
+const { parse } = require('csv-parse/sync');
+const config = require('../config');
+const { restoreRequestContext } = require('./requestId');
+const { InvalidRequestError } = require('../utils/errors');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.bulk.maxFileSizeBytes,
+    files: 1
+  }
+});
+
+const csvBody = express.text({
+  type: ['text/csv', 'application/csv'],
+  limit: config.bulk.maxFileSizeBytes
+});
+
+/**
+ * Parse CSV text with a header row into { url, validity, shortcode, password, maxClicks, preview } items.
+ * Empty cells are treated as not provided.
+ */
+const parseCsvItems = (text) => {
+  const rows = parse(text, {
+    columns: header => header.map(column => column.trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+
+  return rows.map(row => ({
+    url: row.url || undefined,
+    validity: row.validity || undefined,
+    shortcode: row.shortcode || undefined,
+    domain: row.domain || undefined,
+    password: row.password || undefined,
+    maxClicks: row.maxclicks || undefined,
+    preview: row.preview || undefined
+  }));
+};
+
+/**
+ * Normalise the request into req.bulkItems, accepting:
+ * - a JSON array, or a JSON object with a `urls` array
+ * - a CSV body (Content-Type: text/csv)
+ * - a multipart upload with the CSV in a `file` field
+ */
+const extractBulkItems = (req, res, next) => {
+  let items;
+
+  try {
+    if (req.file) {
+      items = parseCsvItems(req.file.buffer.toString('utf8'));
+    } else if (typeof req.body === 'string') {
+      items = parseCsvItems(req.body);
+    } else if (Array.isArray(req.body)) {
+      items = req.body;
+    } else if (req.body && Array.isArray(req.body.urls)) {
+      items = req.body.urls;
+    }
+  } catch (error) {
+    return next(new InvalidRequestError(`Invalid CSV: ${error.message}`));
+  }
+
+  if (!items) {
+    return next(new InvalidRequestError('Request must contain an array of items, a urls array or a CSV file'));
+  }
+
+  if (items.length === 0) {
+    return next(new InvalidRequestError('At least one item is required'));
+  }
+
+  if (items.length > config.bulk.maxItems) {
+    return next(new InvalidRequestError(`A bulk request cannot contain more than ${config.bulk.maxItems} items`));
+  }
+
+  req.bulkItems = items;
+  next();
+};
+
+/**
+ * Translate multer errors (file too large, unexpected field) into InvalidRequestErrors
+ */
+const handleUploadError = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return next(new InvalidRequestError(`Invalid upload: ${error.message}`));
+    }
+    next();
+  });
+};
+
+// multer and the CSV parser continue from stream callbacks, outside the request context
+const bulkUpload = [handleUploadError, csvBody, restoreRequestContext, extractBulkItems];
+
+module.exports = {
+  bulkUpload,
+  parseCsvItems
+};
@@ -1,55 +1,96 @@
+const http = require('http');
+const RequestContext = require('../utils/requestContext');
+const ValidationService = require('../utils/validation');
+const { AppError, InvalidRequestError, NotFoundError, ConflictError } = require('../utils/errors');
 
-const errorHandler = (err, req, res, next) => {
-  console.error('[ErrorHandler] Unhandled error:', err);
+const PROBLEM_TYPE_PREFIX = 'urn:url-shortener:problem:';
 
-  
-  let status = 500;
-  let message = 'Internal server error';
+/**
+ * Map any error to an AppError. Errors thrown by the services pass through;
+ * mongoose, MongoDB and body parser errors get a code; anything else is an
+ * internal error whose message is not shown to the client.
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
 
- 
   if (err.name === 'ValidationError') {
-    status = 400;
-    message = 'Validation error';
-    
-  
-    if (err.errors) {
-      const errors = Object.keys(err.errors).map(key => ({
-        field: key,
-        message: err.errors[key].message
-      }));
-      return res.status(status).json({
-        message,
-        errors
-      });
+    const errors = err.errors
+      ? Object.keys(err.errors).map(key => ({ field: key, message: err.errors[key].message }))
+      : undefined;
+    return new InvalidRequestError('Validation error', { errors });
+  }
+
+  if (err.name === 'CastError') {
+    return new InvalidRequestError('Invalid data format');
+  }
+
+  if (err.code === 11000) {
+    return new ConflictError('Duplicate entry');
+  }
+
+  // Client errors raised by body-parser and multer, e.g. malformed JSON or a body that is too large
+  const status = err.status || err.statusCode;
+  if (err.expose && status >= 400 && status < 500) {
+    if (status === 400) {
+      return new InvalidRequestError(err.message);
     }
-  } else if (err.name === 'CastError') {
-    status = 400;
-    message = 'Invalid data format';
-  } else if (err.code === 11000) {
-    status = 409;
-    message = 'Duplicate entry';
-  } else if (err.statusCode) {
-    status = err.statusCode;
-    message = err.message;
+    const title = http.STATUS_CODES[status] || 'Client error';
+    return new AppError(err.message, { status, title, code: title.toUpperCase().replace(/[^A-Z]+/g, '_') });
   }
 
-  res.status(status).json({ message });
+  return new AppError();
 };
 
+/**
+ * Render every error as RFC 7807 problem details with a stable `code`
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`[ErrorHandler] [${req.id}] ${req.method} ${req.originalUrl} failed:`, err);
+  }
 
-const notFoundHandler = (req, res) => {
-  res.status(404).json({
-    message: 'Route not found'
+  res.status(error.status).type('application/problem+json').json({
+    type: `${PROBLEM_TYPE_PREFIX}${error.code.toLowerCase().replace(/_/g, '-')}`,
+    title: error.title,
+    status: error.status,
+    detail: error.message,
+    instance: req.originalUrl,
+    code: error.code,
+    // Same as detail, for clients written against the former { message } bodies
+    message: error.message,
+    requestId: req.id,
+    ...error.extensions
   });
 };
 
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
 
+// One JSON access log line per request
 const requestLogger = (req, res, next) => {
   const start = Date.now();
   
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    console.log(`[Request] ${req.method} ${req.path} - ${res.statusCode} (${duration}ms)`);
+    console.log(JSON.stringify({
+      type: 'access',
+      timestamp: new Date().toISOString(),
+      requestId: req.id,
+      method: req.method,
+      route: RequestContext.routePattern(req, res),
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+      shortcode: res.locals.shortcode || null,
+      ip: ValidationService.extractClientIP(req)
+    }));
   });
   
   next();
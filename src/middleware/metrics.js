@@ -0,0 +1,32 @@
+const metricsService = require('../services/metricsService');
+
+/**
+ * Count every request and record its latency once the response is sent
+ */
+const requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+    metricsService.observeRequest(req, res, durationSeconds);
+  });
+
+  next();
+};
+
+/**
+ * Serve the metrics in the Prometheus text format
+ */
+const metricsEndpoint = async(req, res, next) => {
+  try {
+    res.set('Content-Type', metricsService.contentType);
+    res.send(await metricsService.render());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requestMetrics,
+  metricsEndpoint
+};
@@ -0,0 +1,148 @@
+const config = require('../config');
+const openApiService = require('../services/openApiService');
+const { AppError, InvalidRequestError } = require('../utils/errors');
+
+/**
+ * Turn Ajv errors into { field, message }, e.g. { field: 'body.rules[0].destination', message: 'must be string' }.
+ * The branches of anyOf/oneOf report separately, so their summary and the
+ * "must be null" of nullable fields are left out.
+ * @param {string} location - body, query, path or header
+ * @param {Array<object>} errors - Ajv errors
+ * @returns {Array<object>}
+ */
+const formatErrors = (location, errors) => errors
+  .filter(error => !['anyOf', 'oneOf'].includes(error.keyword) &&
+    !(error.keyword === 'type' && error.params.type === 'null'))
+  .map(error => {
+    let field = location + error.instancePath.replace(/\/(\d+)/g, '[$1]').replace(/\//g, '.');
+    if (error.keyword === 'required') {
+      field += `.${error.params.missingProperty}`;
+    }
+    return { field, message: error.message };
+  });
+
+/**
+ * Validate path, query and header parameters and the parsed body of a request.
+ * Coercion works on copies, handlers still see the raw strings.
+ * @param {object} operation - Operation from openApiService.addOperation
+ */
+const validateRequest = (operation) => (req, res, next) => {
+  const { parameters, body } = operation.validators;
+  const sources = { path: req.params, query: req.query, header: req.headers };
+  const errors = [];
+
+  for (const [location, validate] of Object.entries(parameters)) {
+    if (!validate({ ...sources[location] })) {
+      errors.push(...formatErrors(location, validate.errors));
+    }
+  }
+
+  const mediaTypes = Object.keys(body);
+  const mediaType = mediaTypes.length > 0 && req.is(mediaTypes);
+  if (mediaType && !body[mediaType](req.body)) {
+    errors.push(...formatErrors('body', body[mediaType].errors));
+  }
+
+  if (errors.length > 0) {
+    return next(new InvalidRequestError(`${errors[0].field} ${errors[0].message}`, { errors }));
+  }
+
+  next();
+};
+
+/**
+ * Check JSON responses against the documented response of their status. In
+ * strict mode a mismatch is answered with a 500 instead.
+ * @param {object} operation - Operation from openApiService.addOperation
+ */
+const validateResponse = (operation) => (req, res, next) => {
+  const mode = config.openapi.validateResponses;
+  if (mode === 'off') {
+    return next();
+  }
+
+  const json = res.json;
+  res.json = function(body) {
+    // Only the first body is checked; the error handler may answer with the original
+    res.json = json;
+
+    const status = res.statusCode;
+    const validate = operation.validators.responses[status];
+    let mismatch = null;
+
+    if (validate === undefined) {
+      mismatch = 'status is not documented';
+    } else if (validate && !validate(JSON.parse(JSON.stringify(body)))) {
+      mismatch = formatErrors('body', validate.errors).map(error => `${error.field} ${error.message}`).join('; ');
+    }
+
+    if (mismatch) {
+      console.warn(`[OpenApi] [${req.id}] ${operation.operationId} response ${status} does not match the ` +
+        `specification: ${mismatch}`);
+      if (mode === 'strict' && status < 500) {
+        return next(new AppError('The response does not match the API specification'));
+      }
+    }
+
+    return json.call(this, body);
+  };
+
+  next();
+};
+
+/**
+ * Remember the route pattern and shortcode of a matched request on res.locals.
+ * Express resets req.params and req.baseUrl when a handler passes an error
+ * on, so the access log and the metrics read them from here.
+ * @param {string} pattern - Full route path, e.g. "/admin/apikeys/:id"
+ */
+const recordRoute = (pattern) => (req, res, next) => {
+  res.locals.route = pattern;
+  res.locals.shortcode = req.params.shortcode || null;
+  next();
+};
+
+/**
+ * Register routes together with their OpenAPI operations. The request is
+ * validated right before the last handler, so after authentication and body
+ * parsing.
+ * Routes would shadow links whose shortcode is their first path segment, so
+ * that segment has to be in config.shortcode.reserved.
+ * @param {object} router - Express app or router
+ * @param {string} mountPath - Path the router is mounted at
+ * @returns {Function} route(definition, ...handlers)
+ * @throws {Error} When a route starts with a segment that is not reserved
+ */
+const defineRoutes = (router, mountPath = '') => {
+  if (mountPath) {
+    // Requests answered by router level middleware, e.g. an auth check
+    router.use(recordRoute(`${mountPath}/*`));
+  }
+
+  return (definition, ...handlers) => {
+    const [firstSegment] = `${mountPath}${definition.path}`.split('/').filter(Boolean);
+    if (firstSegment && !firstSegment.startsWith(':') &&
+      !config.shortcode.reserved.includes(firstSegment.toLowerCase())) {
+      throw new Error(`Route ${mountPath}${definition.path} would shadow the shortcode "${firstSegment}"; ` +
+        'add it to config.shortcode.reserved');
+    }
+
+    const operation = openApiService.addOperation(mountPath, definition);
+    const handler = handlers.pop();
+
+    router[operation.method](
+      operation.path,
+      recordRoute(`${mountPath}${definition.path}`),
+      validateResponse(operation),
+      ...handlers,
+      validateRequest(operation),
+      handler
+    );
+  };
+};
+
+module.exports = {
+  defineRoutes,
+  validateRequest,
+  validateResponse
+};
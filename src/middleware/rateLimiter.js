@@ -1,15 +1,21 @@
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
+const metricsService = require('../services/metricsService');
+const { RateLimitedError } = require('../utils/errors');
 
+// Counted per limiter and answered by the error handler like any other error
+const rejectWith = (limiter) => (req, res, next, options) => {
+  metricsService.rateLimitRejections.inc({ limiter });
+  next(new RateLimitedError(options.message));
+};
 
 const generalLimiter = rateLimit({
   windowMs: config.rateLimit.windowMs,
   max: config.rateLimit.max,
-  message: {
-    message: 'Too many requests from this IP, please try again later'
-  },
+  message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rejectWith('general'),
   
   keyGenerator: (req) => {
     return req.ip || req.connection.remoteAddress || 'unknown';
@@ -20,11 +26,10 @@ const generalLimiter = rateLimit({
 const createUrlLimiter = rateLimit({
   windowMs: 60 * 1000, 
   max: 10, 
-  message: {
-    message: 'Too many URL creation requests, please try again later'
-  },
+  message: 'Too many URL creation requests, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rejectWith('create_url'),
   keyGenerator: (req) => {
     return req.ip || req.connection.remoteAddress || 'unknown';
   }
@@ -34,18 +39,57 @@ const createUrlLimiter = rateLimit({
 const redirectLimiter = rateLimit({
   windowMs: 60 * 1000, 
   max: 100,
-  message: {
-    message: 'Too many redirect requests, please try again later'
-  },
+  message: 'Too many redirect requests, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  handler: rejectWith('redirect'),
   keyGenerator: (req) => {
     return req.ip || req.connection.remoteAddress || 'unknown';
   }
 });
 
+// Link a password attempt is for; "abc+" is the preview page of "abc" and shares its attempts
+const passwordLinkKey = (req) => `${req.hostname}/${req.params.shortcode.replace(/\+$/, '')}`;
+
+// Counts wrong passwords (403) per client and link, so one visitor guessing
+// cannot lock everyone else out. Only requests that submit a password count:
+// the POST of the password form, or a request with the password header.
+const passwordLimiter = rateLimit({
+  windowMs: config.password.failureWindowMs,
+  max: config.password.maxFailures,
+  message: 'Too many failed password attempts for this link, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: rejectWith('password'),
+  skip: (req) => req.method !== 'POST' && !req.get(config.password.header),
+  keyGenerator: (req) => {
+    const ip = req.ip || req.connection.remoteAddress || 'unknown';
+    return `${ip}/${passwordLinkKey(req)}`;
+  },
+  requestWasSuccessful: (req, res) => res.statusCode !== 403,
+  skipSuccessfulRequests: true
+});
+
+// Counts wrong passwords per link from all clients together, so guessing from
+// many IP addresses is limited as well. Set well above maxFailures, since
+// reaching it refuses the correct password too until the window has passed.
+const linkPasswordLimiter = rateLimit({
+  windowMs: config.password.failureWindowMs,
+  max: config.password.maxLinkFailures,
+  message: 'Too many failed password attempts for this link, please try again later',
+  standardHeaders: false,
+  legacyHeaders: false,
+  handler: rejectWith('link_password'),
+  skip: (req) => req.method !== 'POST' && !req.get(config.password.header),
+  keyGenerator: passwordLinkKey,
+  requestWasSuccessful: (req, res) => res.statusCode !== 403,
+  skipSuccessfulRequests: true
+});
+
 module.exports = {
   generalLimiter,
   createUrlLimiter,
-  redirectLimiter
+  redirectLimiter,
+  passwordLimiter,
+  linkPasswordLimiter
 };
\ No newline at end of file
@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const RequestContext = require('../utils/requestContext');
+const config = require('../config');
+
+// Ids accepted from clients; anything else is replaced with a generated one
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]+$/;
+
+/**
+ * Take the request id from the X-Request-Id header, or generate one, return it
+ * in the response and run the rest of the request inside its context
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(config.requestId.header);
+  const requestId = incoming && incoming.length <= config.requestId.maxLength && VALID_REQUEST_ID.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set(config.requestId.header, requestId);
+
+  RequestContext.run({ requestId }, next);
+};
+
+/**
+ * Enter the request's context again after middleware that continues from a
+ * stream callback, such as the body parsers and multer
+ */
+const restoreRequestContext = (req, res, next) => {
+  RequestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = {
+  assignRequestId,
+  restoreRequestContext
+};
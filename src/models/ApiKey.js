@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  // SHA-256 of the key; the plaintext is only shown once, when issued
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, so owners can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  name: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 100
+  },
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false,
+  collection: 'apikeys'
+});
+
+apiKeySchema.index({ owner: 1, createdAt: -1 });
+
+apiKeySchema.methods.isRevoked = function() {
+  return this.revokedAt !== null;
+};
+
+apiKeySchema.statics.findActiveByHash = function(keyHash) {
+  return this.findOne({ keyHash, revokedAt: null });
+};
+
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
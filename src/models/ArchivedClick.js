@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const Click = require('./Click');
+
+/**
+ * Click records of archived links. Clicks are keyed by shortcode, which is
+ * released when a link is archived, so they are moved here together with the
+ * link and tagged with its id; restoring the link moves them back.
+ */
+const archivedClickSchema = Click.schema.clone();
+
+archivedClickSchema.add({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  }
+});
+archivedClickSchema.set('collection', 'clicks_archive');
+// Only read per archived link
+archivedClickSchema.clearIndexes();
+archivedClickSchema.index({ urlId: 1 });
+
+const ArchivedClick = mongoose.model('ArchivedClick', archivedClickSchema);
+
+module.exports = ArchivedClick;
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+/**
+ * Links that outlived their retention period. The shortcode is released when a
+ * link is archived, so several archive entries may share a shortcode.
+ * Holds every field of Url, which retentionService copies both ways; a field
+ * missing here would be lost when a link is archived.
+ */
+const archivedUrlSchema = new mongoose.Schema({
+  urlId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  shortcode: {
+    type: String,
+    required: true
+  },
+  domain: {
+    type: String,
+    default: null
+  },
+  originalUrl: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  expiryAt: {
+    type: Date,
+    required: true
+  },
+  // Claimed clicks; the click limit goes on from here after a restore
+  clickCount: {
+    type: Number,
+    default: 0
+  },
+  maxClicks: {
+    type: Number,
+    default: null
+  },
+  rules: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  variants: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  previewCount: {
+    type: Number,
+    default: 0
+  },
+  preview: {
+    type: Boolean,
+    default: false
+  },
+  redirectStatus: {
+    type: Number,
+    default: 302
+  },
+  forwardQuery: {
+    type: Boolean,
+    default: false
+  },
+  queryConflict: {
+    type: String,
+    default: 'keep'
+  },
+  utm: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  passwordFailures: {
+    type: Number,
+    default: 0
+  },
+  owner: {
+    type: String,
+    default: null
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'urls_archive'
+});
+
+archivedUrlSchema.index({ shortcode: 1, domain: 1, archivedAt: -1 });
+archivedUrlSchema.index({ urlId: 1 }, { unique: true });
+
+archivedUrlSchema.methods.isOwnedBy = function(apiKey) {
+  if (!apiKey) {
+    return false;
+  }
+  return apiKey.isAdmin || (this.owner !== null && this.owner === apiKey.owner);
+};
+
+archivedUrlSchema.statics.findLatestByShortcode = function(shortcode, domain = null) {
+  return this.findOne({ shortcode, domain }).sort({ archivedAt: -1 });
+};
+
+const ArchivedUrl = mongoose.model('ArchivedUrl', archivedUrlSchema);
+
+module.exports = ArchivedUrl;
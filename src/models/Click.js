@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const ClientInfo = require('../utils/clientInfo');
+
+const clickSchema = new mongoose.Schema({
+  shortcode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short-link domain of the link, null for the default domain
+  domain: {
+    type: String,
+    default: null
+  },
+  ts: {
+    type: Date,
+    default: Date.now,
+    required: true
+  },
+  ip: {
+    type: String,
+    required: true
+  },
+  referrer: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  country: {
+    type: String,
+    default: null
+  },
+  // Index of the redirect rule that chose the destination; null for the fallback URL
+  ruleIndex: {
+    type: Number,
+    default: null
+  },
+  // Name of the A/B variant the visitor was sent to
+  variant: {
+    type: String,
+    default: null
+  },
+  // How the visitor reached the link: "qr" for QR code scans, otherwise "link"
+  source: {
+    type: String,
+    default: 'link'
+  },
+  // Derived dimensions, filled in from ip/referrer/userAgent on save
+  ipHash: {
+    type: String,
+    default: null
+  },
+  referrerDomain: {
+    type: String,
+    default: null
+  },
+  browser: {
+    type: String,
+    default: null
+  },
+  os: {
+    type: String,
+    default: null
+  },
+  device: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: false,
+  versionKey: false,
+  collection: 'clicks'
+});
+
+// Clicks are always read per shortcode in time order
+clickSchema.index({ shortcode: 1, ts: 1 });
+
+/**
+ * Fill in the derived analytics fields for a raw click
+ * @param {object} clickData - Click with ip, referrer and userAgent
+ * @returns {object} Click data including ipHash, referrerDomain, browser, os and device
+ */
+clickSchema.statics.describe = function(clickData) {
+  return {
+    ...clickData,
+    ipHash: ClientInfo.hashIp(clickData.ip),
+    referrerDomain: ClientInfo.extractReferrerDomain(clickData.referrer),
+    ...ClientInfo.parseUserAgent(clickData.userAgent)
+  };
+};
+
+clickSchema.pre('validate', function(next) {
+  if (this.isNew && !this.ipHash) {
+    const derived = this.constructor.describe({
+      ip: this.ip,
+      referrer: this.referrer,
+      userAgent: this.userAgent
+    });
+    this.set({
+      ipHash: derived.ipHash,
+      referrerDomain: derived.referrerDomain,
+      browser: derived.browser,
+      os: derived.os,
+      device: derived.device
+    });
+  }
+  next();
+});
+
+clickSchema.statics.findPageByShortcode = function(shortcode, page = 1, limit = 50, domain = null) {
+  return this.find({ shortcode, domain })
+    .sort({ ts: 1, _id: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select('ts ip referrer userAgent country ruleIndex variant source -_id')
+    .lean();
+};
+
+const Click = mongoose.model('Click', clickSchema);
+
+module.exports = Click;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Registry of branded short-link domains. Each domain has its own shortcode
+// namespace; links without a domain belong to the host of config.hostname.
+const domainSchema = new mongoose.Schema({
+  hostname: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 253
+  },
+  // Where unknown shortcodes on this domain redirect to, instead of a 404
+  notFoundUrl: {
+    type: String,
+    default: null
+  },
+  // Validity in minutes of links created without one; null for config.defaultValidityMinutes
+  defaultValidityMinutes: {
+    type: Number,
+    default: null
+  },
+  // Owner of the admin key that registered the domain
+  createdBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+}, {
+  timestamps: false,
+  collection: 'domains'
+});
+
+domainSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Domain = mongoose.model('Domain', domainSchema);
+
+module.exports = Domain;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Admin-managed blocklist and allowlist of destination domains. An entry also
+// covers the subdomains of its domain.
+const domainRuleSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 253
+  },
+  list: {
+    type: String,
+    required: true,
+    enum: ['block', 'allow']
+  },
+  reason: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: 200
+  },
+  // Owner of the admin key that added the entry
+  createdBy: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+}, {
+  timestamps: false,
+  collection: 'domainrules'
+});
+
+domainRuleSchema.index({ list: 1, domain: 1 });
+
+domainRuleSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.id = ret._id.toString();
+    delete ret._id;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const DomainRule = mongoose.model('DomainRule', domainRuleSchema);
+
+module.exports = DomainRule;
@@ -1,41 +1,73 @@
 const mongoose = require('mongoose');
+const Click = require('./Click');
 
 
-const clickSchema = new mongoose.Schema({
-  ts: {
-    type: Date,
-    default: Date.now,
-    required: true
+// Conditional redirect, see services/ruleService. Empty conditions are ignored.
+const ruleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    default: null
   },
-  ip: {
+  destination: {
     type: String,
     required: true
   },
-  referrer: {
-    type: String,
+  countries: [String],
+  devices: [String],
+  os: [String],
+  languages: [String],
+  timeWindow: {
+    type: new mongoose.Schema({
+      start: String,
+      end: String,
+      timezone: String
+    }, { _id: false }),
     default: null
-  },
-  userAgent: {
+  }
+}, { _id: false });
+
+// Weighted A/B destination
+const variantSchema = new mongoose.Schema({
+  name: {
     type: String,
-    default: null
+    required: true
   },
-  country: {
+  url: {
     type: String,
-    default: null
+    required: true
+  },
+  weight: {
+    type: Number,
+    default: 1,
+    min: 1
   }
 }, { _id: false });
 
+// UTM tags added to the destination, see services/redirectService
+const utmSchema = new mongoose.Schema({
+  source: String,
+  medium: String,
+  campaign: String,
+  term: String,
+  content: String
+}, { _id: false });
+
 const urlSchema = new mongoose.Schema({
   shortcode: {
     type: String,
     required: true,
-    unique: true,
-    index: true,
     trim: true,
     minlength: 4,
     maxlength: 20,
     match: /^[a-zA-Z0-9]+$/
   },
+  // Hostname of a registered short-link domain (see models/Domain); null for the
+  // host of config.hostname. Shortcodes are unique per domain.
+  domain: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
   originalUrl: {
     type: String,
     required: true,
@@ -55,56 +87,175 @@ const urlSchema = new mongoose.Schema({
   },
   expiryAt: {
     type: Date,
-    required: true,
-    index: { expireAfterSeconds: 0 } // TTL index for automatic cleanup
+    required: true
+    // No TTL index: expired links are kept for a grace period, see retentionService
   },
   clickCount: {
     type: Number,
     default: 0,
     min: 0
   },
-  clicks: [clickSchema]
+  // Ids of the latest click writer batches counted in clickCount, so a batch
+  // that is written again after a failure or a restart is not counted twice
+  clickBatches: {
+    type: [String],
+    default: undefined,
+    select: false
+  },
+  // Ordered; the first matching rule decides the destination, originalUrl is the fallback
+  rules: {
+    type: [ruleSchema],
+    default: []
+  },
+  // When set, visitors not matched by a rule are split across these instead of originalUrl
+  variants: {
+    type: [variantSchema],
+    default: []
+  },
+  // Redirects allowed in total; null means unlimited, 1 makes a one-time link
+  maxClicks: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  redirectStatus: {
+    type: Number,
+    default: 302,
+    enum: [301, 302, 307, 308]
+  },
+  // Merge the query string of the short link request into the destination
+  forwardQuery: {
+    type: Boolean,
+    default: false
+  },
+  // keep the destination's value, override it, or append the visitor's as well
+  queryConflict: {
+    type: String,
+    default: 'keep',
+    enum: ['keep', 'override', 'append']
+  },
+  utm: {
+    type: utmSchema,
+    default: null
+  },
+  // Show the preview page instead of redirecting straight away
+  preview: {
+    type: Boolean,
+    default: false
+  },
+  // Views of the preview page; they are not clicks
+  previewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // scrypt hash, see utils/password; null when the link is not protected
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  passwordFailures: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Owner of the API key that created the link; null for links created before auth
+  owner: {
+    type: String,
+    default: null
+  },
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
 }, {
   timestamps: false, 
   collection: 'urls'
 });
 
 // Indexes for performance
-urlSchema.index({ shortcode: 1 }, { unique: true });
+urlSchema.index({ shortcode: 1, domain: 1 }, { unique: true });
 urlSchema.index({ expiryAt: 1 }); 
 urlSchema.index({ createdAt: 1 }); 
+urlSchema.index({ owner: 1, createdAt: -1 });
+urlSchema.index({ clickCount: -1, _id: -1 });
 
 
 urlSchema.methods.isExpired = function() {
   return new Date() > this.expiryAt;
 };
 
-urlSchema.methods.addClick = function(clickData) {
-  this.clicks.push(clickData);
-  this.clickCount = this.clicks.length;
-  return this.save();
+urlSchema.methods.hasPassword = function() {
+  return Boolean(this.passwordHash);
+};
+
+urlSchema.methods.isOwnedBy = function(apiKey) {
+  if (!apiKey) {
+    return false;
+  }
+  return apiKey.isAdmin || (this.owner !== null && this.owner === apiKey.owner);
+};
+
+urlSchema.methods.isClickLimitReached = function() {
+  return this.maxClicks !== null && this.maxClicks !== undefined && this.clickCount >= this.maxClicks;
+};
+
+urlSchema.methods.getRemainingClicks = function() {
+  if (this.maxClicks === null || this.maxClicks === undefined) {
+    return null;
+  }
+  return Math.max(this.maxClicks - this.clickCount, 0);
+};
+
+/**
+ * Claim one click of a limited link with a conditional $inc, so that concurrent
+ * redirects can never take it past maxClicks. The click itself is stored
+ * separately by the click writer.
+ * Resolves to false when the click budget is already used up.
+ */
+urlSchema.methods.claimClick = async function() {
+  const claimed = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { maxClicks: null },
+        { $expr: { $lt: ['$clickCount', '$maxClicks'] } }
+      ]
+    },
+    { $inc: { clickCount: 1 } }
+  );
+
+  if (claimed.matchedCount === 0) {
+    return false;
+  }
+
+  this.clickCount += 1;
+  return true;
 };
 
 
-urlSchema.statics.findValidByShortcode = function(shortcode) {
+urlSchema.statics.findValidByShortcode = function(shortcode, domain = null) {
   return this.findOne({
     shortcode,
+    domain,
+    isActive: { $ne: false },
     expiryAt: { $gt: new Date() }
   });
 };
 
 
-urlSchema.statics.shortcodeExists = function(shortcode) {
-  return this.exists({ shortcode });
+urlSchema.statics.shortcodeExists = function(shortcode, domain = null) {
+  return this.exists({ shortcode, domain });
 };
 
-urlSchema.virtual('paginatedClicks').get(function() {
-  return (page = 1, limit = 50) => {
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + limit;
-    return this.clicks.slice(startIndex, endIndex);
-  };
-});
+urlSchema.methods.getClicks = function(page = 1, limit = 50) {
+  return Click.findPageByShortcode(this.shortcode, page, limit, this.domain || null);
+};
 
 
 urlSchema.set('toJSON', { virtuals: true });
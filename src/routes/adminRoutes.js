@@ -0,0 +1,366 @@
+const express = require('express');
+const apiKeyService = require('../services/apiKeyService');
+const ValidationService = require('../utils/validation');
+const loggingClient = require('../services/loggingClient');
+const clickWriter = require('../services/clickWriter');
+const screeningService = require('../services/screeningService');
+const domainService = require('../services/domainService');
+const { requireApiKey, requireAdmin } = require('../middleware/auth');
+const { defineRoutes } = require('../middleware/openApi');
+const { NotFoundError } = require('../utils/errors');
+const { ref, jsonResponse, problemResponse } = require('../utils/apiSchemas');
+
+const router = express.Router();
+const route = defineRoutes(router, '/admin');
+
+router.use(requireApiKey, requireAdmin);
+
+route({
+  method: 'post',
+  path: '/apikeys',
+  operationId: 'createApiKey',
+  tags: ['Admin'],
+  summary: 'Issue an API key',
+  auth: 'admin',
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: ref('ApiKeyInput') } }
+  },
+  responses: {
+    201: jsonResponse('The key, with its plaintext value', 'ApiKeyCreated'),
+    400: problemResponse('Invalid owner, name or isAdmin', ['INVALID_REQUEST'])
+  }
+}, async(req, res, next) => {
+  try {
+    const validation = ValidationService.validateApiKeyRequest(req.body);
+
+    const { apiKey, key } = await apiKeyService.issueKey(validation);
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route', `API key issued: ${apiKey.prefix} for ${apiKey.owner}`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log API key issue:`, logError.message);
+    }
+
+    // The plaintext key is returned here and never again
+    res.status(201).json({
+      ...apiKey.toJSON(),
+      key
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'get',
+  path: '/apikeys',
+  operationId: 'listApiKeys',
+  tags: ['Admin'],
+  summary: 'List API keys, without their plaintext values',
+  auth: 'admin',
+  parameters: [
+    { name: 'owner', in: 'query', schema: { type: 'string' } },
+    { name: 'includeRevoked', in: 'query', schema: { type: 'boolean', default: false } }
+  ],
+  responses: {
+    200: jsonResponse('API keys', {
+      type: 'object',
+      required: ['keys'],
+      properties: { keys: { type: 'array', items: ref('ApiKey') } }
+    })
+  }
+}, async(req, res, next) => {
+  try {
+    const { owner, includeRevoked } = req.query;
+
+    const keys = await apiKeyService.listKeys({
+      owner,
+      includeRevoked: includeRevoked === 'true'
+    });
+
+    res.json({
+      keys
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'delete',
+  path: '/apikeys/:id',
+  operationId: 'revokeApiKey',
+  tags: ['Admin'],
+  summary: 'Revoke an API key',
+  auth: 'admin',
+  parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+  responses: {
+    200: jsonResponse('The revoked key', 'ApiKey'),
+    404: problemResponse('No such API key', ['NOT_FOUND'])
+  }
+}, async(req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.params.id);
+
+    if (!apiKey) {
+      throw new NotFoundError('API key not found');
+    }
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route', `API key revoked: ${apiKey.prefix} for ${apiKey.owner}`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log API key revocation:`, logError.message);
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'get',
+  path: '/domains',
+  operationId: 'listDomainRules',
+  tags: ['Admin'],
+  summary: 'List the destination blocklist and allowlist',
+  auth: 'admin',
+  parameters: [{ name: 'list', in: 'query', schema: { type: 'string', enum: ['block', 'allow'] } }],
+  responses: {
+    200: jsonResponse('Entries by domain', {
+      type: 'object',
+      required: ['domains'],
+      properties: { domains: { type: 'array', items: ref('DomainRule') } }
+    })
+  }
+}, async(req, res, next) => {
+  try {
+    res.json({
+      domains: await screeningService.listDomains({ list: req.query.list })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'post',
+  path: '/domains',
+  operationId: 'createDomainRule',
+  tags: ['Admin'],
+  summary: 'Block or allow a destination domain',
+  description: 'Blocked domains are refused as destinations of new and updated links. Allowed domains skip the ' +
+    'blocklist, shortener and reputation checks, but not the private address checks.',
+  auth: 'admin',
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: ref('DomainRuleInput') } }
+  },
+  responses: {
+    201: jsonResponse('The entry', 'DomainRule'),
+    400: problemResponse('Invalid domain, list or reason', ['INVALID_REQUEST']),
+    409: problemResponse('The domain is already on a list', ['CONFLICT'])
+  }
+}, async(req, res, next) => {
+  try {
+    const validation = ValidationService.validateDomainRuleRequest(req.body);
+
+    const domainRule = await screeningService.addDomain(validation, req.apiKey);
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route',
+        `Domain ${domainRule.domain} added to the ${domainRule.list} list by ${domainRule.createdBy}`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log domain rule creation:`, logError.message);
+    }
+
+    res.status(201).json(domainRule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'delete',
+  path: '/domains/:id',
+  operationId: 'deleteDomainRule',
+  tags: ['Admin'],
+  summary: 'Remove a blocklist or allowlist entry',
+  auth: 'admin',
+  parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+  responses: {
+    200: jsonResponse('The removed entry', 'DomainRule'),
+    404: problemResponse('No such entry', ['NOT_FOUND'])
+  }
+}, async(req, res, next) => {
+  try {
+    const domainRule = await screeningService.removeDomain(req.params.id);
+
+    if (!domainRule) {
+      throw new NotFoundError('Domain rule not found');
+    }
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route',
+        `Domain ${domainRule.domain} removed from the ${domainRule.list} list`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log domain rule removal:`, logError.message);
+    }
+
+    res.json(domainRule);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'get',
+  path: '/short-domains',
+  operationId: 'listShortDomains',
+  tags: ['Admin'],
+  summary: 'List the registered short-link domains',
+  auth: 'admin',
+  responses: {
+    200: jsonResponse('Registered domains', {
+      type: 'object',
+      required: ['domains'],
+      properties: { domains: { type: 'array', items: ref('ShortDomain') } }
+    })
+  }
+}, async(req, res, next) => {
+  try {
+    res.json({
+      domains: await domainService.listDomains()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'post',
+  path: '/short-domains',
+  operationId: 'createShortDomain',
+  tags: ['Admin'],
+  summary: 'Register a branded short-link domain',
+  description: 'Its DNS must point at this service. Links are then created on it with the domain field of ' +
+    'POST /shorturls, and resolved by the Host header of the visit.',
+  auth: 'admin',
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: ref('ShortDomainInput') } }
+  },
+  responses: {
+    201: jsonResponse('The domain', 'ShortDomain'),
+    400: problemResponse('Invalid hostname, fallback URL or validity', ['INVALID_REQUEST', 'INVALID_URL',
+      'PRIVATE_ADDRESS']),
+    409: problemResponse('The domain is already registered', ['CONFLICT'])
+  }
+}, async(req, res, next) => {
+  try {
+    const validation = ValidationService.validateDomainRequest(req.body);
+
+    const domain = await domainService.addDomain(validation, req.apiKey);
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route',
+        `Short-link domain ${domain.hostname} registered by ${domain.createdBy}`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log domain registration:`, logError.message);
+    }
+
+    res.status(201).json(domain);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'patch',
+  path: '/short-domains/:id',
+  operationId: 'updateShortDomain',
+  tags: ['Admin'],
+  summary: 'Change the 404 fallback or default validity of a domain',
+  auth: 'admin',
+  parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: ref('ShortDomainUpdate') } }
+  },
+  responses: {
+    200: jsonResponse('The updated domain', 'ShortDomain'),
+    400: problemResponse('Invalid fallback URL or validity', ['INVALID_REQUEST', 'INVALID_URL', 'PRIVATE_ADDRESS']),
+    404: problemResponse('No such domain', ['NOT_FOUND'])
+  }
+}, async(req, res, next) => {
+  try {
+    const { changes } = ValidationService.validateDomainUpdate(req.body);
+
+    const domain = await domainService.updateDomain(req.params.id, changes);
+
+    if (!domain) {
+      throw new NotFoundError('Domain not found');
+    }
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route',
+        `Short-link domain ${domain.hostname} updated (${Object.keys(changes).join(', ')})`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log domain update:`, logError.message);
+    }
+
+    res.json(domain);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'delete',
+  path: '/short-domains/:id',
+  operationId: 'deleteShortDomain',
+  tags: ['Admin'],
+  summary: 'Remove a short-link domain without links',
+  auth: 'admin',
+  parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+  responses: {
+    200: jsonResponse('The removed domain', 'ShortDomain'),
+    404: problemResponse('No such domain', ['NOT_FOUND']),
+    409: problemResponse('Links still use the domain', ['CONFLICT'])
+  }
+}, async(req, res, next) => {
+  try {
+    const domain = await domainService.removeDomain(req.params.id);
+
+    if (!domain) {
+      throw new NotFoundError('Domain not found');
+    }
+
+    try {
+      await loggingClient.Log('backend', 'info', 'route', `Short-link domain ${domain.hostname} removed`);
+    } catch (logError) {
+      console.warn(`[AdminRoutes] [${req.id}] Failed to log domain removal:`, logError.message);
+    }
+
+    res.json(domain);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'get',
+  path: '/clicks/queue',
+  operationId: 'getClickQueue',
+  tags: ['Admin'],
+  summary: 'State of the click write queue',
+  auth: 'admin',
+  responses: {
+    200: jsonResponse('Queue depth, retries and flush counters', 'ClickQueueMetrics')
+  }
+}, (req, res) => {
+  res.json(clickWriter.getMetrics());
+});
+
+module.exports = router;
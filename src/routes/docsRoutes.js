@@ -0,0 +1,44 @@
+const express = require('express');
+const path = require('path');
+const openApiService = require('../services/openApiService');
+const HtmlPages = require('../utils/html');
+const { defineRoutes } = require('../middleware/openApi');
+
+const router = express.Router();
+const route = defineRoutes(router, '/api');
+
+route({
+  method: 'get',
+  path: '/openapi.json',
+  operationId: 'getOpenApiDocument',
+  tags: ['Docs'],
+  summary: 'This OpenAPI document',
+  responses: {
+    200: {
+      description: 'OpenAPI 3.1 document',
+      content: { 'application/json': { schema: { type: 'object' } } }
+    }
+  }
+}, (req, res) => {
+  res.json(openApiService.document());
+});
+
+route({
+  method: 'get',
+  path: '/docs',
+  operationId: 'getApiExplorer',
+  tags: ['Docs'],
+  summary: 'Browse and try the API',
+  responses: {
+    200: { description: 'HTML explorer', content: { 'text/html': { schema: { type: 'string' } } } }
+  }
+}, (req, res) => {
+  res.type('html').send(HtmlPages.apiExplorer());
+});
+
+// Script of the explorer page; a separate file because the CSP forbids inline scripts
+router.get('/docs/explorer.js', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'assets', 'explorer.js'));
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const healthService = require('../services/healthService');
+const { defineRoutes } = require('../middleware/openApi');
+const { jsonResponse } = require('../utils/apiSchemas');
+
+const router = express.Router();
+const route = defineRoutes(router, '/health');
+
+// Liveness: the process is running and its event loop answers. Dependencies are
+// deliberately not checked, so an outage of MongoDB does not restart every pod.
+route({
+  method: 'get',
+  path: '/live',
+  operationId: 'getLiveness',
+  tags: ['Health'],
+  summary: 'Liveness probe',
+  rateLimited: false,
+  responses: {
+    200: jsonResponse('The process is running', 'Liveness')
+  }
+}, (req, res) => {
+  res.json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+});
+
+// Readiness: 503 while a required dependency is down, so the instance is taken
+// out of rotation until it recovers
+route({
+  method: 'get',
+  path: '/ready',
+  operationId: 'getReadiness',
+  tags: ['Health'],
+  summary: 'Readiness probe',
+  rateLimited: false,
+  responses: {
+    200: jsonResponse('Every required dependency is up', 'Readiness'),
+    503: jsonResponse('A required dependency is down', 'Readiness')
+  }
+}, async(req, res) => {
+  try {
+    const { ready, checks } = await healthService.readiness();
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks
+    });
+  } catch (error) {
+    console.error(`[HealthRoutes] [${req.id}] Error checking readiness:`, error);
+    res.status(503).json({
+      status: 'not_ready',
+      timestamp: new Date().toISOString(),
+      message: 'Readiness check failed'
+    });
+  }
+});
+
+module.exports = router;
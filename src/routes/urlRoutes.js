@@ -1,209 +1,694 @@
 const express = require('express');
-const geoip = require('geoip-lite');
-const Url = require('../models/Url');
-const shortcodeService = require('../services/shortcodeService');
+const urlService = require('../services/urlService');
+const analyticsService = require('../services/analyticsService');
+const retentionService = require('../services/retentionService');
+const redirectService = require('../services/redirectService');
+const domainService = require('../services/domainService');
+const qrService = require('../services/qrService');
+const urlCache = require('../services/urlCache');
+const metricsService = require('../services/metricsService');
 const ValidationService = require('../utils/validation');
+const HtmlPages = require('../utils/html');
 const loggingClient = require('../services/loggingClient');
+const { bulkUpload } = require('../middleware/bulkUpload');
+const { requireApiKey, requireUrlOwner } = require('../middleware/auth');
+const { createUrlLimiter, passwordLimiter, linkPasswordLimiter } = require('../middleware/rateLimiter');
+const { defineRoutes } = require('../middleware/openApi');
+const { ref, jsonResponse, problemResponse, schemas } = require('../utils/apiSchemas');
 const config = require('../config');
+const {
+  NotFoundError,
+  LinkExpiredError,
+  LinkDeactivatedError,
+  ClickLimitReachedError,
+  PasswordRequiredError,
+  PasswordIncorrectError
+} = require('../utils/errors');
 
 const router = express.Router();
-
-
-router.post('/shorturls', async (req, res) => {
+const route = defineRoutes(router);
+
+const shortcodeParameter = { name: 'shortcode', in: 'path', required: true, schema: { type: 'string' } };
+
+const linkNotFound = problemResponse('No such shortcode', ['NOT_FOUND']);
+
+const qrOptionsSchema = schemas.QrOptions;
+
+const notOwner = problemResponse('The link belongs to another owner', ['FORBIDDEN']);
+
+const invalidLinkCodes = [
+  'INVALID_REQUEST',
+  'INVALID_URL',
+  'PRIVATE_ADDRESS',
+  'DESTINATION_BLOCKED',
+  'SHORTENER_CHAIN',
+  'SELF_REFERENCE',
+  'MALICIOUS_DESTINATION',
+  'UNRESOLVABLE_HOST',
+  'SHORTCODE_INVALID'
+];
+
+const invalidLink = problemResponse('Invalid link fields', invalidLinkCodes);
+
+// Selects the link among those sharing its shortcode on other domains
+const domainParameter = {
+  name: 'domain',
+  in: 'query',
+  description: 'Short-link domain of the link, default the service\'s own host',
+  schema: { type: 'string' }
+};
+
+route({
+  method: 'post',
+  path: '/shorturls',
+  operationId: 'createShortUrl',
+  tags: ['Links'],
+  summary: 'Create a short URL',
+  auth: 'key',
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: ref('ShortUrlInput') } }
+  },
+  responses: {
+    201: jsonResponse('Short URL created', 'ShortUrlCreated'),
+    400: problemResponse('Invalid link fields or unknown domain', [...invalidLinkCodes, 'UNKNOWN_DOMAIN']),
+    409: problemResponse('The custom shortcode is in use', ['SHORTCODE_TAKEN'])
+  }
+}, createUrlLimiter, requireApiKey, async(req, res, next) => {
   try {
-    const { url, validity, shortcode } = req.body;
-
-    
-    const urlValidation = ValidationService.validateUrl(url);
-    if (!urlValidation.isValid) {
-      return res.status(400).json({
-        message: urlValidation.error
-      });
-    }
-
- 
-    const validityValidation = ValidationService.validateValidity(validity, config.defaultValidityMinutes);
-    if (!validityValidation.isValid) {
-      return res.status(400).json({
-        message: validityValidation.error
-      });
-    }
-
-   
-    const shortcodeResult = await shortcodeService.processShortcode(shortcode);
-    if (!shortcodeResult.success) {
-      return res.status(shortcodeResult.statusCode || 500).json({
-        message: shortcodeResult.error
-      });
-    }
-
-    
-    const expiryAt = new Date(Date.now() + validityValidation.validity * 60 * 1000);
-
- 
-    const urlDoc = new Url({
-      shortcode: shortcodeResult.shortcode,
-      originalUrl: urlValidation.url,
-      expiryAt,
-      clickCount: 0,
-      clicks: []
-    });
+    const { url, validity, shortcode, domain, password, maxClicks, rules, variants, preview } = req.body;
+    const { redirectStatus, forwardQuery, queryConflict, utm, qr } = req.body;
+
+    const result = await urlService.createShortUrl(
+      {
+        url,
+        validity,
+        shortcode,
+        domain,
+        password,
+        maxClicks,
+        rules,
+        variants,
+        preview,
+        redirectStatus,
+        forwardQuery,
+        queryConflict,
+        utm,
+        qr
+      },
+      req.apiKey
+    );
 
-    await urlDoc.save();
+    try {
+      await loggingClient.Log(
+        'backend',
+        'info',
+        'service',
+        `Short URL created: ${result.urlDoc.shortcode} -> ${result.urlDoc.originalUrl}`
+      );
+    } catch (logError) {
+      console.warn(`[Routes] [${req.id}] Failed to log URL creation:`, logError.message);
+    }
 
-    const shortLink = `${config.hostname}/${shortcodeResult.shortcode}`;
-    const response = {
-      shortLink,
-      expiry: expiryAt.toISOString()
-    };
+    res.status(201).json(result.data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'post',
+  path: '/shorturls/bulk',
+  operationId: 'createShortUrls',
+  tags: ['Links'],
+  summary: 'Create many short URLs in one request',
+  description: 'CSV bodies and uploads have a header row with the columns url, validity, shortcode, domain, ' +
+    'password, maxClicks and preview. Every item is created or rejected on its own.',
+  auth: 'key',
+  requestBody: {
+    required: true,
+    content: {
+      'application/json': { schema: ref('BulkInput') },
+      'text/csv': { schema: { type: 'string' } },
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          required: ['file'],
+          properties: { file: { type: 'string', format: 'binary' } }
+        }
+      }
+    }
+  },
+  responses: {
+    201: jsonResponse('Every item was created', 'BulkResult'),
+    207: jsonResponse('Some items failed; each result carries its own status', 'BulkResult'),
+    400: problemResponse('No items, too many items, or an unreadable CSV', ['INVALID_REQUEST'])
+  }
+}, createUrlLimiter, requireApiKey, bulkUpload, async(req, res, next) => {
+  try {
+    const results = await urlService.createShortUrls(req.bulkItems, req.apiKey);
+    const succeeded = results.filter(result => result.status === 201).length;
 
-    
     try {
       await loggingClient.Log(
         'backend',
         'info',
         'service',
-        `Short URL created: ${shortcodeResult.shortcode} -> ${urlValidation.url}`
+        `Bulk short URL creation: ${succeeded}/${results.length} created`
       );
     } catch (logError) {
-     
-      console.warn('[Routes] Failed to log URL creation:', logError.message);
+      console.warn(`[Routes] [${req.id}] Failed to log bulk URL creation:`, logError.message);
     }
 
-    res.status(201).json(response);
+    // 207 signals that the per-item statuses must be inspected
+    res.status(succeeded === results.length ? 201 : 207).json({
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Registered ahead of /:shortcode, which would otherwise take /shorturls for a shortcode
+route({
+  method: 'get',
+  path: '/shorturls',
+  operationId: 'listShortUrls',
+  tags: ['Links'],
+  summary: 'List and search links visible to the caller',
+  description: 'Admins see the links of every owner.',
+  auth: 'key',
+  parameters: [
+    { name: 'cursor', in: 'query', description: 'nextCursor of the previous page', schema: { type: 'string' } },
+    {
+      name: 'limit',
+      in: 'query',
+      schema: { type: 'integer', minimum: 1, maximum: config.list.maxLimit, default: config.list.defaultLimit }
+    },
+    { name: 'sort', in: 'query', schema: { type: 'string', enum: ['createdAt', 'clicks'], default: 'createdAt' } },
+    { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+    {
+      ...domainParameter,
+      description: 'Only links on this short-link domain; the service\'s own host lists links without a domain'
+    },
+    {
+      name: 'destinationDomain',
+      in: 'query',
+      description: 'Destination hostname, subdomains included',
+      schema: { type: 'string' }
+    },
+    { name: 'createdFrom', in: 'query', description: 'ISO 8601 date', schema: { type: 'string' } },
+    { name: 'createdTo', in: 'query', description: 'ISO 8601 date', schema: { type: 'string' } },
+    { name: 'state', in: 'query', schema: { type: 'string', enum: ['active', 'expired', 'inactive'] } },
+    { name: 'minClicks', in: 'query', schema: { type: 'integer', minimum: 0 } },
+    {
+      name: 'search',
+      in: 'query',
+      description: 'Substring of the shortcode or destination URL',
+      schema: { type: 'string', maxLength: 200 }
+    },
+    { name: 'owner', in: 'query', description: 'Only links of this owner; admins only', schema: { type: 'string' } }
+  ],
+  responses: {
+    200: jsonResponse('A page of links', 'LinkList'),
+    400: problemResponse('Invalid filter or cursor', ['INVALID_REQUEST'])
+  }
+}, requireApiKey, async(req, res, next) => {
+  try {
+    const queryValidation = ValidationService.validateListQuery(req.query);
 
+    res.json(await urlService.listUrls(queryValidation, req.apiKey));
   } catch (error) {
-    console.error('[Routes] Error creating short URL:', error);
-    
-    
-    if (error.code === 11000) {
-      return res.status(409).json({
-        message: 'Shortcode already exists'
-      });
-    }
+    next(error);
+  }
+});
 
-    res.status(500).json({
-      message: 'Internal server error'
+/**
+ * Remember the A/B variant of a new visitor
+ */
+const setVisitorCookie = (res, target) => {
+  if (target.setVisitorCookie) {
+    res.cookie(config.variants.cookieName, target.visitorId, {
+      maxAge: config.variants.cookieMaxAgeMs,
+      httpOnly: true,
+      sameSite: 'lax'
     });
   }
-});
+};
+
+/**
+ * Answer with the preview page of a usable link. Destinations of protected
+ * links stay hidden until the password is entered.
+ */
+const showPreview = async(req, res, urlDoc, clickData) => {
+  let destination = null;
 
+  if (!urlDoc.hasPassword()) {
+    const target = redirectService.resolveDestination(urlDoc, clickData, req);
+    destination = target.destination;
 
-router.get('/:shortcode', async (req, res) => {
+    // Keep the visitor on the variant shown when they continue
+    setVisitorCookie(res, target);
+  }
+
+  await redirectService.recordPreview(urlDoc);
+  metricsService.previews.inc();
+
+  res.status(200).type('html').send(HtmlPages.linkPreview({
+    shortcode: urlDoc.shortcode,
+    destination,
+    createdAt: urlDoc.createdAt,
+    clickCount: urlDoc.clickCount,
+    passwordProtected: urlDoc.hasPassword(),
+    search: new URL(req.originalUrl, 'http://localhost').search
+  }));
+};
+
+/**
+ * Count a visit to a missing or unusable link by reason, returning the error to throw
+ */
+const rejectVisit = (reason, error) => {
+  metricsService.redirectFailures.inc({ status: error.status, reason });
+  return error;
+};
+
+/**
+ * Resolve a shortcode for a visitor and either redirect, or answer why not.
+ * The shortcode is looked up on the registered domain named by the Host header,
+ * or on the default domain for any other host. Protected links require the
+ * password from the X-Link-Password header or, for POST, from the submitted
+ * form. A GET of a preview link, or of any link with "+" appended to the
+ * shortcode, shows the preview page instead; its continue button submits to
+ * POST, which redirects.
+ */
+const handleRedirect = async(req, res, next) => {
   try {
-    const { shortcode } = req.params;
+    const previewRequested = req.params.shortcode.endsWith('+');
+    const shortcode = previewRequested ? req.params.shortcode.slice(0, -1) : req.params.shortcode;
 
-    
-    const urlDoc = await Url.findOne({ shortcode });
+    const domain = await domainService.findByHostname(req.hostname);
+    const urlDoc = await urlCache.findByShortcode(shortcode, domain ? domain.hostname : null);
 
     if (!urlDoc) {
-      return res.status(404).json({
-        message: 'shortcode not found'
-      });
+      // Unknown shortcodes on a domain with a fallback go there instead of a 404
+      if (domain && domain.notFoundUrl) {
+        metricsService.redirectFailures.inc({ status: 302, reason: 'not_found' });
+        return res.redirect(302, domain.notFoundUrl);
+      }
+      throw rejectVisit('not_found', new NotFoundError('shortcode not found'));
     }
 
-    
     if (urlDoc.isExpired()) {
-      return res.status(410).json({
-        message: 'link expired'
-      });
+      throw rejectVisit('expired', new LinkExpiredError('link expired'));
     }
 
-    
-    const clientIP = ValidationService.extractClientIP(req);
-    const headers = ValidationService.extractSafeHeaders(req);
-    
-   
-    let country = null;
-    try {
-      const geo = geoip.lookup(clientIP);
-      country = geo ? geo.country : null;
-    } catch (geoError) {
-    
-      console.warn('[Routes] GeoIP lookup failed:', geoError.message);
+    if (!urlDoc.isActive) {
+      throw rejectVisit('deactivated', new LinkDeactivatedError('link deactivated'));
+    }
+
+    if (urlDoc.isClickLimitReached()) {
+      throw rejectVisit('click_limit', new ClickLimitReachedError('link click limit reached'));
+    }
+
+    const clickData = redirectService.buildClickData(req);
+
+    if (req.method === 'GET' && (previewRequested || urlDoc.preview)) {
+      return await showPreview(req, res, urlDoc, clickData);
     }
 
-    
-    const clickData = {
-      ts: new Date(),
-      ip: clientIP,
-      referrer: headers.referrer,
-      userAgent: headers.userAgent,
-      country
-    };
+    if (urlDoc.hasPassword()) {
+      const password = req.method === 'POST' ? req.body.password : req.get(config.password.header);
+      const wantsHtml = req.accepts(['json', 'html']) === 'html';
+      const search = new URL(req.originalUrl, 'http://localhost').search;
+
+      if (password === undefined) {
+        if (wantsHtml) {
+          return res.status(200).type('html').send(HtmlPages.passwordPrompt(shortcode, null, search));
+        }
+        throw new PasswordRequiredError(`password required, send it in the ${config.password.header} header`);
+      }
+
+      const valid = await redirectService.checkPassword(urlDoc, password, clickData.ip);
+      if (!valid) {
+        if (wantsHtml) {
+          return res.status(403).type('html').send(HtmlPages.passwordPrompt(shortcode, 'Incorrect password', search));
+        }
+        throw new PasswordIncorrectError('incorrect password');
+      }
+    }
+
+    const target = redirectService.resolveDestination(urlDoc, clickData, req);
 
-    await urlDoc.addClick(clickData);
+    // Another request may have used the last click since the check above
+    const recorded = await redirectService.recordClick(urlDoc, {
+      ...clickData,
+      ruleIndex: target.ruleIndex,
+      variant: target.variant
+    });
+    if (!recorded) {
+      throw rejectVisit('click_limit', new ClickLimitReachedError('link click limit reached'));
+    }
+
+    setVisitorCookie(res, target);
+
+    // After a form POST, 303 makes the browser follow with a GET
+    const status = req.method === 'POST' ? 303 : (urlDoc.redirectStatus || config.redirects.defaultStatus);
+    res.redirect(status, target.destination);
+    metricsService.redirects.inc({ status });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const unusableLink = problemResponse('The link expired, was deactivated or used up its clicks', [
+  'LINK_EXPIRED',
+  'LINK_DEACTIVATED',
+  'CLICK_LIMIT_REACHED'
+]);
+
+const wrongPassword = problemResponse('Incorrect password', ['PASSWORD_INCORRECT']);
+
+route({
+  method: 'get',
+  path: '/:shortcode',
+  operationId: 'followShortUrl',
+  tags: ['Redirects'],
+  summary: 'Redirect to the destination of a short link',
+  description: 'The shortcode is looked up on the registered short-link domain named by the Host header, or on ' +
+    'the service\'s own host for any other host. Links created with preview, and any link requested with "+" ' +
+    'appended to the shortcode, answer with a preview page instead. Its continue button submits to ' +
+    'POST /{shortcode}.',
+  parameters: [
+    {
+      ...shortcodeParameter,
+      description: 'Shortcode, with "+" appended to show the preview page'
+    },
+    {
+      name: config.password.header,
+      in: 'header',
+      description: 'Password of a protected link',
+      schema: { type: 'string' }
+    }
+  ],
+  responses: {
+    200: {
+      description: 'HTML preview page, or the password prompt for protected links requested by a browser ' +
+        'without a password',
+      content: { 'text/html': { schema: { type: 'string' } } }
+    },
+    301: { description: 'Permanent redirect to the destination, for links created with redirectStatus 301' },
+    302: {
+      description: 'Redirect to the destination, the default; also the redirect of unknown shortcodes to the ' +
+        'notFoundUrl of their domain'
+    },
+    307: { description: 'Redirect to the destination, for links created with redirectStatus 307' },
+    308: { description: 'Permanent redirect to the destination, for links created with redirectStatus 308' },
+    401: problemResponse('The link is protected and no password was sent', ['PASSWORD_REQUIRED']),
+    403: wrongPassword,
+    404: linkNotFound,
+    410: unusableLink
+  }
+}, passwordLimiter, linkPasswordLimiter, handleRedirect);
+
+route({
+  method: 'post',
+  path: '/:shortcode',
+  operationId: 'unlockShortUrl',
+  tags: ['Redirects'],
+  summary: 'Continue from the password prompt or the preview page',
+  parameters: [shortcodeParameter],
+  requestBody: {
+    content: {
+      'application/x-www-form-urlencoded': {
+        schema: { type: 'object', properties: { password: { type: 'string' } } }
+      },
+      'application/json': {
+        schema: { type: 'object', properties: { password: { type: 'string' } } }
+      }
+    }
+  },
+  responses: {
+    303: { description: 'Redirect to the destination' },
+    401: problemResponse('No password was sent', ['PASSWORD_REQUIRED']),
+    403: wrongPassword,
+    404: linkNotFound,
+    410: unusableLink
+  }
+}, passwordLimiter, linkPasswordLimiter, handleRedirect);
+
+route({
+  method: 'get',
+  path: '/shorturls/:shortcode',
+  operationId: 'getShortUrlStats',
+  tags: ['Links'],
+  summary: 'Statistics of a link, with a page of its clicks',
+  auth: 'key',
+  parameters: [
+    shortcodeParameter,
+    domainParameter,
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 50 } }
+  ],
+  responses: {
+    200: jsonResponse('Link statistics', 'LinkStats'),
+    400: problemResponse('Invalid page or limit', ['INVALID_REQUEST']),
+    403: notOwner,
+    404: linkNotFound
+  }
+}, requireApiKey, requireUrlOwner, async(req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+
+    const paginationValidation = ValidationService.validatePagination(page, limit);
+
+    const response = await urlService.getStats(req.urlDoc, paginationValidation.page, paginationValidation.limit);
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'get',
+  path: '/shorturls/:shortcode/qr',
+  operationId: 'getShortUrlQrCode',
+  tags: ['Links'],
+  summary: 'QR code of a link',
+  description: `The code encodes the short link with ${config.qr.sourceParam}=qr added, so scans are recorded ` +
+    'with source "qr" in the analytics.',
+  auth: 'key',
+  parameters: [
+    shortcodeParameter,
+    domainParameter,
+    {
+      name: 'format',
+      in: 'query',
+      schema: { type: 'string', enum: config.qr.formats, default: config.qr.defaultFormat }
+    },
+    ...['size', 'margin', 'errorCorrection', 'foreground', 'background'].map(name => ({
+      name,
+      in: 'query',
+      schema: qrOptionsSchema.properties[name]
+    }))
+  ],
+  responses: {
+    200: {
+      description: 'The QR code',
+      content: {
+        'image/png': { schema: { type: 'string', format: 'binary' } },
+        'image/svg+xml': { schema: { type: 'string' } }
+      }
+    },
+    400: problemResponse('Invalid QR code options', ['INVALID_REQUEST']),
+    403: notOwner,
+    404: linkNotFound
+  }
+}, requireApiKey, requireUrlOwner, async(req, res, next) => {
+  try {
+    const options = ValidationService.validateQrOptions(req.query);
+    const shortLink = urlService.buildShortLink(req.urlDoc.shortcode, req.urlDoc.domain);
+
+    const { contentType, body } = await qrService.render(qrService.scanLink(shortLink), options);
+
+    res.set('Content-Disposition', `inline; filename="${req.urlDoc.shortcode}.${options.format}"`);
+    res.type(contentType).send(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'patch',
+  path: '/shorturls/:shortcode',
+  operationId: 'updateShortUrl',
+  tags: ['Links'],
+  summary: 'Change the destination, validity, state, password, click limit, rules, variants, preview or redirect ' +
+    'options of a link',
+  auth: 'key',
+  parameters: [shortcodeParameter, domainParameter],
+  requestBody: {
+    required: true,
+    content: { 'application/json': { schema: ref('ShortUrlUpdate') } }
+  },
+  responses: {
+    200: jsonResponse('Statistics of the updated link', 'LinkStats'),
+    400: invalidLink,
+    403: notOwner,
+    404: linkNotFound
+  }
+}, requireApiKey, requireUrlOwner, async(req, res, next) => {
+  try {
+    const updateValidation = ValidationService.validateUrlUpdate(req.body);
+
+    const urlDoc = await urlService.updateShortUrl(req.urlDoc, updateValidation.changes);
 
-    
     try {
       await loggingClient.Log(
         'backend',
         'info',
-        'route',
-        `Redirect: ${shortcode} accessed from IP ${clientIP}`
+        'service',
+        `Short URL updated: ${urlDoc.shortcode} (${Object.keys(updateValidation.changes).join(', ')})`
       );
     } catch (logError) {
-     
-      console.warn('[Routes] Failed to log redirect:', logError.message);
+      console.warn(`[Routes] [${req.id}] Failed to log URL update:`, logError.message);
     }
 
-    
-    res.redirect(302, urlDoc.originalUrl);
-
+    res.json(await urlService.getStats(urlDoc));
   } catch (error) {
-    console.error('[Routes] Error handling redirect:', error);
-    res.status(500).json({
-      message: 'Internal server error'
-    });
+    next(error);
   }
 });
 
+route({
+  method: 'delete',
+  path: '/shorturls/:shortcode',
+  operationId: 'deleteShortUrl',
+  tags: ['Links'],
+  summary: 'Delete a link and its click history',
+  auth: 'key',
+  parameters: [shortcodeParameter, domainParameter],
+  responses: {
+    200: jsonResponse('Final statistics of the deleted link', 'LinkStats'),
+    403: notOwner,
+    404: linkNotFound
+  }
+}, requireApiKey, requireUrlOwner, async(req, res, next) => {
+  try {
+    // Capture the final stats before the clicks are gone
+    const response = await urlService.getStats(req.urlDoc);
+    await urlService.deleteShortUrl(req.urlDoc);
+
+    try {
+      await loggingClient.Log('backend', 'info', 'service', `Short URL deleted: ${req.urlDoc.shortcode}`);
+    } catch (logError) {
+      console.warn(`[Routes] [${req.id}] Failed to log URL deletion:`, logError.message);
+    }
 
-router.get('/shorturls/:shortcode', async (req, res) => {
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+route({
+  method: 'post',
+  path: '/shorturls/:shortcode/restore',
+  operationId: 'restoreShortUrl',
+  tags: ['Links'],
+  summary: 'Renew an expired link, or bring back a link that was archived',
+  auth: 'key',
+  parameters: [shortcodeParameter, domainParameter],
+  requestBody: {
+    content: { 'application/json': { schema: ref('RestoreInput') } }
+  },
+  responses: {
+    200: jsonResponse('Statistics of the renewed link', 'LinkStats'),
+    201: jsonResponse('Statistics of the link restored from the archive', 'LinkStats'),
+    400: problemResponse('Invalid validity', ['INVALID_REQUEST']),
+    403: notOwner,
+    404: problemResponse('No such shortcode, live or archived', ['NOT_FOUND']),
+    409: problemResponse('The shortcode was taken by a new link', ['SHORTCODE_TAKEN'])
+  }
+}, requireApiKey, async(req, res, next) => {
   try {
     const { shortcode } = req.params;
-    const { page, limit } = req.query;
 
-    
-    const paginationValidation = ValidationService.validatePagination(page, limit);
-    if (!paginationValidation.isValid) {
-      return res.status(400).json({
-        message: paginationValidation.error
-      });
+    const { domain } = ValidationService.validateLinkDomain(req.query.domain);
+    const linkDomain = domain ? await domainService.findByHostname(domain) : null;
+    const defaultValidity = (linkDomain && linkDomain.defaultValidityMinutes) || config.defaultValidityMinutes;
+    const validityValidation = ValidationService.validateValidity(req.body.validity, defaultValidity);
+
+    const result = await retentionService.restore(shortcode, validityValidation.validity, req.apiKey, domain);
+
+    try {
+      await loggingClient.Log('backend', 'info', 'service', `Short URL restored: ${shortcode}`);
+    } catch (logError) {
+      console.warn(`[Routes] [${req.id}] Failed to log URL restore:`, logError.message);
     }
 
-    // Find the URL document
-    const urlDoc = await Url.findOne({ shortcode });
+    res.status(result.statusCode).json(await urlService.getStats(result.urlDoc));
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!urlDoc) {
-      return res.status(404).json({
-        message: 'shortcode not found'
-      });
-    }
-
-    // Prepare paginated clicks
-    const startIndex = (paginationValidation.page - 1) * paginationValidation.limit;
-    const endIndex = startIndex + paginationValidation.limit;
-    const paginatedClicks = urlDoc.clicks.slice(startIndex, endIndex);
-
-    // Build response
-    const response = {
-      shortcode: urlDoc.shortcode,
-      originalUrl: urlDoc.originalUrl,
-      createdAt: urlDoc.createdAt,
-      expiry: urlDoc.expiryAt,
-      totalClicks: urlDoc.clickCount,
-      clicks: paginatedClicks
-    };
+route({
+  method: 'get',
+  path: '/shorturls/:shortcode/analytics',
+  operationId: 'getShortUrlAnalytics',
+  tags: ['Links'],
+  summary: 'Aggregated click analytics of a link',
+  auth: 'key',
+  parameters: [
+    shortcodeParameter,
+    domainParameter,
+    {
+      name: 'interval',
+      in: 'query',
+      schema: {
+        type: 'string',
+        enum: Object.keys(config.analytics.intervals),
+        default: config.analytics.defaultInterval
+      }
+    },
+    {
+      name: 'from',
+      in: 'query',
+      description: `ISO 8601 start of the range, default ${config.analytics.defaultRangeDays} days before to`,
+      schema: { type: 'string' }
+    },
+    { name: 'to', in: 'query', description: 'ISO 8601 end of the range, default now', schema: { type: 'string' } },
+    {
+      name: 'top',
+      in: 'query',
+      description: 'Entries per breakdown',
+      schema: { type: 'integer', minimum: 1, maximum: config.analytics.maxTop, default: config.analytics.defaultTop }
+    }
+  ],
+  responses: {
+    200: jsonResponse('Totals, time series and breakdowns', 'Analytics'),
+    400: problemResponse('Invalid interval, range or top', ['INVALID_REQUEST']),
+    403: notOwner,
+    404: linkNotFound
+  }
+}, requireApiKey, requireUrlOwner, async(req, res, next) => {
+  try {
+    const queryValidation = ValidationService.validateAnalyticsQuery(req.query);
 
-    res.json(response);
+    const analytics = await analyticsService.getAnalytics(
+      req.urlDoc.shortcode,
+      queryValidation,
+      req.urlDoc.domain || null
+    );
 
+    res.json(analytics);
   } catch (error) {
-    console.error('[Routes] Error getting shortcode stats:', error);
-    res.status(500).json({
-      message: 'Internal server error'
-    });
+    next(error);
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
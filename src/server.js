@@ -1,16 +1,30 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 
 const config = require('./config');
 const { connectDatabase } = require('./config/database');
+const retentionService = require('./services/retentionService');
+const urlCache = require('./services/urlCache');
+const clickWriter = require('./services/clickWriter');
+const screeningService = require('./services/screeningService');
+const domainService = require('./services/domainService');
+const loggingClient = require('./services/loggingClient');
 const urlRoutes = require('./routes/urlRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const healthService = require('./services/healthService');
 const { errorHandler, notFoundHandler, requestLogger } = require('./middleware/errorHandler');
-const { generalLimiter, createUrlLimiter, redirectLimiter } = require('./middleware/rateLimiter');
+const { generalLimiter, redirectLimiter } = require('./middleware/rateLimiter');
+const { requestMetrics, metricsEndpoint } = require('./middleware/metrics');
+const { assignRequestId, restoreRequestContext } = require('./middleware/requestId');
+const { defineRoutes } = require('./middleware/openApi');
+const { jsonResponse } = require('./utils/apiSchemas');
 
 
 const app = express();
+const route = defineRoutes(app);
 
 
 app.use(helmet({
@@ -30,25 +44,44 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.NODE_ENV === 'production' ? false : true,
   credentials: true,
+  exposedHeaders: [config.requestId.header],
   optionsSuccessStatus: 200
 }));
 
+/**
+ * Request id and logging middleware, ahead of the body parsers so that
+ * requests with an unparsable body are logged with their id too
+ */
+app.use(assignRequestId);
+app.use(requestLogger);
+app.use(requestMetrics);
+
 /**
  * Body parsing middleware
  */
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(restoreRequestContext);
 
 /**
- * Logging middleware
+ * Prometheus metrics and the liveness/readiness probes, registered ahead of the
+ * rate limiter so scrapes and probes are never throttled
  */
-if (process.env.NODE_ENV === 'development') {
-  app.use(morgan('dev'));
-} else {
-  app.use(morgan('combined'));
-}
-
-app.use(requestLogger);
+route({
+  method: 'get',
+  path: '/metrics',
+  operationId: 'getMetrics',
+  tags: ['Health'],
+  summary: 'Prometheus metrics',
+  rateLimited: false,
+  responses: {
+    200: {
+      description: 'Metrics in the Prometheus text exposition format',
+      content: { 'text/plain': { schema: { type: 'string' } } }
+    }
+  }
+}, metricsEndpoint);
+app.use('/health', healthRoutes);
 
 /**
  * Rate limiting
@@ -58,7 +91,16 @@ app.use(generalLimiter);
 /**
  * Health check endpoint
  */
-app.get('/health', (req, res) => {
+route({
+  method: 'get',
+  path: '/health',
+  operationId: 'getHealth',
+  tags: ['Health'],
+  summary: 'Basic health check',
+  responses: {
+    200: jsonResponse('The service is running', 'Liveness')
+  }
+}, (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -69,69 +111,21 @@ app.get('/health', (req, res) => {
 });
 
 /**
- * API documentation endpoint
+ * OpenAPI document and explorer, generated from the route definitions
  */
-app.get('/api/docs', (req, res) => {
-  res.json({
-    name: 'URL Shortener Microservice',
-    version: require('../package.json').version,
-    description: 'A production-ready URL shortener service',
-    endpoints: {
-      'POST /shorturls': {
-        description: 'Create a short URL',
-        body: {
-          url: 'string (required) - Full URL with protocol',
-          validity: 'number (optional) - Validity in minutes, default 30',
-          shortcode: 'string (optional) - Custom shortcode (4-20 chars, alphanumeric)'
-        },
-        responses: {
-          201: { shortLink: 'string', expiry: 'ISO8601 timestamp' },
-          400: { message: 'string' },
-          409: { message: 'string' },
-          500: { message: 'string' }
-        }
-      },
-      'GET /:shortcode': {
-        description: 'Redirect to original URL',
-        responses: {
-          302: 'Redirect to original URL',
-          404: { message: 'shortcode not found' },
-          410: { message: 'link expired' },
-          500: { message: 'string' }
-        }
-      },
-      'GET /shorturls/:shortcode': {
-        description: 'Get statistics for a shortcode',
-        query: {
-          page: 'number (optional) - Page number, default 1',
-          limit: 'number (optional) - Items per page, default 50, max 1000'
-        },
-        responses: {
-          200: {
-            shortcode: 'string',
-            originalUrl: 'string',
-            createdAt: 'Date',
-            expiry: 'Date',
-            totalClicks: 'number',
-            clicks: 'array'
-          },
-          404: { message: 'shortcode not found' },
-          500: { message: 'string' }
-        }
-      }
-    }
-  });
-});
+app.use('/api', docsRoutes);
 
 /**
- * Apply specific rate limiters to routes
+ * Apply specific rate limiters to routes. Link creation has its own, tighter
+ * limit on POST /shorturls and POST /shorturls/bulk (see routes/urlRoutes);
+ * reading and managing links is covered by the general limiter.
  */
-app.use('/shorturls', createUrlLimiter);
 app.use('/:shortcode', redirectLimiter);
 
 /**
  * Mount routes
  */
+app.use('/admin', adminRoutes);
 app.use('/', urlRoutes);
 
 /**
@@ -149,8 +143,26 @@ app.use(errorHandler);
  */
 const startServer = async () => {
   try {
+    // Ship log entries spooled by this or an earlier run
+    await loggingClient.start();
+
     // Connect to database
     await connectDatabase();
+    healthService.watchMongoPool();
+
+    // Expired links are archived by the retention sweep instead of a TTL index
+    await retentionService.dropLegacyTtlIndex();
+    retentionService.start();
+
+    // Shortcodes are unique per short-link domain instead of globally
+    await domainService.dropLegacyShortcodeIndex();
+
+    // Redirects read links through the cache and store clicks in batches
+    await urlCache.connect();
+    await clickWriter.start();
+
+    // Reputation lists used to screen destinations
+    await screeningService.start();
     
     // Start HTTP server
     const server = app.listen(config.port, () => {
@@ -158,15 +170,22 @@ const startServer = async () => {
       console.log(`[Server] Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`[Server] Hostname: ${config.hostname}`);
       console.log(`[Server] Health check: ${config.hostname}/health`);
-      console.log(`[Server] API docs: ${config.hostname}/api/docs`);
+      console.log(`[Server] Readiness probe: ${config.hostname}/health/ready`);
+      console.log(`[Server] Metrics: ${config.hostname}/metrics`);
+      console.log(`[Server] API docs: ${config.hostname}/api/docs (${config.hostname}/api/openapi.json)`);
     });
 
     // Graceful shutdown
     const gracefulShutdown = (signal) => {
       console.log(`[Server] Received ${signal}, shutting down gracefully...`);
       
-      server.close(() => {
+      server.close(async() => {
         console.log('[Server] HTTP server closed');
+        await retentionService.stop();
+        await clickWriter.stop();
+        await screeningService.stop();
+        await urlCache.close();
+        await loggingClient.stop();
         process.exit(0);
       });
 
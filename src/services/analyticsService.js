@@ -0,0 +1,173 @@
+const Click = require('../models/Click');
+const config = require('../config');
+
+/**
+ * Aggregated click analytics built on the clicks collection
+ */
+class AnalyticsService {
+  /**
+   * Truncate a date to the start of its bucket (UTC, ISO weeks start on Monday)
+   * @param {Date} date - Date to truncate
+   * @param {string} interval - hour, day or week
+   * @returns {Date} Start of the bucket containing date
+   */
+  truncate(date, interval) {
+    const d = new Date(date);
+    d.setUTCMinutes(0, 0, 0);
+
+    if (interval !== 'hour') {
+      d.setUTCHours(0);
+    }
+
+    if (interval === 'week') {
+      const daysSinceMonday = (d.getUTCDay() + 6) % 7;
+      d.setUTCDate(d.getUTCDate() - daysSinceMonday);
+    }
+
+    return d;
+  }
+
+  /**
+   * Build the aggregation expression that maps a click's ts to its bucket start
+   * @param {string} interval - hour, day or week
+   * @returns {object} MongoDB expression
+   * @private
+   */
+  _bucketExpression(interval) {
+    if (interval === 'week') {
+      return {
+        $dateFromParts: {
+          isoWeekYear: { $isoWeekYear: '$ts' },
+          isoWeek: { $isoWeek: '$ts' },
+          isoDayOfWeek: 1
+        }
+      };
+    }
+
+    const parts = {
+      year: { $year: '$ts' },
+      month: { $month: '$ts' },
+      day: { $dayOfMonth: '$ts' }
+    };
+
+    if (interval === 'hour') {
+      parts.hour = { $hour: '$ts' };
+    }
+
+    return { $dateFromParts: parts };
+  }
+
+  /**
+   * Pipeline for a "top N values of a field" facet
+   * @private
+   */
+  _topValues(field, fallback, top) {
+    return [
+      { $group: { _id: { $ifNull: [field, fallback] }, clicks: { $sum: 1 } } },
+      { $sort: { clicks: -1, _id: 1 } },
+      { $limit: top },
+      { $project: { _id: 0, value: '$_id', clicks: 1 } }
+    ];
+  }
+
+  /**
+   * Produce one entry per bucket in the range, filling gaps with zeroes
+   * @private
+   */
+  _fillTimeseries(rows, from, to, interval) {
+    const byBucket = new Map(rows.map(row => [row._id.getTime(), row]));
+    const step = config.analytics.intervals[interval];
+    const series = [];
+
+    for (let t = this.truncate(from, interval).getTime(); t <= to.getTime(); t += step) {
+      const row = byBucket.get(t);
+      series.push({
+        bucket: new Date(t).toISOString(),
+        clicks: row ? row.clicks : 0,
+        uniqueVisitors: row ? row.uniqueVisitors : 0
+      });
+    }
+
+    return series;
+  }
+
+  /**
+   * Add each variant's share of the variant traffic
+   * @private
+   */
+  _compareVariants(rows) {
+    const total = rows.reduce((sum, row) => sum + row.clicks, 0);
+
+    return rows.map(row => ({
+      ...row,
+      share: total > 0 ? Math.round((row.clicks / total) * 10000) / 100 : 0
+    }));
+  }
+
+  /**
+   * Summarise the clicks of a shortcode over a time range
+   * @param {string} shortcode - Shortcode to report on
+   * @param {object} options - { interval, from, to, top } as returned by ValidationService.validateAnalyticsQuery
+   * @param {string|null} domain - Short-link domain of the shortcode, null for the default domain
+   * @returns {Promise<object>} Totals, time series and top dimensions
+   */
+  async getAnalytics(shortcode, { interval, from, to, top }, domain = null) {
+    const [result] = await Click.aggregate([
+      { $match: { shortcode, domain, ts: { $gte: from, $lte: to } } },
+      {
+        $facet: {
+          totals: [
+            { $group: { _id: '$ipHash', clicks: { $sum: 1 } } },
+            { $group: { _id: null, clicks: { $sum: '$clicks' }, uniqueVisitors: { $sum: 1 } } }
+          ],
+          timeseries: [
+            {
+              $group: {
+                _id: { bucket: this._bucketExpression(interval), visitor: '$ipHash' },
+                clicks: { $sum: 1 }
+              }
+            },
+            { $group: { _id: '$_id.bucket', clicks: { $sum: '$clicks' }, uniqueVisitors: { $sum: 1 } } }
+          ],
+          countries: this._topValues('$country', 'unknown', top),
+          referrers: this._topValues('$referrerDomain', 'direct', top),
+          browsers: this._topValues('$browser', 'unknown', top),
+          operatingSystems: this._topValues('$os', 'unknown', top),
+          devices: this._topValues('$device', 'unknown', top),
+          // Clicks stored before sources were recorded count as "link"
+          sources: this._topValues('$source', 'link', top),
+          variants: [
+            { $match: { variant: { $ne: null } } },
+            { $group: { _id: { variant: '$variant', visitor: '$ipHash' }, clicks: { $sum: 1 } } },
+            { $group: { _id: '$_id.variant', clicks: { $sum: '$clicks' }, uniqueVisitors: { $sum: 1 } } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, variant: '$_id', clicks: 1, uniqueVisitors: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const totals = result.totals[0] || { clicks: 0, uniqueVisitors: 0 };
+
+    return {
+      shortcode,
+      interval,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totalClicks: totals.clicks,
+      uniqueVisitors: totals.uniqueVisitors,
+      timeseries: this._fillTimeseries(result.timeseries, from, to, interval),
+      countries: result.countries,
+      referrers: result.referrers,
+      browsers: result.browsers,
+      operatingSystems: result.operatingSystems,
+      devices: result.devices,
+      sources: result.sources,
+      variants: this._compareVariants(result.variants)
+    };
+  }
+}
+
+// Export singleton instance
+const analyticsService = new AnalyticsService();
+module.exports = analyticsService;
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const config = require('../config');
+
+/**
+ * Issuing, revoking and verifying API keys
+ */
+class ApiKeyService {
+  constructor() {
+    this.keyPrefix = config.auth.keyPrefix;
+    this.keyBytes = config.auth.keyBytes;
+  }
+
+  /**
+   * Hash a plaintext API key for storage or lookup
+   * Keys are long random strings, so a fast unsalted hash is sufficient.
+   * @param {string} key - Plaintext key
+   * @returns {string} Hex encoded SHA-256 digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Generate a new random plaintext key
+   * @returns {string} Key such as usk_3f9c...
+   */
+  generateKey() {
+    return `${this.keyPrefix}${crypto.randomBytes(this.keyBytes).toString('hex')}`;
+  }
+
+  /**
+   * Compare a key against the bootstrap admin key from the environment
+   * @param {string} key - Plaintext key from the request
+   * @returns {boolean}
+   * @private
+   */
+  _isBootstrapAdminKey(key) {
+    if (!config.auth.adminKey) {
+      return false;
+    }
+
+    // Compare digests so both buffers have the same length
+    return crypto.timingSafeEqual(
+      Buffer.from(this.hashKey(key), 'hex'),
+      Buffer.from(this.hashKey(config.auth.adminKey), 'hex')
+    );
+  }
+
+  /**
+   * Resolve a plaintext key to the principal making the request
+   * @param {string} key - Plaintext key from the request header
+   * @returns {Promise<object|null>} { id, owner, isAdmin } or null when the key is unknown or revoked
+   */
+  async authenticate(key) {
+    if (!key || typeof key !== 'string') {
+      return null;
+    }
+
+    if (this._isBootstrapAdminKey(key)) {
+      return {
+        id: null,
+        owner: config.auth.adminOwner,
+        isAdmin: true
+      };
+    }
+
+    const apiKey = await ApiKey.findActiveByHash(this.hashKey(key));
+    if (!apiKey) {
+      return null;
+    }
+
+    // Best effort, a failed timestamp update must not fail the request
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.warn('[ApiKeyService] Failed to update lastUsedAt:', error.message));
+
+    return {
+      id: apiKey._id,
+      owner: apiKey.owner,
+      isAdmin: apiKey.isAdmin
+    };
+  }
+
+  /**
+   * Issue a new API key
+   * @param {object} options - { owner, name, isAdmin }
+   * @returns {Promise<object>} { apiKey, key } where key is the plaintext, shown only once
+   */
+  async issueKey({ owner, name = null, isAdmin = false }) {
+    const key = this.generateKey();
+
+    const apiKey = await ApiKey.create({
+      keyHash: this.hashKey(key),
+      prefix: key.slice(0, this.keyPrefix.length + 8),
+      owner,
+      name,
+      isAdmin
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List keys, newest first
+   * @param {object} filter - { owner, includeRevoked }
+   * @returns {Promise<Array>}
+   */
+  listKeys({ owner, includeRevoked = false } = {}) {
+    const query = {};
+    if (owner) {
+      query.owner = owner;
+    }
+    if (!includeRevoked) {
+      query.revokedAt = null;
+    }
+
+    return ApiKey.find(query).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke a key by id
+   * @param {string} id - ApiKey document id
+   * @returns {Promise<object|null>} The revoked key, or null if it does not exist
+   */
+  async revokeKey(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      return null;
+    }
+
+    if (!apiKey.isRevoked()) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    return apiKey;
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+module.exports = apiKeyService;
@@ -0,0 +1,174 @@
+/**
+ * Key/value stores behind the URL cache. Every store implements:
+ *   get(key) -> Promise<any|null>
+ *   set(key, value, ttlMs) -> Promise<void>
+ *   del(key) -> Promise<void>
+ *   connect() / close() -> Promise<void>
+ *   ping() -> Promise<void>, rejects when the store is unreachable
+ * Values must be JSON serialisable.
+ */
+
+/**
+ * In-process LRU store with per-entry expiry. Values are kept serialised so
+ * callers get the same independent copies a Redis round trip would give them.
+ */
+class MemoryStore {
+  constructor({ maxEntries }) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async connect() {}
+
+  async close() {
+    this.entries.clear();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert so the Map's iteration order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async ping() {}
+}
+
+/**
+ * Redis store, shared between instances. Errors are logged and treated as
+ * cache misses so that a Redis outage only costs performance.
+ */
+class RedisStore {
+  constructor({ url, keyPrefix }) {
+    this.url = url;
+    this.keyPrefix = keyPrefix;
+    this.client = null;
+    this.lastError = null;
+  }
+
+  async connect() {
+    // Required lazily so the memory store works without redis installed
+    const { createClient } = require('redis');
+
+    this.client = createClient({ url: this.url });
+    this.client.on('ready', () => {
+      this.lastError = null;
+      console.log('[RedisStore] Connected to Redis');
+    });
+    this.client.on('error', (error) => {
+      // The client keeps reconnecting; report each distinct failure once
+      if (error.message !== this.lastError) {
+        this.lastError = error.message;
+        console.warn('[RedisStore] Redis error:', error.message);
+      }
+    });
+
+    // Connect in the background: until Redis is reachable every lookup is a miss
+    this.client.connect().catch((error) => {
+      console.warn('[RedisStore] Could not connect to Redis:', error.message);
+    });
+  }
+
+  async close() {
+    if (!this.client) {
+      return;
+    }
+
+    if (this.client.isReady) {
+      await this.client.quit();
+    } else if (this.client.isOpen) {
+      await this.client.disconnect();
+    }
+    this.client = null;
+  }
+
+  isReady() {
+    return Boolean(this.client && this.client.isReady);
+  }
+
+  async ping() {
+    if (!this.isReady()) {
+      throw new Error('Redis is not connected');
+    }
+    await this.client.ping();
+  }
+
+  async get(key) {
+    if (!this.isReady()) {
+      return null;
+    }
+
+    try {
+      const raw = await this.client.get(this.keyPrefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    } catch (error) {
+      console.warn('[RedisStore] Cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async set(key, value, ttlMs) {
+    if (!this.isReady()) {
+      return;
+    }
+
+    try {
+      await this.client.set(this.keyPrefix + key, JSON.stringify(value), { PX: ttlMs });
+    } catch (error) {
+      console.warn('[RedisStore] Cache write failed:', error.message);
+    }
+  }
+
+  async del(key) {
+    if (!this.isReady()) {
+      return;
+    }
+
+    try {
+      await this.client.del(this.keyPrefix + key);
+    } catch (error) {
+      console.warn('[RedisStore] Cache delete failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Build the store selected in config.cache
+ * @param {object} cacheConfig - config.cache
+ * @returns {MemoryStore|RedisStore}
+ */
+const createStore = (cacheConfig) => {
+  if (cacheConfig.driver === 'redis') {
+    return new RedisStore(cacheConfig.redis);
+  }
+  return new MemoryStore(cacheConfig.memory);
+};
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  createStore
+};
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Backends holding click events until the click writer has stored them. Every
+ * backend implements:
+ *   load() -> Promise<void>        restore events left over from a previous run
+ *   push(event)                    append an event
+ *   peek(count) -> Array<object>   oldest events, without removing them
+ *   assignBatch(count, batch) -> Promise<void>
+ *                                  tag the oldest events with the id of the
+ *                                  batch writing them; resolves once recorded
+ *   remove(count)                  drop the oldest events once they are stored
+ *   size() -> number
+ *   close() -> Promise<void>
+ */
+
+/**
+ * Plain in-process queue. Events still queued when the process dies are lost.
+ */
+class MemoryClickQueue {
+  constructor() {
+    this.name = 'memory';
+    this.events = [];
+  }
+
+  async load() {}
+
+  push(event) {
+    this.events.push(event);
+  }
+
+  peek(count) {
+    return this.events.slice(0, count);
+  }
+
+  async assignBatch(count, batch) {
+    this._tag(count, batch);
+  }
+
+  /**
+   * @private
+   */
+  _tag(count, batch) {
+    this.events.slice(0, count).forEach(event => {
+      event.batch = batch;
+    });
+  }
+
+  remove(count) {
+    this.events.splice(0, count);
+  }
+
+  size() {
+    return this.events.length;
+  }
+
+  async close() {}
+}
+
+/**
+ * In-process queue mirrored to an append-only JSON lines file, so that clicks
+ * still queued when the process stops are written after the next start.
+ * Pushed events are appended as they are, removals as { "removed": n } lines
+ * and batch ids as { "batch": id, "count": n } lines;
+ * the file is rewritten with only the queued events once compactAfter events
+ * were removed, and on every start.
+ * Appends go through a write stream and are not fsynced: a click queued just
+ * before the process dies may be lost.
+ */
+class FileClickQueue extends MemoryClickQueue {
+  constructor({ path: filePath, compactAfter }) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this.compactAfter = compactAfter;
+    this.stream = null;
+    // Events removed since the file was last rewritten
+    this.removed = 0;
+    // Lines appended while the file is being rewritten
+    this.pending = null;
+    this.compacting = null;
+  }
+
+  async load() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const line of content.split('\n')) {
+      if (!line) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A line cut short by a crash
+        console.warn('[FileClickQueue] Skipping unreadable line in', this.filePath);
+        continue;
+      }
+
+      if (typeof entry.removed === 'number') {
+        this.events.splice(0, entry.removed);
+      } else if (typeof entry.batch === 'string' && !entry.click) {
+        this._tag(entry.count, entry.batch);
+      } else {
+        this.events.push(entry);
+      }
+    }
+
+    // Start from a clean file, without removal lines or a cut short last line
+    await this._rewrite(this.events);
+    this.stream = this._openStream();
+
+    if (this.events.length > 0) {
+      console.log(`[FileClickQueue] Recovered ${this.events.length} queued clicks from ${this.filePath}`);
+    }
+  }
+
+  push(event) {
+    this._append(event);
+    super.push(event);
+  }
+
+  /**
+   * Resolves once the batch id is written to the file, so a batch counted
+   * before a crash keeps its id after the restart
+   */
+  assignBatch(count, batch) {
+    this._tag(count, batch);
+    return this._append({ batch, count });
+  }
+
+  remove(count) {
+    super.remove(count);
+    if (count <= 0) {
+      return;
+    }
+
+    this._append({ removed: count });
+    this.removed += count;
+
+    if (this.removed >= this.compactAfter && !this.compacting) {
+      this.compacting = this._compact()
+        .catch(error => console.error('[FileClickQueue] Failed to compact', this.filePath, error.message))
+        .finally(() => {
+          this.compacting = null;
+        });
+    }
+  }
+
+  /**
+   * Append an entry to the file, or hold it back while the file is rewritten
+   * @returns {Promise<void>} Resolves once the line is written; write errors
+   * are logged by the stream
+   * @private
+   */
+  _append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    return new Promise(resolve => {
+      if (this.pending) {
+        this.pending.push({ line, resolve });
+      } else if (this.stream) {
+        this.stream.write(line, () => resolve());
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _openStream() {
+    const stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+    stream.on('error', error => console.error('[FileClickQueue] Failed to append to', this.filePath, error.message));
+    return stream;
+  }
+
+  /**
+   * Replace the file with the given events
+   * @private
+   */
+  async _rewrite(events) {
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, events.map(event => `${JSON.stringify(event)}\n`).join(''));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Rewrite the file with the events queued now. Entries appended meanwhile
+   * are held back and written to the new file afterwards, in order.
+   * @private
+   */
+  async _compact() {
+    const snapshot = this.events.slice();
+    this.pending = [];
+    this.removed = 0;
+
+    const stream = this.stream;
+    this.stream = null;
+
+    try {
+      await new Promise(resolve => stream.end(resolve));
+      await this._rewrite(snapshot);
+    } finally {
+      // On failure the old file is still in place and the held back lines follow it
+      this.stream = this._openStream();
+      for (const { line, resolve } of this.pending) {
+        this.stream.write(line, () => resolve());
+      }
+      this.pending = null;
+    }
+  }
+
+  async close() {
+    if (this.compacting) {
+      await this.compacting;
+    }
+
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await new Promise(resolve => stream.end(resolve));
+    }
+  }
+}
+
+/**
+ * Build the queue selected in config.clicks.queue
+ * @param {object} queueConfig - config.clicks.queue
+ * @returns {MemoryClickQueue|FileClickQueue}
+ */
+const createClickQueue = (queueConfig) => {
+  if (queueConfig.driver === 'file') {
+    return new FileClickQueue(queueConfig);
+  }
+  return new MemoryClickQueue();
+};
+
+module.exports = {
+  MemoryClickQueue,
+  FileClickQueue,
+  createClickQueue
+};
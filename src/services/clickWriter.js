@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const { createClickQueue } = require('./clickQueueStores');
+const config = require('../config');
+
+/**
+ * Queues click events and writes them to MongoDB in batches, so a redirect
+ * neither waits for its click to be stored nor fails when storing it fails.
+ *
+ * A batch is only removed from the queue once it is stored. Failed batches are
+ * retried with exponential backoff and dropped after maxRetries attempts.
+ * Every click gets its _id when queued, so a retried batch cannot store a
+ * click twice. A batch keeps its id and its clicks until it is written or
+ * dropped, also across restarts with the file queue, and each link remembers
+ * the ids of the batches counted in its clickCount, so a retry does not count
+ * them twice.
+ */
+class ClickWriter {
+  constructor() {
+    this.flushIntervalMs = config.clicks.flushIntervalMs;
+    this.batchSize = config.clicks.batchSize;
+    this.maxQueued = config.clicks.maxQueued;
+    this.maxRetries = config.clicks.maxRetries;
+    this.retryBaseMs = config.clicks.retryBaseMs;
+    this.retryMaxMs = config.clicks.retryMaxMs;
+    this.countedBatches = config.clicks.countedBatches;
+    this.queue = createClickQueue(config.clicks.queue);
+    this.timer = null;
+    this.flushing = null;
+    this.retryAttempt = 0;
+    this.retryAt = 0;
+    this.stats = {
+      enqueued: 0,
+      written: 0,
+      dropped: 0,
+      discarded: 0,
+      flushes: 0,
+      failedFlushes: 0,
+      lastFlushAt: null,
+      lastFlushDurationMs: null,
+      lastFlushSize: 0,
+      lastError: null
+    };
+  }
+
+  /**
+   * Queue a click for writing
+   * @param {object} click - Click data including shortcode
+   * @param {object} options - { counted: true when clickCount was already incremented,
+   *   urlId: id of the link, whose clicks are discarded if it is deleted before they are written }
+   */
+  enqueue(click, { counted = false, urlId = null } = {}) {
+    if (this.queue.size() >= this.maxQueued) {
+      this.stats.dropped += 1;
+      console.warn('[ClickWriter] Queue full, dropping click for', click.shortcode);
+      return;
+    }
+
+    try {
+      this.queue.push({
+        click: { _id: new mongoose.Types.ObjectId(), ...click },
+        counted,
+        urlId: urlId && String(urlId)
+      });
+      this.stats.enqueued += 1;
+    } catch (error) {
+      this.stats.dropped += 1;
+      console.error('[ClickWriter] Failed to queue click:', error.message);
+      return;
+    }
+
+    if (this.queue.size() >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write the oldest queued clicks. Concurrent calls share the running flush,
+   * and while a retry is pending nothing is written unless forced.
+   * @param {object} options - { force: ignore the retry backoff }
+   * @returns {Promise<void>}
+   */
+  flush({ force = false } = {}) {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    if (this.queue.size() === 0 || (!force && Date.now() < this.retryAt)) {
+      return Promise.resolve();
+    }
+
+    const startedAt = Date.now();
+
+    this.flushing = this._nextBatch()
+      .then(batch => this._write(batch).then((discarded) => {
+        this.queue.remove(batch.events.length);
+        this.retryAttempt = 0;
+        this.retryAt = 0;
+        this.stats.written += batch.events.length - discarded;
+        this.stats.discarded += discarded;
+        this.stats.flushes += 1;
+        this.stats.lastFlushAt = new Date();
+        this.stats.lastFlushDurationMs = Date.now() - startedAt;
+        this.stats.lastFlushSize = batch.events.length;
+      }, error => this._handleFailure(batch.events, error)))
+      .catch((error) => {
+        console.error('[ClickWriter] Failed to update the click queue:', error.message);
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+
+    return this.flushing;
+  }
+
+  /**
+   * Schedule a retry for a failed batch, or drop it once it ran out of retries
+   * @private
+   */
+  _handleFailure(batch, error) {
+    this.stats.failedFlushes += 1;
+    this.stats.lastError = error.message;
+    this.retryAttempt += 1;
+
+    if (this.retryAttempt > this.maxRetries) {
+      console.error(`[ClickWriter] Dropping ${batch.length} clicks after ${this.maxRetries} retries:`, error.message);
+      this.queue.remove(batch.length);
+      this.stats.dropped += batch.length;
+      this.retryAttempt = 0;
+      this.retryAt = 0;
+      return;
+    }
+
+    const delay = Math.min(this.retryBaseMs * 2 ** (this.retryAttempt - 1), this.retryMaxMs);
+    this.retryAt = Date.now() + delay;
+    console.error(
+      `[ClickWriter] Failed to write ${batch.length} clicks, retry ${this.retryAttempt}/${this.maxRetries} ` +
+      `in ${delay}ms:`,
+      error.message
+    );
+  }
+
+  /**
+   * The oldest queued clicks as the batch to write next: the batch that failed
+   * before, or a new one whose id is recorded in the queue first
+   * @returns {Promise<object>} { id, events }
+   * @private
+   */
+  async _nextBatch() {
+    const events = this.queue.peek(this.batchSize);
+    const { batch } = events[0];
+    if (batch) {
+      return { id: batch, events: events.filter(event => event.batch === batch) };
+    }
+
+    const id = new mongoose.Types.ObjectId().toHexString();
+    await this.queue.assignBatch(events.length, id);
+    return { id, events };
+  }
+
+  /**
+   * Insert a batch of clicks and apply the matching clickCount increments.
+   * Clicks of links deleted since they were queued are discarded, otherwise
+   * they would end up on a new link reusing the shortcode.
+   * @returns {Promise<number>} Number of clicks discarded
+   * @private
+   */
+  async _write({ id, events }) {
+    const urlIds = [...new Set(events.filter(event => event.urlId).map(event => event.urlId))];
+    const existing = urlIds.length > 0
+      ? new Set((await Url.find({ _id: { $in: urlIds } }).select('_id').lean()).map(doc => String(doc._id)))
+      : new Set();
+    // Clicks queued before link ids were recorded are written as before
+    const batch = events.filter(event => !event.urlId || existing.has(event.urlId));
+    const discarded = events.length - batch.length;
+
+    if (batch.length === 0) {
+      return discarded;
+    }
+
+    try {
+      await Click.insertMany(batch.map(event => event.click), { ordered: false });
+    } catch (error) {
+      // Clicks stored by an earlier, partly failed attempt come back as duplicates
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+    }
+
+    // Keyed by link id, or by domain and shortcode since shortcodes are only unique per domain
+    const increments = new Map();
+    for (const event of batch) {
+      if (!event.counted) {
+        const { shortcode, domain } = event.click;
+        const filter = event.urlId ? { _id: event.urlId } : { shortcode, domain: domain || null };
+        const key = event.urlId || `${domain || ''}/${shortcode}`;
+        const increment = increments.get(key) || { filter, events: [] };
+        increment.events.push(event);
+        increments.set(key, increment);
+      }
+    }
+
+    if (increments.size === 0) {
+      return discarded;
+    }
+
+    // Links that counted this batch already, in an attempt that failed part
+    // way through or before a restart, no longer match the filter
+    await Url.bulkWrite(
+      [...increments.values()].map(({ filter, events: linkEvents }) => ({
+        updateOne: {
+          filter: { ...filter, clickBatches: { $ne: id } },
+          update: {
+            $inc: { clickCount: linkEvents.length },
+            $push: { clickBatches: { $each: [id], $slice: -this.countedBatches } }
+          }
+        }
+      })),
+      { ordered: false }
+    );
+
+    return discarded;
+  }
+
+  /**
+   * Queue depth and flush statistics
+   * @returns {object} Metrics snapshot
+   */
+  getMetrics() {
+    return {
+      backend: this.queue.name,
+      depth: this.queue.size(),
+      flushing: Boolean(this.flushing),
+      retryAttempt: this.retryAttempt,
+      nextRetryAt: this.retryAt > Date.now() ? new Date(this.retryAt) : null,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Load clicks left over from a previous run and start flushing on an interval
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    await this.queue.load();
+    this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the interval and drain the queue. Draining stops at the first failed
+   * flush; with the file queue the remaining clicks are kept for the next start.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    while (this.queue.size() > 0) {
+      if (this.flushing) {
+        await this.flushing;
+      }
+
+      const failedBefore = this.stats.failedFlushes;
+      await this.flush({ force: true });
+
+      if (this.stats.failedFlushes > failedBefore) {
+        console.error(`[ClickWriter] ${this.queue.size()} clicks could not be written during shutdown`);
+        break;
+      }
+    }
+
+    await this.queue.close();
+  }
+}
+
+// Export singleton instance
+const clickWriter = new ClickWriter();
+module.exports = clickWriter;
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Domain = require('../models/Domain');
+const Url = require('../models/Url');
+const config = require('../config');
+const { ConflictError, UnknownDomainError } = require('../utils/errors');
+
+/**
+ * Registry of branded short-link domains. Every registered domain has its own
+ * shortcode namespace, 404 fallback and default validity; links without a
+ * domain live on the host of config.hostname, which needs no registration.
+ */
+class DomainService {
+  constructor() {
+    this.domains = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Drop the unique shortcode index created by earlier versions, which would
+   * stop two domains from using the same shortcode
+   * @returns {Promise<boolean>} True if an index was dropped
+   */
+  async dropLegacyShortcodeIndex() {
+    const indexes = await Url.collection.indexes();
+    const legacy = indexes.find(index =>
+      index.unique &&
+      Object.keys(index.key).length === 1 &&
+      index.key.shortcode === 1
+    );
+
+    if (!legacy) {
+      return false;
+    }
+
+    await Url.collection.dropIndex(legacy.name);
+    await Url.createIndexes();
+    console.log(`[DomainService] Dropped legacy shortcode index ${legacy.name}`);
+    return true;
+  }
+
+  /**
+   * Registered domains by hostname, reloaded every refreshMs so domains
+   * registered on another instance are served too
+   * @private
+   */
+  async _getDomains() {
+    if (this.domains && Date.now() - this.loadedAt < config.domains.refreshMs) {
+      return this.domains;
+    }
+
+    const entries = await Domain.find().lean();
+    this.domains = new Map(entries.map(entry => [entry.hostname, entry]));
+    this.loadedAt = Date.now();
+    return this.domains;
+  }
+
+  /**
+   * The registered domain a request was sent to
+   * @param {string} hostname - Host of the request, without port
+   * @returns {Promise<object|null>} The domain, or null for any other host, which
+   *   is served as the default domain
+   */
+  async findByHostname(hostname) {
+    const domains = await this._getDomains();
+    return domains.get(String(hostname).toLowerCase().replace(/\.$/, '')) || null;
+  }
+
+  /**
+   * The registered domain of a new link
+   * @param {string|null} hostname - Hostname from ValidationService.validateLinkDomain
+   * @returns {Promise<object|null>} The domain, or null for the default domain
+   * @throws {UnknownDomainError} When the hostname is not registered
+   */
+  async resolveLinkDomain(hostname) {
+    if (!hostname) {
+      return null;
+    }
+
+    const domain = await this.findByHostname(hostname);
+    if (!domain) {
+      throw new UnknownDomainError(`${hostname} is not a registered short-link domain`);
+    }
+
+    return domain;
+  }
+
+  /**
+   * List registered domains
+   * @returns {Promise<Array>}
+   */
+  listDomains() {
+    return Domain.find().sort({ hostname: 1 });
+  }
+
+  /**
+   * Register a short-link domain
+   * @param {object} entry - { hostname, notFoundUrl, defaultValidityMinutes } from
+   *   ValidationService.validateDomainRequest
+   * @param {object} apiKey - Admin registering the domain
+   * @returns {Promise<object>} The Domain document
+   * @throws {ConflictError} When the hostname is already registered
+   */
+  async addDomain(entry, apiKey) {
+    let domain;
+    try {
+      domain = await Domain.create({ ...entry, createdBy: apiKey ? apiKey.owner : null });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`${entry.hostname} is already registered`);
+      }
+      throw error;
+    }
+
+    this.domains = null;
+    return domain;
+  }
+
+  /**
+   * Change the 404 fallback or default validity of a domain
+   * @param {string} id - Domain document id
+   * @param {object} changes - From ValidationService.validateDomainUpdate
+   * @returns {Promise<object|null>} The updated domain, or null when there is none
+   */
+  async updateDomain(id, changes) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const domain = await Domain.findByIdAndUpdate(id, { $set: changes }, { new: true });
+    this.domains = null;
+    return domain;
+  }
+
+  /**
+   * Remove a domain that has no links left
+   * @param {string} id - Domain document id
+   * @returns {Promise<object|null>} The removed domain, or null when there is none
+   * @throws {ConflictError} When links still use the domain
+   */
+  async removeDomain(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const domain = await Domain.findById(id);
+    if (!domain) {
+      return null;
+    }
+
+    const links = await Url.countDocuments({ domain: domain.hostname });
+    if (links > 0) {
+      throw new ConflictError(`${domain.hostname} still has ${links} links; delete them first`);
+    }
+
+    await Domain.deleteOne({ _id: domain._id });
+    this.domains = null;
+    return domain;
+  }
+}
+
+// Export singleton instance
+const domainService = new DomainService();
+module.exports = domainService;
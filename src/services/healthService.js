@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const loggingClient = require('./loggingClient');
+const urlCache = require('./urlCache');
+const { withTimeout } = require('../utils/timeout');
+
+/**
+ * Liveness and readiness checks for the /health endpoints
+ */
+class HealthService {
+  constructor() {
+    this.pool = {
+      open: 0,
+      inUse: 0,
+      maxPoolSize: null
+    };
+    this.watchedClient = null;
+  }
+
+  /**
+   * Follow the connection pool events of the Mongo driver, which has no API
+   * to read the pool size directly. Call once after connecting.
+   */
+  watchMongoPool() {
+    const client = mongoose.connection.getClient();
+    if (!client || client === this.watchedClient) {
+      return;
+    }
+
+    this.watchedClient = client;
+    this.pool.maxPoolSize = client.options ? client.options.maxPoolSize : null;
+
+    client.on('connectionCreated', () => {
+      this.pool.open += 1;
+    });
+    client.on('connectionClosed', () => {
+      this.pool.open = Math.max(this.pool.open - 1, 0);
+    });
+    client.on('connectionCheckedOut', () => {
+      this.pool.inUse += 1;
+    });
+    client.on('connectionCheckedIn', () => {
+      this.pool.inUse = Math.max(this.pool.inUse - 1, 0);
+    });
+  }
+
+  /**
+   * Ping MongoDB. Required: the service cannot work without it.
+   * @returns {Promise<object>} Dependency status
+   */
+  async checkMongo() {
+    const state = mongoose.STATES[mongoose.connection.readyState] || 'unknown';
+    const result = {
+      status: 'down',
+      required: true,
+      latencyMs: null,
+      state,
+      pool: { ...this.pool }
+    };
+
+    if (state !== 'connected') {
+      result.error = `connection is ${state}`;
+      return result;
+    }
+
+    const start = Date.now();
+    try {
+      await withTimeout(mongoose.connection.db.admin().ping(), config.health.mongoTimeoutMs);
+      result.status = 'up';
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.latencyMs = Date.now() - start;
+
+    return result;
+  }
+
+  /**
+   * Report the LoggingClient's authentication state and spool. Not required:
+   * while the log sink is unreachable, entries wait in the spool. No request
+   * is made, the latency is that of the last authentication.
+   * @returns {object} Dependency status
+   */
+  checkLoggingClient() {
+    const auth = loggingClient.getAuthState();
+
+    let status = 'unknown';
+    if (auth.disabled) {
+      status = 'disabled';
+    } else if (auth.authenticated) {
+      status = 'up';
+    } else if (auth.lastError) {
+      status = 'down';
+    }
+
+    return {
+      status,
+      required: false,
+      latencyMs: auth.lastAuthLatencyMs,
+      auth,
+      spool: loggingClient.getSpoolStats()
+    };
+  }
+
+  /**
+   * Check the URL cache. Not required: without it lookups go to MongoDB.
+   * @returns {Promise<object>} Dependency status
+   */
+  async checkCache() {
+    if (!urlCache.enabled) {
+      return { status: 'disabled', required: false, latencyMs: null };
+    }
+
+    const result = {
+      status: 'up',
+      required: false,
+      latencyMs: null,
+      driver: config.cache.driver
+    };
+
+    const start = Date.now();
+    try {
+      await withTimeout(urlCache.store.ping(), config.health.cacheTimeoutMs);
+    } catch (error) {
+      result.status = 'down';
+      result.error = error.message;
+    }
+    result.latencyMs = Date.now() - start;
+
+    return result;
+  }
+
+  /**
+   * Check every dependency
+   * @returns {Promise<object>} { ready, checks }
+   */
+  async readiness() {
+    const [mongodb, cache] = await Promise.all([this.checkMongo(), this.checkCache()]);
+    const checks = {
+      mongodb,
+      loggingClient: this.checkLoggingClient(),
+      cache
+    };
+
+    const ready = Object.values(checks).every(check => !check.required || check.status === 'up');
+
+    return { ready, checks };
+  }
+}
+
+// Export singleton instance
+const healthService = new HealthService();
+module.exports = healthService;
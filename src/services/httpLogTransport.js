@@ -0,0 +1,309 @@
+const axios = require('axios');
+const metricsService = require('./metricsService');
+const LogSpool = require('./logSpool');
+const { BaseTransport } = require('./logTransports');
+
+// Responses worth sending an entry again for; other 4xx responses drop it
+const RETRYABLE_STATUSES = [401, 408, 429];
+
+const REQUIRED_OPTIONS = ['authUrl', 'logsUrl', 'accessCode', 'clientId', 'clientSecret', 'email', 'name', 'rollNo'];
+
+/**
+ * Transport to the AffordMed log service, authenticated with a bearer token.
+ * Handles authentication, token caching and automatic token refresh. Entries
+ * are spooled to disk and shipped in the background.
+ */
+class HttpBearerTransport extends BaseTransport {
+  constructor(options) {
+    super('http', options);
+    this.token = null;
+    this.tokenExpiry = null;
+    this.isAuthenticating = false;
+    this.authPromise = null;
+    this.lastAuthAt = null;
+    this.lastAuthLatencyMs = null;
+    this.lastAuthError = null;
+    this.spool = new LogSpool(options.spool);
+    this.shipTimer = null;
+    this.shipping = null;
+    this.retryAttempt = 0;
+    this.retryAt = 0;
+    this.shipStats = {
+      sent: 0,
+      dropped: 0
+    };
+  }
+
+  /**
+   * Names of required options that are missing
+   * @returns {Array<string>}
+   */
+  validate() {
+    return [...super.validate(), ...REQUIRED_OPTIONS.filter(key => !this.options[key])];
+  }
+
+  /**
+   * Authenticate with the AffordMed auth service
+   * @returns {Promise<string>} Authentication token
+   */
+  async authenticate() {
+    // If already authenticating, wait for the existing promise
+    if (this.isAuthenticating && this.authPromise) {
+      return this.authPromise;
+    }
+
+    this.isAuthenticating = true;
+
+    this.authPromise = this._performAuth();
+
+    try {
+      const result = await this.authPromise;
+      this.isAuthenticating = false;
+      return result;
+    } catch (error) {
+      this.isAuthenticating = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Perform the actual authentication request
+   * @private
+   */
+  async _performAuth() {
+    try {
+      const authData = {
+        email: this.options.email,
+        name: this.options.name,
+        rollNo: this.options.rollNo,
+        accessCode: this.options.accessCode,
+        clientID: this.options.clientId,
+        clientSecret: this.options.clientSecret
+      };
+
+      console.log('[HttpLogTransport] Authenticating with AffordMed service...');
+
+      const startedAt = Date.now();
+      this.lastAuthAt = new Date(startedAt);
+      const response = await axios.post(this.options.authUrl, authData, {
+        timeout: 10000,
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.data && response.data.token) {
+        this.token = response.data.token;
+
+        // Set expiry to 50 minutes from now (assuming 1 hour token validity)
+        this.tokenExpiry = new Date(Date.now() + 50 * 60 * 1000);
+        this.lastAuthLatencyMs = Date.now() - startedAt;
+        this.lastAuthError = null;
+
+        console.log('[HttpLogTransport] Authentication successful');
+        return this.token;
+      } else {
+        throw new Error('No token received from auth service');
+      }
+    } catch (error) {
+      console.warn('[HttpLogTransport] Authentication failed:', error.message);
+      this.lastAuthError = error.message;
+      this.lastAuthLatencyMs = this.lastAuthAt ? Date.now() - this.lastAuthAt.getTime() : null;
+      throw error;
+    }
+  }
+
+  /**
+   * Check if the current token is valid and not expired
+   * @returns {boolean}
+   */
+  isTokenValid() {
+    return this.token && this.tokenExpiry && new Date() < this.tokenExpiry;
+  }
+
+  /**
+   * Authentication state, for the readiness probe
+   * @returns {object} { authenticated, authenticating, tokenExpiresAt, lastAuthAt,
+   * lastAuthLatencyMs, lastError }
+   */
+  getAuthState() {
+    return {
+      authenticated: Boolean(this.isTokenValid()),
+      authenticating: this.isAuthenticating,
+      tokenExpiresAt: this.tokenExpiry,
+      lastAuthAt: this.lastAuthAt,
+      lastAuthLatencyMs: this.lastAuthLatencyMs,
+      lastError: this.lastAuthError
+    };
+  }
+
+  /**
+   * Get a valid authentication token, refreshing if necessary
+   * @returns {Promise<string>}
+   */
+  async getValidToken() {
+    if (this.isTokenValid()) {
+      return this.token;
+    }
+
+    return await this.authenticate();
+  }
+
+  /**
+   * Append an entry to the spool; it is sent by the shipper
+   * @param {object} entry - Log entry
+   */
+  write(entry) {
+    try {
+      if (!this.spool.append(entry)) {
+        console.warn('[HttpLogTransport] Log spool full, dropping log entry');
+        metricsService.logDropped.inc();
+      }
+    } catch (error) {
+      console.warn('[HttpLogTransport] Failed to spool log entry:', error.message);
+      metricsService.logDropped.inc();
+    }
+  }
+
+  /**
+   * Send one entry to the logging service
+   * @param {object} entry - Spooled log entry
+   * @returns {Promise<boolean>} False when the service rejected the entry for good
+   * @throws When the entry should be sent again later
+   * @private
+   */
+  async _send(entry) {
+    const token = await this.getValidToken();
+
+    try {
+      await axios.post(this.options.logsUrl, entry, {
+        timeout: 5000,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+
+      if (status === 401) {
+        // Authenticate again on the next attempt
+        this.token = null;
+        this.tokenExpiry = null;
+      }
+
+      if (status !== null && status < 500 && !RETRYABLE_STATUSES.includes(status)) {
+        console.warn(`[HttpLogTransport] Log service rejected entry with ${status}, dropping it`);
+        return false;
+      }
+      throw error;
+    }
+
+    // Optional: Log successful submission (only in development)
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[HttpLogTransport] Log sent: ${entry.stack}/${entry.level}/${entry.package} - ${entry.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Ship spooled entries in batches until the spool is empty or a send fails.
+   * A failed send is retried from the same entry after an exponential backoff.
+   * @returns {Promise<void>}
+   */
+  ship() {
+    if (this.shipping) {
+      return this.shipping;
+    }
+
+    this.shipping = this._shipBatches().finally(() => {
+      this.shipping = null;
+    });
+    return this.shipping;
+  }
+
+  /**
+   * @private
+   */
+  async _shipBatches() {
+    const { batchSize, retryBaseMs, retryMaxMs } = this.options.spool;
+
+    while (Date.now() >= this.retryAt) {
+      const batch = await this.spool.peek(batchSize);
+      if (batch.length === 0) {
+        return;
+      }
+
+      let shipped = 0;
+      try {
+        for (const entry of batch) {
+          if (entry === null || !(await this._send(entry))) {
+            this.shipStats.dropped += 1;
+            metricsService.logDropped.inc();
+          } else {
+            this.shipStats.sent += 1;
+          }
+          shipped += 1;
+        }
+        this.retryAttempt = 0;
+      } catch (error) {
+        // Back off further only while no entry gets through
+        this.retryAttempt = shipped > 0 ? 1 : this.retryAttempt + 1;
+        const delay = Math.min(retryBaseMs * 2 ** (this.retryAttempt - 1), retryMaxMs);
+        this.retryAt = Date.now() + delay;
+
+        console.warn(`[HttpLogTransport] Failed to send log: ${error.message}, retrying in ${delay}ms`);
+        metricsService.logSendFailures.inc();
+        metricsService.logRetries.inc();
+      } finally {
+        this.spool.commit(shipped);
+      }
+    }
+  }
+
+  /**
+   * Start shipping spooled entries, including those left by an earlier run
+   */
+  async start() {
+    if (this.shipTimer) {
+      return;
+    }
+
+    this.shipTimer = setInterval(() => this.ship(), this.options.spool.shipIntervalMs);
+    this.shipTimer.unref();
+    this.ship();
+  }
+
+  /**
+   * Stop shipping. Entries not shipped yet stay in the spool for the next start.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.shipTimer) {
+      clearInterval(this.shipTimer);
+      this.shipTimer = null;
+    }
+
+    // Finish the batch in flight so its cursor is written
+    this.retryAt = Infinity;
+    if (this.shipping) {
+      await this.shipping;
+    }
+    await this.spool.close();
+  }
+
+  /**
+   * Spool and shipping statistics
+   * @returns {object} { segments, bytes, maxBytes, dropped, sent, shipDropped, retryAttempt }
+   */
+  getSpoolStats() {
+    return {
+      ...this.spool.getStats(),
+      sent: this.shipStats.sent,
+      shipDropped: this.shipStats.dropped,
+      retryAttempt: this.retryAttempt
+    };
+  }
+}
+
+module.exports = HttpBearerTransport;
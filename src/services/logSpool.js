@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+
+const SEGMENT_PATTERN = /^segment-\d+-\d+\.jsonl$/;
+
+/**
+ * On-disk spool of log entries waiting to be shipped to the log service.
+ *
+ * Entries are appended to JSON lines segment files in a directory. The active
+ * segment is sealed when it grows past maxSegmentBytes, when the shipper runs
+ * out of sealed segments, and on every start, so entries written by an earlier
+ * process are picked up like any other sealed segment. Sealed segments are
+ * shipped oldest first; a cursor file next to the segment records how many of
+ * its entries were shipped, so a restart resumes where shipping stopped.
+ * Once the spool holds maxBytes, new entries are dropped and counted.
+ * Entries go through a write stream, so logging does not wait for the disk; a
+ * sealed segment is only read once its stream has finished. Entries still in
+ * the stream when the process dies are lost.
+ */
+class LogSpool {
+  constructor({ dir, maxSegmentBytes, maxBytes }) {
+    this.dir = dir;
+    this.maxSegmentBytes = maxSegmentBytes;
+    this.maxBytes = maxBytes;
+    this.initialized = false;
+    this.sealed = [];
+    this.active = null;
+    this.totalBytes = 0;
+    this.sequence = 0;
+    this.reading = null;
+    this.dropped = 0;
+  }
+
+  /**
+   * Create the directory and pick up segments left by an earlier process.
+   * Synchronous so that Log() can spool before the server has started.
+   * @private
+   */
+  _init() {
+    if (this.initialized) {
+      return;
+    }
+
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    for (const name of fs.readdirSync(this.dir).filter(file => SEGMENT_PATTERN.test(file)).sort()) {
+      const file = path.join(this.dir, name);
+      const size = fs.statSync(file).size;
+      this.sealed.push({ file, size });
+      this.totalBytes += size;
+    }
+
+    this.initialized = true;
+
+    if (this.sealed.length > 0) {
+      console.log(`[LogSpool] Resuming ${this.sealed.length} spooled segments (${this.totalBytes} bytes)`);
+    }
+  }
+
+  /**
+   * Append an entry
+   * @param {object} entry - Log entry
+   * @returns {boolean} False when the spool is full and the entry was dropped
+   */
+  append(entry) {
+    this._init();
+
+    const line = `${JSON.stringify(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    if (this.totalBytes + bytes > this.maxBytes) {
+      this.dropped += 1;
+      return false;
+    }
+
+    if (!this.active) {
+      // Zero padded so that file names sort in creation order
+      const name = `segment-${String(Date.now()).padStart(15, '0')}-${String(this.sequence++).padStart(6, '0')}.jsonl`;
+      this.active = this._openSegment(path.join(this.dir, name));
+    }
+
+    this.active.stream.write(line);
+    this.active.size += bytes;
+    this.totalBytes += bytes;
+
+    if (this.active.size >= this.maxSegmentBytes) {
+      this._seal();
+    }
+
+    return true;
+  }
+
+  /**
+   * Start a new active segment
+   * @private
+   */
+  _openSegment(file) {
+    const stream = fs.createWriteStream(file, { flags: 'a' });
+    stream.on('error', error => console.warn('[LogSpool] Failed to append to', file, error.message));
+    return { file, size: 0, stream };
+  }
+
+  /**
+   * Close the active segment and queue it for shipping
+   * @private
+   */
+  _seal() {
+    if (!this.active) {
+      return;
+    }
+
+    const { file, size, stream } = this.active;
+    // Resolves once everything appended to the segment is on disk
+    const closed = new Promise(resolve => stream.end(resolve));
+    this.sealed.push({ file, size, closed });
+    this.active = null;
+  }
+
+  /**
+   * Load the oldest sealed segment that still has entries to ship, and its
+   * cursor. Segments without any, e.g. an empty one or one whose cursor is at
+   * its end, are deleted on the way.
+   * @private
+   */
+  async _openOldest() {
+    if (this.reading) {
+      return this.reading;
+    }
+
+    if (this.sealed.length === 0) {
+      this._seal();
+    }
+
+    while (this.sealed.length > 0) {
+      const segment = this.sealed[0];
+      await segment.closed;
+
+      let lines = [];
+      try {
+        lines = (await fs.promises.readFile(segment.file, 'utf8')).split('\n').filter(Boolean);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      let offset = 0;
+      try {
+        offset = JSON.parse(await fs.promises.readFile(`${segment.file}.cursor`, 'utf8')).offset || 0;
+      } catch (error) {
+        // No cursor yet: nothing of this segment was shipped
+      }
+
+      if (offset < lines.length) {
+        this.reading = { segment, lines, offset };
+        return this.reading;
+      }
+
+      this._discardOldest();
+    }
+
+    return null;
+  }
+
+  /**
+   * Delete the oldest sealed segment and its cursor
+   * @private
+   */
+  _discardOldest() {
+    const [segment] = this.sealed;
+    fs.rmSync(segment.file, { force: true });
+    fs.rmSync(`${segment.file}.cursor`, { force: true });
+    this.totalBytes -= segment.size;
+    this.sealed.shift();
+    this.reading = null;
+  }
+
+  /**
+   * Oldest entries not shipped yet. Lines that cannot be parsed are returned
+   * as null, so the shipper can count and skip them.
+   * @param {number} max - Maximum number of entries
+   * @returns {Promise<Array<object|null>>}
+   */
+  async peek(max) {
+    this._init();
+
+    const reading = await this._openOldest();
+    if (!reading) {
+      return [];
+    }
+
+    return reading.lines.slice(reading.offset, reading.offset + max).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Mark the first entries returned by peek() as shipped
+   * @param {number} count - Number of entries shipped
+   */
+  commit(count) {
+    const reading = this.reading;
+    if (!reading || count <= 0) {
+      return;
+    }
+
+    reading.offset += count;
+
+    if (reading.offset < reading.lines.length) {
+      fs.writeFileSync(`${reading.segment.file}.cursor`, JSON.stringify({ offset: reading.offset }));
+      return;
+    }
+
+    this._discardOldest();
+  }
+
+  /**
+   * Spool size and drop counter
+   * @returns {object} { segments, bytes, maxBytes, dropped }
+   */
+  getStats() {
+    return {
+      segments: this.sealed.length + (this.active ? 1 : 0),
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      dropped: this.dropped
+    };
+  }
+
+  /**
+   * Wait until the entries appended so far are written to the active segment
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.active) {
+      return Promise.resolve();
+    }
+
+    const { stream } = this.active;
+    return new Promise(resolve => stream.write('', resolve));
+  }
+
+  /**
+   * Seal the active segment so the next process ships it, and wait until
+   * every segment is written
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._seal();
+    await Promise.all(this.sealed.map(segment => segment.closed));
+  }
+}
+
+module.exports = LogSpool;
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dgram = require('dgram');
+const net = require('net');
+
+// Severity order of the levels accepted by the log service
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'fatal'];
+
+// RFC 5424 severities of the levels
+const SYSLOG_SEVERITIES = {
+  debug: 7,
+  info: 6,
+  warn: 4,
+  error: 3,
+  fatal: 2
+};
+
+// RFC 5424 facility codes
+const SYSLOG_FACILITIES = {
+  user: 1,
+  daemon: 3,
+  local0: 16,
+  local1: 17,
+  local2: 18,
+  local3: 19,
+  local4: 20,
+  local5: 21,
+  local6: 22,
+  local7: 23
+};
+
+/**
+ * Rank of a level; unknown levels rank as info
+ * @param {string} level - Log level
+ * @returns {number}
+ */
+const levelRank = (level) => {
+  const rank = LOG_LEVELS.indexOf(level);
+  return rank === -1 ? LOG_LEVELS.indexOf('info') : rank;
+};
+
+/**
+ * Destinations for log entries. Every transport implements:
+ *   validate() -> Array<string>   names of missing options, empty when usable
+ *   write(entry)                  entry is { stack, level, package, message, timestamp, requestId? }
+ *   start() / stop() -> Promise<void>
+ * and only receives entries at or above its minLevel.
+ */
+class BaseTransport {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.minLevel = options.minLevel || 'debug';
+  }
+
+  validate() {
+    return LOG_LEVELS.includes(this.minLevel) ? [] : ['minLevel'];
+  }
+
+  accepts(level) {
+    return levelRank(level) >= levelRank(this.minLevel);
+  }
+
+  write() {}
+
+  async start() {}
+
+  async stop() {}
+}
+
+/**
+ * Human readable lines on the console
+ */
+class ConsoleTransport extends BaseTransport {
+  constructor(options) {
+    super('console', options);
+  }
+
+  write(entry) {
+    const level = entry.level.toUpperCase();
+    const requestId = entry.requestId ? ` [${entry.requestId}]` : '';
+    const line = `[Log] ${entry.timestamp} ${level}${requestId} ${entry.stack}/${entry.package}: ${entry.message}`;
+
+    if (levelRank(entry.level) >= levelRank('error')) {
+      console.error(line);
+    } else if (entry.level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * One JSON object per line on stdout, for log collectors that read container output
+ */
+class StdoutJsonTransport extends BaseTransport {
+  constructor(options) {
+    super('stdout-json', options);
+  }
+
+  write(entry) {
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+}
+
+/**
+ * JSON lines appended to a local file
+ */
+class FileTransport extends BaseTransport {
+  constructor(options) {
+    super('file', options);
+    this.stream = null;
+  }
+
+  validate() {
+    const missing = super.validate();
+    if (!this.options.path) {
+      missing.push('path');
+    }
+    return missing;
+  }
+
+  async start() {
+    this._open();
+  }
+
+  /**
+   * Open the file lazily, so entries logged before start() are kept too
+   * @private
+   */
+  _open() {
+    if (this.stream) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.options.path), { recursive: true });
+    this.stream = fs.createWriteStream(this.options.path, { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.warn('[FileTransport] Failed to write log file:', error.message);
+    });
+  }
+
+  write(entry) {
+    this._open();
+    this.stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  async stop() {
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await new Promise(resolve => stream.end(resolve));
+    }
+  }
+}
+
+/**
+ * RFC 5424 messages to a syslog server over UDP or TCP. Delivery is best
+ * effort: messages are not buffered while the server is unreachable.
+ */
+class SyslogTransport extends BaseTransport {
+  constructor(options) {
+    super('syslog', options);
+    this.socket = null;
+    this.hostname = os.hostname();
+  }
+
+  validate() {
+    const missing = super.validate();
+    if (!this.options.host) {
+      missing.push('host');
+    }
+    if (!['udp', 'tcp'].includes(this.options.protocol)) {
+      missing.push('protocol');
+    }
+    if (SYSLOG_FACILITIES[this.options.facility] === undefined) {
+      missing.push('facility');
+    }
+    return missing;
+  }
+
+  /**
+   * Format an entry as an RFC 5424 message
+   * @param {object} entry - Log entry
+   * @returns {string}
+   */
+  format(entry) {
+    const priority = SYSLOG_FACILITIES[this.options.facility] * 8 + (SYSLOG_SEVERITIES[entry.level] ?? 6);
+    // No structured data; stack and package go into MSGID as "stack/package"
+    return `<${priority}>1 ${entry.timestamp} ${this.hostname} ${this.options.appName} ${process.pid} ` +
+      `${entry.stack}/${entry.package} - ${entry.message}`;
+  }
+
+  /**
+   * Open the UDP socket, or connect over TCP, on first use
+   * @private
+   */
+  _connect() {
+    if (this.socket) {
+      return;
+    }
+
+    if (this.options.protocol === 'tcp') {
+      this.socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      this.socket.on('close', () => {
+        this.socket = null;
+      });
+    } else {
+      this.socket = dgram.createSocket(this.options.host.includes(':') ? 'udp6' : 'udp4');
+    }
+
+    this.socket.on('error', (error) => {
+      console.warn('[SyslogTransport] Syslog error:', error.message);
+    });
+    this.socket.unref();
+  }
+
+  write(entry) {
+    this._connect();
+    const message = this.format(entry);
+
+    if (this.options.protocol === 'tcp') {
+      // Octet counting framing, RFC 6587
+      this.socket.write(`${Buffer.byteLength(message)} ${message}`);
+    } else {
+      this.socket.send(message, this.options.port, this.options.host);
+    }
+  }
+
+  async stop() {
+    if (!this.socket) {
+      return;
+    }
+
+    const socket = this.socket;
+    this.socket = null;
+    if (this.options.protocol === 'tcp') {
+      await new Promise(resolve => socket.end(resolve));
+    } else {
+      socket.close();
+    }
+  }
+}
+
+module.exports = {
+  LOG_LEVELS,
+  levelRank,
+  BaseTransport,
+  ConsoleTransport,
+  StdoutJsonTransport,
+  FileTransport,
+  SyslogTransport
+};
@@ -1,176 +1,150 @@
-const axios = require('axios');
 const config = require('../config');
+const RequestContext = require('../utils/requestContext');
+const {
+  ConsoleTransport,
+  StdoutJsonTransport,
+  FileTransport,
+  SyslogTransport
+} = require('./logTransports');
+const HttpBearerTransport = require('./httpLogTransport');
+
+// Transport names accepted in config.logging.transports
+const TRANSPORTS = {
+  console: ConsoleTransport,
+  file: FileTransport,
+  http: HttpBearerTransport,
+  syslog: SyslogTransport,
+  'stdout-json': StdoutJsonTransport
+};
+
+// Key of each transport's options in config.logging
+const OPTION_KEYS = {
+  console: 'console',
+  file: 'file',
+  http: 'http',
+  syslog: 'syslog',
+  'stdout-json': 'stdoutJson'
+};
 
 /**
- * Logging client that integrates with AffordMed test server
- * Handles authentication, token caching, and automatic token refresh
+ * Logging client that hands every entry to the enabled transports. The
+ * AffordMed log service is the 'http' transport; console, file, syslog and
+ * stdout-json can run next to it, each with its own minimum level.
  */
 class LoggingClient {
   constructor() {
-    this.token = null;
-    this.tokenExpiry = null;
-    this.isAuthenticating = false;
-    this.authPromise = null;
-    
+    this.transports = [];
+    this.http = null;
+
     // Validate required configuration
     this.validateConfig();
   }
 
   /**
-   * Validate that all required logging configuration is present
+   * Create the enabled transports, leaving out those with missing configuration
    */
   validateConfig() {
-    const required = ['authUrl', 'logsUrl', 'accessCode', 'clientId', 'clientSecret', 'email', 'name', 'rollNo'];
-    const missing = required.filter(key => !config.logging[key]);
-    
-    if (missing.length > 0) {
-      console.warn(`[LoggingClient] Missing required config: ${missing.join(', ')}. Logging will be disabled.`);
-      this.disabled = true;
+    for (const name of config.logging.transports) {
+      const Transport = TRANSPORTS[name];
+      if (!Transport) {
+        console.warn(`[LoggingClient] Unknown log transport "${name}", ignoring it`);
+        continue;
+      }
+
+      const transport = new Transport(config.logging[OPTION_KEYS[name]]);
+      const missing = transport.validate();
+      if (missing.length > 0) {
+        console.warn(`[LoggingClient] Missing required config for ${name}: ${missing.join(', ')}. ` +
+          'This transport will be disabled.');
+        continue;
+      }
+
+      this.transports.push(transport);
+      if (name === 'http') {
+        this.http = transport;
+      }
+    }
+
+    this.disabled = this.transports.length === 0;
+    if (this.disabled) {
+      console.warn('[LoggingClient] No usable log transport. Logging will be disabled.');
     }
   }
 
   /**
-   * Authenticate with the AffordMed auth service
-   * @returns {Promise<string>} Authentication token
+   * Send a log message to every transport whose minimum level it reaches.
+   * Inside a request the entry carries its requestId.
+   * @param {string} stack - The stack name (e.g., 'backend')
+   * @param {string} level - Log level (e.g., 'info', 'error', 'warn')
+   * @param {string} packageName - Package name (e.g., 'service', 'route')
+   * @param {string} message - Log message
    */
-  async authenticate() {
+  async Log(stack, level, packageName, message) {
     if (this.disabled) {
-      throw new Error('Logging client is disabled due to missing configuration');
+      console.warn('[LoggingClient] Logging disabled, skipping log entry');
+      return;
     }
 
-    // If already authenticating, wait for the existing promise
-    if (this.isAuthenticating && this.authPromise) {
-      return this.authPromise;
+    const entry = {
+      stack,
+      level,
+      package: packageName,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    // Ties the entry to the request it was logged for
+    const requestId = RequestContext.getRequestId();
+    if (requestId) {
+      entry.requestId = requestId;
     }
 
-    this.isAuthenticating = true;
-    
-    this.authPromise = this._performAuth();
-    
-    try {
-      const result = await this.authPromise;
-      this.isAuthenticating = false;
-      return result;
-    } catch (error) {
-      this.isAuthenticating = false;
-      throw error;
+    for (const transport of this.transports) {
+      if (!transport.accepts(level)) {
+        continue;
+      }
+
+      try {
+        await transport.write(entry);
+      } catch (error) {
+        console.warn(`[LoggingClient] ${transport.name} transport failed:`, error.message);
+      }
     }
   }
 
   /**
-   * Perform the actual authentication request
-   * @private
+   * Start the transports, e.g. shipping of spooled entries
+   * @returns {Promise<void>}
    */
-  async _performAuth() {
-    try {
-      const authData = {
-        email: config.logging.email,
-        name: config.logging.name,
-        rollNo: config.logging.rollNo,
-        accessCode: config.logging.accessCode,
-        clientID: config.logging.clientId,
-        clientSecret: config.logging.clientSecret
-      };
-
-      console.log('[LoggingClient] Authenticating with AffordMed service...');
-      
-      const response = await axios.post(config.logging.authUrl, authData, {
-        timeout: 10000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.data && response.data.token) {
-        this.token = response.data.token;
-        
-        // Set expiry to 50 minutes from now (assuming 1 hour token validity)
-        this.tokenExpiry = new Date(Date.now() + 50 * 60 * 1000);
-        
-        console.log('[LoggingClient] Authentication successful');
-        return this.token;
-      } else {
-        throw new Error('No token received from auth service');
-      }
-    } catch (error) {
-      console.warn('[LoggingClient] Authentication failed:', error.message);
-      throw error;
-    }
+  async start() {
+    await Promise.all(this.transports.map(transport => transport.start()));
   }
 
   /**
-   * Check if the current token is valid and not expired
-   * @returns {boolean}
+   * Stop the transports, flushing what they buffer
+   * @returns {Promise<void>}
    */
-  isTokenValid() {
-    return this.token && this.tokenExpiry && new Date() < this.tokenExpiry;
+  async stop() {
+    await Promise.all(this.transports.map(transport => transport.stop()));
   }
 
   /**
-   * Get a valid authentication token, refreshing if necessary
-   * @returns {Promise<string>}
+   * Authentication state of the log service, for the readiness probe
+   * @returns {object} { disabled, authenticated, ... }
    */
-  async getValidToken() {
-    if (this.isTokenValid()) {
-      return this.token;
+  getAuthState() {
+    if (!this.http) {
+      return { disabled: true };
     }
-
-    return await this.authenticate();
+    return { disabled: false, ...this.http.getAuthState() };
   }
 
   /**
-   * Send a log message to the AffordMed logging service
-   * @param {string} stack - The stack name (e.g., 'backend')
-   * @param {string} level - Log level (e.g., 'info', 'error', 'warn')
-   * @param {string} packageName - Package name (e.g., 'service', 'route')
-   * @param {string} message - Log message
-   * @param {number} retries - Number of retries (internal use)
+   * Spool statistics of the log service transport
+   * @returns {object|null}
    */
-  async Log(stack, level, packageName, message, retries = 3) {
-    if (this.disabled) {
-      console.warn('[LoggingClient] Logging disabled, skipping log entry');
-      return;
-    }
-
-    try {
-      const token = await this.getValidToken();
-      
-      const logData = {
-        stack,
-        level,
-        package: packageName,
-        message,
-        timestamp: new Date().toISOString()
-      };
-
-      await axios.post(config.logging.logsUrl, logData, {
-        timeout: 5000,
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      // Optional: Log successful submission (only in development)
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`[LoggingClient] Log sent: ${stack}/${level}/${packageName} - ${message}`);
-      }
-    } catch (error) {
-      console.warn('[LoggingClient] Failed to send log:', error.message);
-      
-      // Retry logic with exponential backoff
-      if (retries > 0) {
-        const delay = Math.pow(2, 3 - retries) * 1000; // 1s, 2s, 4s delays
-        
-        console.warn(`[LoggingClient] Retrying in ${delay}ms... (${retries} retries left)`);
-        
-        setTimeout(() => {
-          this.Log(stack, level, packageName, message, retries - 1);
-        }, delay);
-      } else {
-        console.warn('[LoggingClient] Max retries exceeded, giving up on log entry');
-      }
-    }
+  getSpoolStats() {
+    return this.http ? this.http.getSpoolStats() : null;
   }
 
   /**
@@ -197,4 +171,4 @@ class LoggingClient {
 
 // Export a singleton instance
 const loggingClient = new LoggingClient();
-module.exports = loggingClient;
\ No newline at end of file
+module.exports = loggingClient;
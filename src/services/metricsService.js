@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const client = require('prom-client');
+const config = require('../config');
+const RequestContext = require('../utils/requestContext');
+const clickWriter = require('./clickWriter');
+
+// Values of mongoose.connection.readyState
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+/**
+ * Prometheus metrics of the service, exposed on GET /metrics
+ */
+class MetricsService {
+  constructor() {
+    const prefix = config.metrics.prefix;
+
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix });
+
+    this.httpRequests = new client.Counter({
+      name: `${prefix}http_requests_total`,
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      registers: [this.registry]
+    });
+
+    this.httpRequestDuration = new client.Histogram({
+      name: `${prefix}http_request_duration_seconds`,
+      help: 'HTTP request latency by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+      buckets: config.metrics.latencyBuckets,
+      registers: [this.registry]
+    });
+
+    this.redirects = new client.Counter({
+      name: `${prefix}redirects_total`,
+      help: 'Redirects served, by HTTP status code',
+      labelNames: ['status'],
+      registers: [this.registry]
+    });
+
+    this.previews = new client.Counter({
+      name: `${prefix}link_previews_total`,
+      help: 'Preview pages shown instead of a redirect',
+      registers: [this.registry]
+    });
+
+    this.redirectFailures = new client.Counter({
+      name: `${prefix}redirect_failures_total`,
+      help: 'Short link visits answered with 404 or 410, or sent to the 404 fallback of their domain (302), ' +
+        'by status code and reason',
+      labelNames: ['status', 'reason'],
+      registers: [this.registry]
+    });
+
+    this.shortcodeAttempts = new client.Counter({
+      name: `${prefix}shortcode_generation_attempts_total`,
+      help: 'Random shortcodes tried, including collisions',
+      registers: [this.registry]
+    });
+
+    this.shortcodeCollisions = new client.Counter({
+      name: `${prefix}shortcode_generation_collisions_total`,
+      help: 'Random shortcodes that were already taken',
+      registers: [this.registry]
+    });
+
+    this.shortcodeEscalations = new client.Counter({
+      name: `${prefix}shortcode_length_escalations_total`,
+      help: 'Times shortcode generation moved to a longer length after repeated collisions',
+      registers: [this.registry]
+    });
+
+    this.rateLimitRejections = new client.Counter({
+      name: `${prefix}rate_limit_rejections_total`,
+      help: 'Requests rejected by a rate limiter',
+      labelNames: ['limiter'],
+      registers: [this.registry]
+    });
+
+    this.destinationRejections = new client.Counter({
+      name: `${prefix}destination_rejections_total`,
+      help: 'Destination URLs rejected by the screening service',
+      labelNames: ['code'],
+      registers: [this.registry]
+    });
+
+    this.logSendFailures = new client.Counter({
+      name: `${prefix}logging_client_send_failures_total`,
+      help: 'Failed attempts to send a log entry to the logging service',
+      registers: [this.registry]
+    });
+
+    this.logRetries = new client.Counter({
+      name: `${prefix}logging_client_retries_total`,
+      help: 'Log entries scheduled for another attempt',
+      registers: [this.registry]
+    });
+
+    this.logDropped = new client.Counter({
+      name: `${prefix}logging_client_dropped_total`,
+      help: 'Log entries given up after the last retry',
+      registers: [this.registry]
+    });
+
+    this.mongoState = new client.Gauge({
+      name: `${prefix}mongodb_connection_state`,
+      help: 'MongoDB connection state; the current state has the value 1',
+      labelNames: ['state'],
+      registers: [this.registry],
+      collect() {
+        const current = MONGO_STATES[mongoose.connection.readyState];
+        for (const state of MONGO_STATES) {
+          this.set({ state }, state === current ? 1 : 0);
+        }
+      }
+    });
+
+    this.clickQueueDepth = new client.Gauge({
+      name: `${prefix}click_queue_depth`,
+      help: 'Click events waiting to be written',
+      registers: [this.registry],
+      collect() {
+        this.set(clickWriter.getMetrics().depth);
+      }
+    });
+
+    this.clickQueueEvents = new client.Gauge({
+      name: `${prefix}click_queue_events`,
+      help: 'Click events enqueued, written and dropped since start',
+      labelNames: ['outcome'],
+      registers: [this.registry],
+      collect() {
+        const { enqueued, written, dropped } = clickWriter.getMetrics();
+        this.set({ outcome: 'enqueued' }, enqueued);
+        this.set({ outcome: 'written' }, written);
+        this.set({ outcome: 'dropped' }, dropped);
+      }
+    });
+
+    this.clickQueueFlushes = new client.Gauge({
+      name: `${prefix}click_queue_flushes`,
+      help: 'Click queue flushes since start, by result',
+      labelNames: ['result'],
+      registers: [this.registry],
+      collect() {
+        const { flushes, failedFlushes } = clickWriter.getMetrics();
+        this.set({ result: 'success' }, flushes);
+        this.set({ result: 'failure' }, failedFlushes);
+      }
+    });
+  }
+
+  /**
+   * Record a finished HTTP request
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @param {number} durationSeconds - Time from arrival to the response being sent
+   */
+  observeRequest(req, res, durationSeconds) {
+    const labels = {
+      method: req.method,
+      route: RequestContext.routePattern(req, res),
+      status: res.statusCode
+    };
+
+    this.httpRequests.inc(labels);
+    this.httpRequestDuration.observe(labels, durationSeconds);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {Promise<string>}
+   */
+  render() {
+    return this.registry.metrics();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
+
+// Export singleton instance
+const metricsService = new MetricsService();
+module.exports = metricsService;
@@ -0,0 +1,176 @@
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const config = require('../config');
+const { schemas, problemResponse } = require('../utils/apiSchemas');
+
+const TAGS = [
+  { name: 'Links', description: 'Create, list, inspect and manage short links' },
+  { name: 'Redirects', description: 'Visiting short links' },
+  { name: 'Admin', description: 'API keys and internals; requires an admin key' },
+  { name: 'Health', description: 'Probes and metrics' },
+  { name: 'Docs', description: 'This specification' }
+];
+
+// Media types whose parsed body is validated; uploads and CSV text are checked by the handlers
+const VALIDATED_MEDIA_TYPES = ['application/json', 'application/x-www-form-urlencoded'];
+
+const createAjv = (coerceTypes) => {
+  const ajv = new Ajv2020({ allErrors: true, strict: false, coerceTypes });
+  addFormats(ajv);
+  return ajv;
+};
+
+/**
+ * Builds the OpenAPI 3.1 document from the operations the routers register,
+ * and compiles the same schemas for request and response validation.
+ */
+class OpenApiService {
+  constructor() {
+    this.operations = [];
+    this.ajv = createAjv(false);
+    // Path, query and header values are strings on the wire
+    this.coercingAjv = createAjv(true);
+  }
+
+  /**
+   * Compile a schema that may reference the component schemas
+   * @param {object} schema - JSON Schema
+   * @param {boolean} coerce - Coerce strings to the declared types
+   * @returns {Function} Ajv validate function
+   */
+  compile(schema, coerce = false) {
+    return (coerce ? this.coercingAjv : this.ajv).compile({ ...schema, components: { schemas } });
+  }
+
+  /**
+   * Record an operation and compile its validators
+   * @param {string} mountPath - Path the router is mounted at
+   * @param {object} definition - { method, path, operationId, tags, summary, description, auth, rateLimited,
+   *   parameters, requestBody, responses }, path in Express syntax; auth is 'key' or 'admin'
+   * @returns {object} The operation, with its OpenAPI path, full responses and validators
+   */
+  addOperation(mountPath, definition) {
+    const responses = { ...definition.responses };
+    if (definition.auth) {
+      responses[401] = responses[401] || problemResponse('Missing or invalid API key', ['UNAUTHORIZED']);
+    }
+    if (definition.auth === 'admin') {
+      responses[403] = responses[403] || problemResponse('The API key is not an admin key', ['FORBIDDEN']);
+    }
+    if (definition.rateLimited !== false) {
+      responses[429] = responses[429] || problemResponse('Rate limit exceeded', ['RATE_LIMITED']);
+    }
+    responses[500] = responses[500] || problemResponse('Unexpected failure', ['INTERNAL_ERROR']);
+
+    const operation = {
+      ...definition,
+      responses,
+      openApiPath: `${mountPath}${definition.path}`.replace(/:(\w+)/g, '{$1}'),
+      validators: {
+        parameters: this._compileParameters(definition.parameters || []),
+        body: this._compileBody(definition.requestBody),
+        responses: this._compileResponses(responses)
+      }
+    };
+
+    this.operations.push(operation);
+    return operation;
+  }
+
+  /**
+   * One object schema per parameter location
+   * @private
+   */
+  _compileParameters(parameters) {
+    const locations = {};
+
+    for (const parameter of parameters) {
+      // Express lower-cases header names
+      const name = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+      const location = locations[parameter.in] || { type: 'object', properties: {}, required: [] };
+      location.properties[name] = parameter.schema;
+      if (parameter.required) {
+        location.required.push(name);
+      }
+      locations[parameter.in] = location;
+    }
+
+    return Object.fromEntries(Object.entries(locations)
+      .map(([location, schema]) => [location, this.compile(schema, true)]));
+  }
+
+  /**
+   * Validators by media type
+   * @private
+   */
+  _compileBody(requestBody) {
+    const content = requestBody ? requestBody.content : {};
+    return Object.fromEntries(Object.entries(content)
+      .filter(([mediaType]) => VALIDATED_MEDIA_TYPES.includes(mediaType))
+      .map(([mediaType, { schema }]) => [mediaType, this.compile(schema)]));
+  }
+
+  /**
+   * Validators of the JSON responses by status
+   * @private
+   */
+  _compileResponses(responses) {
+    const validators = {};
+
+    for (const [status, response] of Object.entries(responses)) {
+      const media = Object.entries(response.content || {}).find(([mediaType]) => mediaType.endsWith('json'));
+      validators[status] = media ? this.compile(media[1].schema) : null;
+    }
+
+    return validators;
+  }
+
+  /**
+   * The OpenAPI document of every registered operation
+   * @returns {object} OpenAPI 3.1 document
+   */
+  document() {
+    const paths = {};
+
+    for (const operation of this.operations) {
+      const description = operation.auth === 'admin'
+        ? ['Requires an admin API key.', operation.description].filter(Boolean).join(' ')
+        : operation.description;
+
+      paths[operation.openApiPath] = paths[operation.openApiPath] || {};
+      paths[operation.openApiPath][operation.method] = {
+        operationId: operation.operationId,
+        tags: operation.tags,
+        summary: operation.summary,
+        description,
+        security: operation.auth ? [{ apiKey: [] }] : undefined,
+        parameters: operation.parameters,
+        requestBody: operation.requestBody,
+        responses: operation.responses
+      };
+    }
+
+    return JSON.parse(JSON.stringify({
+      openapi: '3.1.0',
+      info: {
+        title: 'URL Shortener Microservice',
+        version: require('../../package.json').version,
+        description: 'Errors are RFC 7807 problem details with a stable code. Every response carries an ' +
+          `${config.requestId.header} header; a valid one sent with the request is kept.`
+      },
+      servers: [{ url: config.hostname }],
+      tags: TAGS,
+      paths,
+      components: {
+        securitySchemes: {
+          apiKey: { type: 'apiKey', in: 'header', name: config.auth.header }
+        },
+        schemas
+      }
+    }));
+  }
+}
+
+// Export singleton instance
+const openApiService = new OpenApiService();
+module.exports = openApiService;
@@ -0,0 +1,61 @@
+const QRCode = require('qrcode');
+const config = require('../config');
+
+/**
+ * QR codes of short links. The encoded link carries a source marker, so
+ * redirects can tell scans apart from other clicks.
+ */
+class QrService {
+  /**
+   * Link to encode for a short link: the short link with <sourceParam>=qr
+   * @param {string} shortLink - Absolute short link
+   * @returns {string}
+   */
+  scanLink(shortLink) {
+    const url = new URL(shortLink);
+    url.searchParams.set(config.qr.sourceParam, 'qr');
+    return url.toString();
+  }
+
+  /**
+   * Render a QR code
+   * @param {string} text - Content to encode
+   * @param {object} options - Options from ValidationService.validateQrOptions
+   * @returns {Promise<object>} { contentType, body }, body being a Buffer for PNG and a string for SVG
+   */
+  async render(text, { format, size, margin, errorCorrection, foreground, background }) {
+    const qrOptions = {
+      width: size,
+      margin,
+      errorCorrectionLevel: errorCorrection,
+      color: { dark: foreground, light: background }
+    };
+
+    if (format === 'svg') {
+      return {
+        contentType: 'image/svg+xml',
+        body: await QRCode.toString(text, { ...qrOptions, type: 'svg' })
+      };
+    }
+
+    return {
+      contentType: 'image/png',
+      body: await QRCode.toBuffer(text, { ...qrOptions, type: 'png' })
+    };
+  }
+
+  /**
+   * Render a QR code as a data: URI, for embedding in JSON responses
+   * @param {string} text - Content to encode
+   * @param {object} options - Options from ValidationService.validateQrOptions
+   * @returns {Promise<string>}
+   */
+  async renderDataUri(text, options) {
+    const { contentType, body } = await this.render(text, options);
+    return `data:${contentType};base64,${Buffer.from(body).toString('base64')}`;
+  }
+}
+
+// Export singleton instance
+const qrService = new QrService();
+module.exports = qrService;
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const geoip = require('geoip-lite');
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const ValidationService = require('../utils/validation');
+const PasswordHasher = require('../utils/password');
+const ClientInfo = require('../utils/clientInfo');
+const config = require('../config');
+const loggingClient = require('./loggingClient');
+const ruleService = require('./ruleService');
+const clickWriter = require('./clickWriter');
+
+/**
+ * Work done when a visitor opens a short link
+ */
+class RedirectService {
+  /**
+   * Collect the click record for a request
+   * @param {object} req - Express request
+   * @returns {object} Click data with ts, ip, referrer, userAgent, country, source and
+   * the derived fields from Click.describe (ipHash, referrerDomain, browser, os, device)
+   */
+  buildClickData(req) {
+    const clientIP = ValidationService.extractClientIP(req);
+    const headers = ValidationService.extractSafeHeaders(req);
+
+    let country = null;
+    try {
+      const geo = geoip.lookup(clientIP);
+      country = geo ? geo.country : null;
+    } catch (geoError) {
+      console.warn('[RedirectService] GeoIP lookup failed:', geoError.message);
+    }
+
+    return Click.describe({
+      ts: new Date(),
+      ip: clientIP,
+      referrer: headers.referrer,
+      userAgent: headers.userAgent,
+      country,
+      // Links encoded in QR codes carry the marker, see qrService.scanLink
+      source: req.query[config.qr.sourceParam] === 'qr' ? 'qr' : 'link'
+    });
+  }
+
+  /**
+   * Identify a visitor for sticky A/B assignment: the visitor cookie when present,
+   * otherwise a hash of the IP and user agent (which then becomes the cookie value)
+   * @param {object} req - Express request
+   * @param {object} clickData - Data from buildClickData
+   * @returns {object} { visitorId, fromCookie }
+   */
+  getVisitorId(req, clickData) {
+    const cookie = ClientInfo.getCookie(req, config.variants.cookieName);
+    if (cookie && /^[a-f0-9]{32}$/.test(cookie)) {
+      return { visitorId: cookie, fromCookie: true };
+    }
+
+    const visitorId = crypto
+      .createHash('sha256')
+      .update(`${clickData.ipHash}:${clickData.userAgent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+
+    return { visitorId, fromCookie: false };
+  }
+
+  /**
+   * Pick a variant by weight. The same shortcode and visitor always land in the
+   * same bucket, so assignments are stable as long as the variants are unchanged.
+   * @param {Array<object>} variants - { name, url, weight } entries
+   * @param {string} seed - Stable per visitor and link
+   * @returns {object} The chosen variant
+   */
+  pickVariant(variants, seed) {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const hash = crypto.createHash('sha256').update(seed).digest().readUInt32BE(0);
+    let point = (hash / 0x100000000) * totalWeight;
+
+    for (const variant of variants) {
+      point -= variant.weight;
+      if (point < 0) {
+        return variant;
+      }
+    }
+
+    return variants[variants.length - 1];
+  }
+
+  /**
+   * Add the link's UTM tags and, when enabled, the visitor's query string to a
+   * destination. UTM tags the destination already carries are left alone; the
+   * visitor's parameters are merged by the link's queryConflict policy:
+   * keep the destination's value, override it, or append the visitor's too.
+   * @param {object} urlDoc - Url document being visited
+   * @param {string} destination - Destination URL
+   * @param {string} search - Query string of the short link request, e.g. "?utm_source=x"
+   * @returns {string} The URL to redirect to
+   */
+  buildRedirectUrl(urlDoc, destination, search) {
+    const utm = urlDoc.utm ? Object.entries(urlDoc.utm.toObject ? urlDoc.utm.toObject() : urlDoc.utm) : [];
+    const incoming = urlDoc.forwardQuery ? [...new URLSearchParams(search)] : [];
+
+    if (utm.length === 0 && incoming.length === 0) {
+      return destination;
+    }
+
+    const url = new URL(destination);
+
+    for (const [field, value] of utm) {
+      if (value && !url.searchParams.has(`utm_${field}`)) {
+        url.searchParams.set(`utm_${field}`, value);
+      }
+    }
+
+    const policy = urlDoc.queryConflict || 'keep';
+    const original = new Set(url.searchParams.keys());
+    const overridden = new Set();
+
+    for (const [name, value] of incoming) {
+      if (original.has(name) && policy === 'keep') {
+        continue;
+      }
+      if (original.has(name) && policy === 'override' && !overridden.has(name)) {
+        // Repeated visitor parameters replace the destination's value together
+        url.searchParams.delete(name);
+        overridden.add(name);
+      }
+      url.searchParams.append(name, value);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * Pick the destination for a visitor: the first matching rule, else a weighted
+   * variant, else the link's originalUrl. The result already carries the UTM
+   * tags and forwarded query parameters, see buildRedirectUrl.
+   * @param {object} urlDoc - Url document being visited
+   * @param {object} clickData - Data from buildClickData
+   * @param {object} req - Express request, for Accept-Language, the visitor cookie and the query string
+   * @returns {object} { destination, ruleIndex, variant, visitorId, setVisitorCookie }
+   */
+  resolveDestination(urlDoc, clickData, req) {
+    const target = this._pickTarget(urlDoc, clickData, req);
+    const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+
+    // The QR scan marker belongs to this service, not to the destination
+    if (params.get(config.qr.sourceParam) === 'qr') {
+      params.delete(config.qr.sourceParam);
+    }
+
+    return {
+      ...target,
+      destination: this.buildRedirectUrl(urlDoc, target.destination, params.toString())
+    };
+  }
+
+  /**
+   * Rule, variant or link destination, before the query string is applied
+   * @private
+   */
+  _pickTarget(urlDoc, clickData, req) {
+    const languages = req.acceptsLanguages().filter(language => language !== '*');
+
+    const match = ruleService.findMatch(urlDoc.rules, {
+      country: clickData.country,
+      device: clickData.device,
+      os: clickData.os,
+      language: languages[0] || null,
+      now: clickData.ts
+    });
+
+    if (match) {
+      return { destination: match.rule.destination, ruleIndex: match.index, variant: null };
+    }
+
+    if (urlDoc.variants && urlDoc.variants.length > 0) {
+      const { visitorId, fromCookie } = this.getVisitorId(req, clickData);
+      const variant = this.pickVariant(urlDoc.variants, `${urlDoc.shortcode}:${visitorId}`);
+
+      return {
+        destination: variant.url,
+        ruleIndex: null,
+        variant: variant.name,
+        visitorId,
+        setVisitorCookie: !fromCookie
+      };
+    }
+
+    return { destination: urlDoc.originalUrl, ruleIndex: null, variant: null };
+  }
+
+  /**
+   * Queue a click for storage and report the redirect to the logging service.
+   * Only limited links touch the database here, to claim their click; everything
+   * else is written in the background by the click writer.
+   * @param {object} urlDoc - Url document being visited
+   * @param {object} clickData - Data from buildClickData
+   * @returns {Promise<boolean>} False when the link's click budget was used up
+   */
+  async recordClick(urlDoc, clickData) {
+    const limited = urlDoc.maxClicks !== null && urlDoc.maxClicks !== undefined;
+    if (limited && !(await urlDoc.claimClick())) {
+      return false;
+    }
+
+    clickWriter.enqueue(
+      { ...clickData, shortcode: urlDoc.shortcode, domain: urlDoc.domain || null },
+      { counted: limited, urlId: urlDoc._id }
+    );
+
+    loggingClient.Log(
+      'backend',
+      'info',
+      'route',
+      `Redirect: ${urlDoc.shortcode} accessed from IP ${clickData.ip}`
+    ).catch((logError) => {
+      console.warn('[RedirectService] Failed to log redirect:', logError.message);
+    });
+
+    return true;
+  }
+
+  /**
+   * Count a view of the preview page. Previews are kept apart from clicks, so
+   * they neither use up a click limit nor show in the click analytics.
+   * @param {object} urlDoc - Url document being previewed
+   * @returns {Promise<void>}
+   */
+  async recordPreview(urlDoc) {
+    await Url.updateOne({ _id: urlDoc._id }, { $inc: { previewCount: 1 } });
+  }
+
+  /**
+   * Check a visitor supplied password for a protected link. Failures are counted
+   * on the link, separately from clicks.
+   * @param {object} urlDoc - Url document loaded with +passwordHash
+   * @param {string|undefined} password - Password from the header or form
+   * @param {string} clientIP - Visitor IP, for the log entry
+   * @returns {Promise<boolean>} True if the password matches
+   */
+  async checkPassword(urlDoc, password, clientIP) {
+    const valid = await PasswordHasher.verify(password, urlDoc.passwordHash);
+
+    if (!valid) {
+      await Url.updateOne({ _id: urlDoc._id }, { $inc: { passwordFailures: 1 } });
+
+      try {
+        await loggingClient.Log(
+          'backend',
+          'warn',
+          'route',
+          `Password failure: ${urlDoc.shortcode} from IP ${clientIP}`
+        );
+      } catch (logError) {
+        console.warn('[RedirectService] Failed to log password failure:', logError.message);
+      }
+    }
+
+    return valid;
+  }
+}
+
+// Export singleton instance
+const redirectService = new RedirectService();
+module.exports = redirectService;
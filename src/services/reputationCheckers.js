@@ -0,0 +1,139 @@
+const fs = require('fs');
+
+/**
+ * Reputation sources for destination URLs. Every checker implements:
+ *   validate() -> Array<string>   names of missing options, empty when usable
+ *   check(url) -> Promise<object|null>   { category, reason } when the URL is
+ *                                        flagged, null when it is not
+ *   start() / stop() -> Promise<void>
+ * url is a parsed URL object.
+ */
+class BaseReputationChecker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  validate() {
+    return [];
+  }
+
+  async check() {
+    return null;
+  }
+
+  async start() {}
+
+  async stop() {}
+}
+
+/**
+ * Flagged domains and URL prefixes from a local text file, one entry per line
+ * with an optional category:
+ *
+ *   # comment
+ *   phish.example phishing
+ *   https://files.example/payload malware
+ *
+ * A domain also matches its subdomains; an entry starting with http:// or
+ * https:// matches URLs that start with it. The file is reloaded when its
+ * modification time changes.
+ */
+class FileReputationChecker extends BaseReputationChecker {
+  constructor(options) {
+    super('file', options);
+    this.domains = new Map();
+    this.prefixes = [];
+    this.mtimeMs = null;
+    this.checkedAt = 0;
+  }
+
+  validate() {
+    return this.options.path ? [] : ['path'];
+  }
+
+  async start() {
+    await this._reload();
+  }
+
+  /**
+   * Parse the lines of a reputation file
+   * @param {string} text - File content
+   */
+  parse(text) {
+    const domains = new Map();
+    const prefixes = [];
+
+    for (const line of text.split(/\r?\n/)) {
+      const [entry, category = 'malicious'] = line.replace(/#.*/, '').trim().split(/\s+/);
+      if (!entry) {
+        continue;
+      }
+
+      if (/^https?:\/\//i.test(entry)) {
+        prefixes.push({ prefix: entry.toLowerCase(), category });
+      } else {
+        domains.set(entry.toLowerCase().replace(/\.$/, ''), category);
+      }
+    }
+
+    this.domains = domains;
+    this.prefixes = prefixes;
+  }
+
+  /**
+   * Load the file if it changed since the last load, at most once per reload interval
+   * @private
+   */
+  async _reload() {
+    this.checkedAt = Date.now();
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.options.path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        if (this.mtimeMs !== 0) {
+          console.warn(`[FileReputationChecker] ${this.options.path} not found, no destinations are flagged`);
+        }
+        this.parse('');
+        this.mtimeMs = 0;
+        return;
+      }
+      throw error;
+    }
+
+    if (stats.mtimeMs !== this.mtimeMs) {
+      this.parse(await fs.promises.readFile(this.options.path, 'utf8'));
+      this.mtimeMs = stats.mtimeMs;
+    }
+  }
+
+  async check(url) {
+    if (Date.now() - this.checkedAt >= this.options.reloadIntervalMs) {
+      await this._reload();
+    }
+
+    const href = url.href.toLowerCase();
+    const match = this.prefixes.find(({ prefix }) => href.startsWith(prefix));
+    if (match) {
+      return { category: match.category, reason: `URL listed in ${this.options.path}` };
+    }
+
+    // The host and each parent domain, e.g. a.b.example, b.example, example
+    const labels = url.hostname.toLowerCase().split('.');
+    for (let i = 0; i < labels.length; i++) {
+      const category = this.domains.get(labels.slice(i).join('.'));
+      if (category) {
+        return { category, reason: `Domain listed in ${this.options.path}` };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = {
+  BaseReputationChecker,
+  FileReputationChecker
+};
@@ -0,0 +1,278 @@
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const ArchivedUrl = require('../models/ArchivedUrl');
+const ArchivedClick = require('../models/ArchivedClick');
+const config = require('../config');
+const urlCache = require('./urlCache');
+const { ForbiddenError, NotFoundError, ShortcodeTakenError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every field of a link, copied to the archive and back. clickBatches only
+// matters while the click writer may still retry a batch for the link.
+const LINK_FIELDS = Object.keys(Url.schema.paths)
+  .filter(field => !['_id', '__v', 'clickBatches'].includes(field));
+
+/**
+ * The link fields of a Url or ArchivedUrl document, leaving out unset ones so
+ * the target schema's defaults apply
+ * @param {object} doc - Url or ArchivedUrl document
+ * @returns {object}
+ */
+function pickLinkFields(doc) {
+  const fields = {};
+  for (const field of LINK_FIELDS) {
+    if (doc[field] !== undefined) {
+      fields[field] = doc[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Keeps expired links for a grace period, then archives and deletes them.
+ * Replaces the former expireAfterSeconds TTL index on urls.expiryAt, which
+ * deleted links the moment they expired.
+ */
+class RetentionService {
+  constructor() {
+    this.graceDays = config.retention.graceDays;
+    this.sweepIntervalMs = config.retention.sweepIntervalMs;
+    this.batchSize = config.retention.batchSize;
+    this.timer = null;
+    this.sweeping = null;
+  }
+
+  /**
+   * Links whose expiryAt is before this date are past the grace period
+   * @returns {Date}
+   */
+  getCutoff() {
+    return new Date(Date.now() - this.graceDays * DAY_MS);
+  }
+
+  /**
+   * Drop the TTL index created by earlier versions, otherwise MongoDB keeps
+   * deleting links as soon as they expire
+   * @returns {Promise<boolean>} True if an index was dropped
+   */
+  async dropLegacyTtlIndex() {
+    const indexes = await Url.collection.indexes();
+    const legacy = indexes.find(index =>
+      index.expireAfterSeconds !== undefined &&
+      Object.keys(index.key).length === 1 &&
+      index.key.expiryAt === 1
+    );
+
+    if (!legacy) {
+      return false;
+    }
+
+    await Url.collection.dropIndex(legacy.name);
+    await Url.createIndexes();
+    console.log(`[RetentionService] Dropped legacy TTL index ${legacy.name}`);
+    return true;
+  }
+
+  /**
+   * Move clicks from one collection to the other in batches. The _id is kept,
+   * so a move that died half way through can simply be repeated.
+   * @param {object} from - Model to move the clicks out of
+   * @param {object} filter - Clicks to move
+   * @param {object} to - Model to move them into
+   * @param {Function} transform - Maps a lean click to the document to insert
+   * @private
+   */
+  async _moveClicks(from, filter, to, transform) {
+    for (;;) {
+      const clicks = await from.find(filter).sort({ _id: 1 }).limit(this.batchSize).lean();
+      if (clicks.length === 0) {
+        return;
+      }
+
+      try {
+        await to.insertMany(clicks.map(transform), { ordered: false });
+      } catch (error) {
+        // Clicks copied by an earlier attempt come back as duplicates
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+          throw error;
+        }
+      }
+
+      await from.deleteMany({ _id: { $in: clicks.map(click => click._id) } });
+    }
+  }
+
+  /**
+   * Archive a single link and move its clicks to the click archive
+   * The archive write is an upsert keyed on the link id, so a sweep that died
+   * half way through can simply be repeated.
+   * @param {object} urlDoc - Lean Url document
+   * @private
+   */
+  async _archive(urlDoc) {
+    await ArchivedUrl.updateOne(
+      { urlId: urlDoc._id },
+      {
+        $setOnInsert: {
+          ...pickLinkFields(urlDoc),
+          urlId: urlDoc._id,
+          archivedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    // The shortcode becomes available again, so its clicks must not carry over
+    // to a new link; they are kept under the link id until it is restored
+    await this._moveClicks(
+      Click,
+      { shortcode: urlDoc.shortcode, domain: urlDoc.domain || null },
+      ArchivedClick,
+      click => ({ ...click, urlId: urlDoc._id })
+    );
+    await Url.deleteOne({ _id: urlDoc._id });
+    await urlCache.invalidate(urlDoc.shortcode, urlDoc.domain || null);
+  }
+
+  /**
+   * Archive every link that expired more than graceDays ago
+   * @returns {Promise<number>} Number of links archived
+   */
+  async sweep() {
+    const cutoff = this.getCutoff();
+    let archived = 0;
+
+    for (;;) {
+      const batch = await Url.find({ expiryAt: { $lt: cutoff } })
+        .sort({ expiryAt: 1 })
+        .limit(this.batchSize)
+        .lean();
+
+      for (const urlDoc of batch) {
+        await this._archive(urlDoc);
+        archived++;
+      }
+
+      if (batch.length < this.batchSize) {
+        break;
+      }
+    }
+
+    if (archived > 0) {
+      console.log(`[RetentionService] Archived ${archived} links expired before ${cutoff.toISOString()}`);
+    }
+
+    return archived;
+  }
+
+  /**
+   * Bring a link back with a fresh validity. Links still in their grace period
+   * are renewed in place; archived links are moved back into the urls collection.
+   * @param {string} shortcode - Shortcode to restore
+   * @param {number} validityMinutes - New validity, counted from now
+   * @param {object} apiKey - Authenticated caller, must own the link
+   * @param {string|null} domain - Short-link domain of the link, null for the default domain
+   * @returns {Promise<object>} { statusCode, urlDoc }, 200 when renewed and 201 when moved back
+   * @throws {NotFoundError|ForbiddenError|ShortcodeTakenError}
+   */
+  async restore(shortcode, validityMinutes, apiKey, domain = null) {
+    const expiryAt = new Date(Date.now() + validityMinutes * 60 * 1000);
+
+    const urlDoc = await Url.findOne({ shortcode, domain });
+    if (urlDoc) {
+      if (!urlDoc.isOwnedBy(apiKey)) {
+        throw new ForbiddenError('You do not have access to this shortcode');
+      }
+
+      urlDoc.expiryAt = expiryAt;
+      await urlDoc.save();
+      await urlCache.invalidate(shortcode, domain);
+
+      return {
+        statusCode: 200,
+        urlDoc
+      };
+    }
+
+    const archived = await ArchivedUrl.findLatestByShortcode(shortcode, domain);
+    if (!archived) {
+      throw new NotFoundError('shortcode not found');
+    }
+
+    if (!archived.isOwnedBy(apiKey)) {
+      throw new ForbiddenError('You do not have access to this shortcode');
+    }
+
+    let restored;
+    try {
+      restored = await Url.create({
+        ...pickLinkFields(archived),
+        _id: archived.urlId,
+        expiryAt
+      });
+    } catch (error) {
+      // The shortcode was taken by a new link in the meantime
+      if (error.code === 11000) {
+        throw new ShortcodeTakenError('Shortcode already exists');
+      }
+      throw error;
+    }
+
+    await this._moveClicks(ArchivedClick, { urlId: archived.urlId }, Click, ({ urlId, ...click }) => click);
+    await ArchivedUrl.deleteOne({ _id: archived._id });
+
+    return {
+      statusCode: 201,
+      urlDoc: restored
+    };
+  }
+
+  /**
+   * Start the periodic sweep
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const run = () => {
+      if (this.sweeping) {
+        return;
+      }
+      this.sweeping = this.sweep()
+        .catch(error => console.error('[RetentionService] Sweep failed:', error))
+        .finally(() => {
+          this.sweeping = null;
+        });
+    };
+
+    this.timer = setInterval(run, this.sweepIntervalMs);
+    this.timer.unref();
+    run();
+
+    console.log(
+      `[RetentionService] Keeping expired links for ${this.graceDays} days, sweeping every ${this.sweepIntervalMs}ms`
+    );
+  }
+
+  /**
+   * Stop the periodic sweep and wait for a running sweep to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.sweeping) {
+      await this.sweeping;
+    }
+  }
+}
+
+// Export singleton instance
+const retentionService = new RetentionService();
+module.exports = retentionService;
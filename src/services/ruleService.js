@@ -0,0 +1,118 @@
+/**
+ * Evaluation of per-link conditional redirect rules
+ *
+ * A rule matches when every condition it defines matches; conditions left
+ * empty are ignored. Rules are tried in order and the first match wins.
+ */
+class RuleService {
+  /**
+   * Current time of day in minutes since midnight for a time zone
+   * @param {Date} now - Point in time
+   * @param {string} timeZone - IANA time zone name
+   * @returns {number} Minutes since midnight, 0-1439
+   */
+  minutesOfDay(now, timeZone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+
+    const hour = Number(parts.find(part => part.type === 'hour').value);
+    const minute = Number(parts.find(part => part.type === 'minute').value);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Parse "HH:MM" into minutes since midnight
+   * @private
+   */
+  _parseTime(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check whether a time falls into a window; windows with start after end wrap midnight
+   * @param {object} window - { start: 'HH:MM', end: 'HH:MM', timezone }
+   * @param {Date} now - Point in time
+   * @returns {boolean}
+   */
+  isInTimeWindow(window, now) {
+    const current = this.minutesOfDay(now, window.timezone || 'UTC');
+    const start = this._parseTime(window.start);
+    const end = this._parseTime(window.end);
+
+    if (start <= end) {
+      return current >= start && current < end;
+    }
+    return current >= start || current < end;
+  }
+
+  /**
+   * Check a language tag against a rule's languages. "en" matches "en" and "en-GB",
+   * "en-GB" only matches "en-GB".
+   * @private
+   */
+  _matchesLanguage(languages, language) {
+    if (!language) {
+      return false;
+    }
+
+    const tag = language.toLowerCase();
+    return languages.some(candidate => {
+      const wanted = candidate.toLowerCase();
+      return tag === wanted || tag.startsWith(`${wanted}-`);
+    });
+  }
+
+  /**
+   * Check a single rule against the visitor context
+   * @param {object} rule - Rule from the Url document
+   * @param {object} context - { country, device, os, language, now }
+   * @returns {boolean}
+   */
+  matches(rule, context) {
+    if (rule.countries && rule.countries.length > 0 && !rule.countries.includes(context.country)) {
+      return false;
+    }
+
+    if (rule.devices && rule.devices.length > 0 && !rule.devices.includes(context.device)) {
+      return false;
+    }
+
+    if (rule.os && rule.os.length > 0 && !rule.os.includes(context.os)) {
+      return false;
+    }
+
+    if (rule.languages && rule.languages.length > 0 && !this._matchesLanguage(rule.languages, context.language)) {
+      return false;
+    }
+
+    if (rule.timeWindow && rule.timeWindow.start && !this.isInTimeWindow(rule.timeWindow, context.now)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Find the first rule matching the visitor
+   * @param {Array<object>} rules - Ordered rules of a link
+   * @param {object} context - { country, device, os, language, now }
+   * @returns {object|null} { index, rule } or null when the fallback URL applies
+   */
+  findMatch(rules, context) {
+    if (!rules || rules.length === 0) {
+      return null;
+    }
+
+    const index = rules.findIndex(rule => this.matches(rule, context));
+    return index === -1 ? null : { index, rule: rules[index] };
+  }
+}
+
+// Export singleton instance
+const ruleService = new RuleService();
+module.exports = ruleService;
@@ -0,0 +1,286 @@
+const dns = require('dns');
+const mongoose = require('mongoose');
+const DomainRule = require('../models/DomainRule');
+const metricsService = require('./metricsService');
+const domainService = require('./domainService');
+const IpRanges = require('../utils/ipRanges');
+const { withTimeout } = require('../utils/timeout');
+const config = require('../config');
+const { FileReputationChecker } = require('./reputationCheckers');
+const {
+  AppError,
+  ConflictError,
+  PrivateAddressError,
+  DestinationBlockedError,
+  ShortenerChainError,
+  SelfReferenceError,
+  MaliciousDestinationError,
+  UnresolvableHostError
+} = require('../utils/errors');
+
+// Checker names accepted in config.screening.reputation.checkers
+const CHECKERS = {
+  file: FileReputationChecker
+};
+
+/**
+ * A hostname and each of its parent domains, e.g. a.b.example, b.example, example
+ * @param {string} hostname - Lower-case hostname
+ * @returns {Array<string>}
+ */
+const domainSuffixes = (hostname) => {
+  const labels = hostname.split('.');
+  return labels.map((label, index) => labels.slice(index).join('.'));
+};
+
+/**
+ * Screening of destination URLs before they are stored: the admin blocklist
+ * and allowlist, links back to this service or to other shorteners, hostnames
+ * resolving to private addresses, and the reputation checkers. Syntax and
+ * literal IP addresses are checked earlier by ValidationService.validateUrl.
+ */
+class ScreeningService {
+  constructor() {
+    this.lookup = dns.promises.lookup;
+    this.lists = null;
+    this.listsLoadedAt = 0;
+    this.shortenerDomains = new Set(config.screening.shortenerDomains);
+    this.checkers = [];
+
+    this._createCheckers();
+  }
+
+  /**
+   * Create the enabled reputation checkers, leaving out those with missing configuration
+   * @private
+   */
+  _createCheckers() {
+    for (const name of config.screening.reputation.checkers) {
+      const Checker = CHECKERS[name];
+      if (!Checker) {
+        console.warn(`[ScreeningService] Unknown reputation checker "${name}", ignoring it`);
+        continue;
+      }
+
+      const checker = new Checker(config.screening.reputation[name]);
+      const missing = checker.validate();
+      if (missing.length > 0) {
+        console.warn(`[ScreeningService] Missing required config for ${name}: ${missing.join(', ')}. ` +
+          'This checker will be disabled.');
+        continue;
+      }
+
+      this.checkers.push(checker);
+    }
+  }
+
+  /**
+   * Start the reputation checkers, e.g. load their lists
+   */
+  async start() {
+    await Promise.all(this.checkers.map(checker => checker.start().catch(error => {
+      console.warn(`[ScreeningService] Failed to start the ${checker.name} reputation checker:`, error.message);
+    })));
+  }
+
+  async stop() {
+    await Promise.all(this.checkers.map(checker => checker.stop()));
+  }
+
+  /**
+   * Screen every destination of a link: its URL, rule destinations and variant URLs
+   * @param {object} link - { originalUrl, rules, variants }, each optional
+   * @throws {AppError} For the first destination that is rejected
+   */
+  async screenLink({ originalUrl, rules, variants } = {}) {
+    if (originalUrl) {
+      await this.screen(originalUrl);
+    }
+    for (const [index, rule] of (rules || []).entries()) {
+      await this.screen(rule.destination, `Rule ${index}: destination`);
+    }
+    for (const [index, variant] of (variants || []).entries()) {
+      await this.screen(variant.url, `Variant ${index}: url`);
+    }
+  }
+
+  /**
+   * Screen a destination URL that already passed ValidationService.validateUrl
+   * @param {string} url - Destination URL
+   * @param {string|null} context - Prefix for the error message, e.g. "Rule 0: destination"
+   * @throws {AppError} When the destination is rejected
+   */
+  async screen(url, context = null) {
+    try {
+      await this._screen(new URL(url));
+    } catch (error) {
+      if (error instanceof AppError) {
+        metricsService.destinationRejections.inc({ code: error.code });
+        if (context) {
+          error.message = `${context}: ${error.message}`;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the checks on a parsed URL, cheapest first
+   * @private
+   */
+  async _screen(url) {
+    const hostname = url.hostname.toLowerCase().replace(/\.$/, '');
+    const suffixes = domainSuffixes(hostname);
+
+    // Short links on the registered domains would redirect in circles just the same
+    if (hostname === config.baseHostname || await domainService.findByHostname(hostname)) {
+      throw new SelfReferenceError('URL points back at this service');
+    }
+
+    const lists = await this._getLists();
+    // Allowlisted domains skip the blocklist, shortener and reputation checks
+    // but never the address checks
+    const allowed = suffixes.some(domain => lists.allow.has(domain));
+
+    if (!allowed) {
+      const blocked = suffixes.map(domain => lists.block.get(domain)).find(Boolean);
+      if (blocked) {
+        throw new DestinationBlockedError(`${blocked.domain} is blocked` +
+          (blocked.reason ? `: ${blocked.reason}` : ''));
+      }
+
+      const shortener = suffixes.find(domain => this.shortenerDomains.has(domain));
+      if (shortener) {
+        throw new ShortenerChainError(`${shortener} is a URL shortener; link to the final destination instead`);
+      }
+    }
+
+    await this._checkAddresses(hostname);
+
+    if (!allowed) {
+      await this._checkReputation(url);
+    }
+  }
+
+  /**
+   * Reject hostnames resolving to a private or reserved address
+   * @private
+   */
+  async _checkAddresses(hostname) {
+    // Literal addresses were checked by ValidationService.validateUrl
+    if (!config.screening.dns.enabled || IpRanges.hostAddress(hostname)) {
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = await withTimeout(
+        this.lookup(hostname, { all: true, verbatim: true }),
+        config.screening.dns.timeoutMs
+      );
+    } catch (error) {
+      if (config.screening.dns.requireResolvable) {
+        throw new UnresolvableHostError(`${hostname} does not resolve`);
+      }
+      return;
+    }
+
+    if (addresses.some(({ address }) => IpRanges.isReserved(address))) {
+      throw new PrivateAddressError(`${hostname} resolves to a private/local address`);
+    }
+  }
+
+  /**
+   * Ask the reputation checkers in order; a failing checker is skipped
+   * @private
+   */
+  async _checkReputation(url) {
+    for (const checker of this.checkers) {
+      let verdict;
+      try {
+        verdict = await checker.check(url);
+      } catch (error) {
+        console.warn(`[ScreeningService] ${checker.name} reputation check failed:`, error.message);
+        continue;
+      }
+
+      if (verdict) {
+        throw new MaliciousDestinationError(
+          `Destination flagged as ${verdict.category} by the ${checker.name} reputation check`,
+          verdict.category
+        );
+      }
+    }
+  }
+
+  /**
+   * Blocklist and allowlist by domain, reloaded every listRefreshMs so entries
+   * added on another instance take effect too
+   * @private
+   */
+  async _getLists() {
+    if (this.lists && Date.now() - this.listsLoadedAt < config.screening.listRefreshMs) {
+      return this.lists;
+    }
+
+    const entries = await DomainRule.find().lean();
+    const lists = { block: new Map(), allow: new Map() };
+    for (const entry of entries) {
+      lists[entry.list].set(entry.domain, entry);
+    }
+
+    this.lists = lists;
+    this.listsLoadedAt = Date.now();
+    return lists;
+  }
+
+  /**
+   * List blocklist and allowlist entries
+   * @param {object} filter - { list }
+   * @returns {Promise<Array>}
+   */
+  listDomains({ list } = {}) {
+    return DomainRule.find(list ? { list } : {}).sort({ domain: 1 });
+  }
+
+  /**
+   * Add a domain to the blocklist or allowlist
+   * @param {object} entry - { domain, list, reason } from ValidationService.validateDomainRuleRequest
+   * @param {object} apiKey - Admin adding the entry
+   * @returns {Promise<object>} The DomainRule document
+   * @throws {ConflictError} When the domain is already on either list
+   */
+  async addDomain(entry, apiKey) {
+    let domainRule;
+    try {
+      domainRule = await DomainRule.create({ ...entry, createdBy: apiKey ? apiKey.owner : null });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError(`${entry.domain} is already on the blocklist or allowlist`);
+      }
+      throw error;
+    }
+
+    this.lists = null;
+    return domainRule;
+  }
+
+  /**
+   * Remove a blocklist or allowlist entry by id
+   * @param {string} id - DomainRule document id
+   * @returns {Promise<object|null>} The removed entry, or null when there is none
+   */
+  async removeDomain(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    const domainRule = await DomainRule.findByIdAndDelete(id);
+    this.lists = null;
+    return domainRule;
+  }
+}
+
+// Export singleton instance
+const screeningService = new ScreeningService();
+module.exports = screeningService;
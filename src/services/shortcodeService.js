@@ -1,5 +1,8 @@
 const config = require('../config');
 const Url = require('../models/Url');
+const metricsService = require('./metricsService');
+const RequestContext = require('../utils/requestContext');
+const { ShortcodeInvalidError, ShortcodeTakenError } = require('../utils/errors');
 
 /**
  * Shortcode generation and validation utilities
@@ -30,57 +33,57 @@ class ShortcodeService {
   /**
    * Validate custom shortcode format
    * @param {string} shortcode - Custom shortcode to validate
-   * @returns {object} Validation result with isValid and error message
+   * @returns {string} Trimmed shortcode
+   * @throws {ShortcodeInvalidError}
    */
   validateCustomShortcode(shortcode) {
     if (!shortcode || typeof shortcode !== 'string') {
-      return {
-        isValid: false,
-        error: 'Shortcode must be a non-empty string'
-      };
+      throw new ShortcodeInvalidError('Shortcode must be a non-empty string');
     }
 
     const trimmedShortcode = shortcode.trim();
 
     if (trimmedShortcode.length < config.shortcode.minCustomLength) {
-      return {
-        isValid: false,
-        error: `Shortcode must be at least ${config.shortcode.minCustomLength} characters long`
-      };
+      throw new ShortcodeInvalidError(`Shortcode must be at least ${config.shortcode.minCustomLength} characters long`);
     }
 
     if (trimmedShortcode.length > config.shortcode.maxCustomLength) {
-      return {
-        isValid: false,
-        error: `Shortcode must be at most ${config.shortcode.maxCustomLength} characters long`
-      };
+      throw new ShortcodeInvalidError(`Shortcode must be at most ${config.shortcode.maxCustomLength} characters long`);
     }
 
     // Check if shortcode contains only alphanumeric characters
     if (!/^[a-zA-Z0-9]+$/.test(trimmedShortcode)) {
-      return {
-        isValid: false,
-        error: 'Shortcode must contain only alphanumeric characters (a-z, A-Z, 0-9)'
-      };
+      throw new ShortcodeInvalidError('Shortcode must contain only alphanumeric characters (a-z, A-Z, 0-9)');
     }
 
-    return {
-      isValid: true,
-      shortcode: trimmedShortcode
-    };
+    if (this.isReserved(trimmedShortcode)) {
+      throw new ShortcodeInvalidError(`Shortcode ${trimmedShortcode} is reserved for the service's own routes`);
+    }
+
+    return trimmedShortcode;
+  }
+
+  /**
+   * Whether a shortcode would be shadowed by one of the service's own routes
+   * @param {string} shortcode - Shortcode to check
+   * @returns {boolean}
+   */
+  isReserved(shortcode) {
+    return config.shortcode.reserved.includes(shortcode.toLowerCase());
   }
 
   /**
-   * Check if a shortcode is available (not already used)
+   * Check if a shortcode is available (not already used) on a domain
    * @param {string} shortcode - Shortcode to check
+   * @param {string|null} domain - Short-link domain, null for the default domain
    * @returns {Promise<boolean>} True if available, false if taken
    */
-  async isShortcodeAvailable(shortcode) {
+  async isShortcodeAvailable(shortcode, domain = null) {
     try {
-      const exists = await Url.shortcodeExists(shortcode);
+      const exists = await Url.shortcodeExists(shortcode, domain);
       return !exists;
     } catch (error) {
-      console.error('[ShortcodeService] Error checking shortcode availability:', error);
+      console.error(`[ShortcodeService]${RequestContext.tag()} Error checking shortcode availability:`, error);
       throw new Error('Database error while checking shortcode availability');
     }
   }
@@ -88,34 +91,40 @@ class ShortcodeService {
   /**
    * Generate a unique shortcode with collision handling
    * @param {number} length - Initial length to try (defaults to config default)
+   * @param {string|null} domain - Short-link domain the shortcode must be unique on
    * @returns {Promise<string>} Unique shortcode
    */
-  async generateUniqueShortcode(length = this.defaultLength) {
+  async generateUniqueShortcode(length = this.defaultLength, domain = null) {
     let currentLength = length;
     let attempts = 0;
     const maxAttemptsPerLength = this.maxRetries;
 
     while (attempts < maxAttemptsPerLength * 3) { // Allow up to 3 length escalations
       const shortcode = this.generateRandomBase62(currentLength);
+      metricsService.shortcodeAttempts.inc();
       
       try {
-        const isAvailable = await this.isShortcodeAvailable(shortcode);
+        const isAvailable = !this.isReserved(shortcode) && await this.isShortcodeAvailable(shortcode, domain);
         
         if (isAvailable) {
-          console.log(`[ShortcodeService] Generated unique shortcode: ${shortcode} (length: ${currentLength}, attempts: ${attempts + 1})`);
+          console.log(`[ShortcodeService]${RequestContext.tag()} Generated unique shortcode: ${shortcode} ` +
+            `(length: ${currentLength}, attempts: ${attempts + 1})`);
           return shortcode;
         }
 
         attempts++;
+        metricsService.shortcodeCollisions.inc();
 
         // If we've exhausted retries for current length, increase length
         if (attempts % maxAttemptsPerLength === 0) {
           currentLength++;
-          console.warn(`[ShortcodeService] High collision rate, escalating to length ${currentLength}`);
+          metricsService.shortcodeEscalations.inc();
+          console.warn(`[ShortcodeService]${RequestContext.tag()} High collision rate, ` +
+            `escalating to length ${currentLength}`);
         }
 
       } catch (error) {
-        console.error('[ShortcodeService] Error during shortcode generation:', error);
+        console.error(`[ShortcodeService]${RequestContext.tag()} Error during shortcode generation:`, error);
         throw error;
       }
     }
@@ -127,54 +136,24 @@ class ShortcodeService {
   /**
    * Process shortcode - either validate custom or generate unique
    * @param {string|null} customShortcode - Optional custom shortcode
-   * @returns {Promise<object>} Result with shortcode or error
+   * @param {string|null} domain - Short-link domain, null for the default domain
+   * @returns {Promise<string>} Shortcode to use
+   * @throws {ShortcodeInvalidError|ShortcodeTakenError}
    */
-  async processShortcode(customShortcode = null) {
-    try {
-      // If custom shortcode provided, validate and check availability
-      if (customShortcode) {
-        const validation = this.validateCustomShortcode(customShortcode);
-        
-        if (!validation.isValid) {
-          return {
-            success: false,
-            error: validation.error,
-            statusCode: 400
-          };
-        }
-
-        const isAvailable = await this.isShortcodeAvailable(validation.shortcode);
-        
-        if (!isAvailable) {
-          return {
-            success: false,
-            error: 'Custom shortcode is already taken',
-            statusCode: 409
-          };
-        }
+  async processShortcode(customShortcode = null, domain = null) {
+    // If custom shortcode provided, validate and check availability
+    if (customShortcode) {
+      const shortcode = this.validateCustomShortcode(customShortcode);
 
-        return {
-          success: true,
-          shortcode: validation.shortcode
-        };
+      if (!await this.isShortcodeAvailable(shortcode, domain)) {
+        throw new ShortcodeTakenError('Custom shortcode is already taken');
       }
 
-      // Generate unique shortcode
-      const shortcode = await this.generateUniqueShortcode();
-      
-      return {
-        success: true,
-        shortcode
-      };
-
-    } catch (error) {
-      console.error('[ShortcodeService] Error processing shortcode:', error);
-      return {
-        success: false,
-        error: 'Internal server error during shortcode processing',
-        statusCode: 500
-      };
+      return shortcode;
     }
+
+    // Generate unique shortcode
+    return this.generateUniqueShortcode(this.defaultLength, domain);
   }
 
   /**
@@ -0,0 +1,94 @@
+const Url = require('../models/Url');
+const { createStore } = require('./cacheStores');
+const config = require('../config');
+
+/**
+ * Read-through cache of Url documents for the redirect path
+ */
+class UrlCache {
+  constructor() {
+    this.enabled = config.cache.enabled;
+    this.ttlMs = config.cache.ttlMs;
+    this.store = createStore(config.cache);
+  }
+
+  /**
+   * Open the connection of the configured store
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    if (this.enabled) {
+      await this.store.connect();
+    }
+  }
+
+  /**
+   * Close the store
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.enabled) {
+      await this.store.close();
+    }
+  }
+
+  /**
+   * How long a link may stay cached: never past its expiry, so an expired link
+   * is always re-read and answered from the database
+   * @private
+   */
+  _ttlFor(urlDoc) {
+    const untilExpiry = urlDoc.expiryAt.getTime() - Date.now();
+    return untilExpiry > 0 ? Math.min(this.ttlMs, untilExpiry) : this.ttlMs;
+  }
+
+  /**
+   * Cache key of a link; links of the default domain keep the bare shortcode
+   * @private
+   */
+  _key(shortcode, domain) {
+    return domain ? `${domain}/${shortcode}` : shortcode;
+  }
+
+  /**
+   * Find a link by shortcode, from the cache when possible. Cached documents are
+   * hydrated, so instance methods work, but clickCount may lag behind.
+   * @param {string} shortcode - Shortcode to resolve
+   * @param {string|null} domain - Short-link domain, null for the default domain
+   * @returns {Promise<object|null>} Url document or null
+   */
+  async findByShortcode(shortcode, domain = null) {
+    if (!this.enabled) {
+      return Url.findOne({ shortcode, domain });
+    }
+
+    const key = this._key(shortcode, domain);
+    const cached = await this.store.get(key);
+    if (cached) {
+      return Url.hydrate(cached);
+    }
+
+    const urlDoc = await Url.findOne({ shortcode, domain });
+    if (urlDoc) {
+      await this.store.set(key, urlDoc.toObject({ virtuals: false }), this._ttlFor(urlDoc));
+    }
+
+    return urlDoc;
+  }
+
+  /**
+   * Drop a link from the cache after it was changed or deleted
+   * @param {string} shortcode - Shortcode to invalidate
+   * @param {string|null} domain - Short-link domain, null for the default domain
+   * @returns {Promise<void>}
+   */
+  async invalidate(shortcode, domain = null) {
+    if (this.enabled) {
+      await this.store.del(this._key(shortcode, domain));
+    }
+  }
+}
+
+// Export singleton instance
+const urlCache = new UrlCache();
+module.exports = urlCache;
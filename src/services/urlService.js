@@ -0,0 +1,370 @@
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+const Click = require('../models/Click');
+const shortcodeService = require('./shortcodeService');
+const urlCache = require('./urlCache');
+const screeningService = require('./screeningService');
+const domainService = require('./domainService');
+const qrService = require('./qrService');
+const ValidationService = require('../utils/validation');
+const PasswordHasher = require('../utils/password');
+const config = require('../config');
+const { AppError, InvalidRequestError, ShortcodeTakenError } = require('../utils/errors');
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  clicks: 'clickCount'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Short URL creation shared by the single and bulk endpoints
+ */
+class UrlService {
+  /**
+   * Build the public short link for a shortcode
+   * @param {string} shortcode - Shortcode
+   * @param {string|null} domain - Short-link domain, null for the host of config.hostname
+   * @returns {string} Absolute short link
+   */
+  buildShortLink(shortcode, domain = null) {
+    if (domain) {
+      return `${config.domains.protocol}://${domain}/${shortcode}`;
+    }
+    return `${config.hostname}/${shortcode}`;
+  }
+
+  /**
+   * Validate and create a single short URL
+   * @param {object} input - { url, validity, shortcode, domain, password, maxClicks, rules, variants, preview,
+   *   redirectStatus, forwardQuery, queryConflict, utm, qr } from the client
+   * @param {object|null} apiKey - Authenticated caller, recorded as the link owner
+   * @returns {Promise<object>} { urlDoc, data }, data being the response body, with a QR code
+   *   data: URI in qr when it was asked for
+   * @throws {AppError} When the input is invalid, the domain is not registered, a destination is rejected
+   *   by screening or the shortcode is taken
+   */
+  async createShortUrl(input = {}, apiKey = null) {
+    const { url, validity, shortcode, domain, password, maxClicks, rules, variants, preview } = input;
+    const { redirectStatus, forwardQuery, queryConflict, utm, qr } = input;
+
+    const domainValidation = ValidationService.validateLinkDomain(domain);
+    const linkDomain = await domainService.resolveLinkDomain(domainValidation.domain);
+
+    // Links without a validity get the default of their domain
+    const defaultValidity = (linkDomain && linkDomain.defaultValidityMinutes) || config.defaultValidityMinutes;
+
+    const urlValidation = ValidationService.validateUrl(url);
+    const validityValidation = ValidationService.validateValidity(validity, defaultValidity);
+    const passwordValidation = ValidationService.validatePassword(password);
+    const maxClicksValidation = ValidationService.validateMaxClicks(maxClicks);
+    const rulesValidation = ValidationService.validateRules(rules);
+    const variantsValidation = ValidationService.validateVariants(variants);
+    const previewValidation = ValidationService.validatePreview(preview);
+    const redirectStatusValidation = ValidationService.validateRedirectStatus(redirectStatus);
+    const queryValidation = ValidationService.validateQueryForwarding(forwardQuery, queryConflict);
+    const utmValidation = ValidationService.validateUtm(utm);
+    const qrValidation = ValidationService.validateQrRequest(qr);
+
+    await screeningService.screenLink({
+      originalUrl: urlValidation.url,
+      rules: rulesValidation.rules,
+      variants: variantsValidation.variants
+    });
+
+    const expiryAt = new Date(Date.now() + validityValidation.validity * 60 * 1000);
+
+    const urlDoc = new Url({
+      shortcode: await shortcodeService.processShortcode(shortcode, domainValidation.domain),
+      domain: domainValidation.domain,
+      originalUrl: urlValidation.url,
+      expiryAt,
+      clickCount: 0,
+      maxClicks: maxClicksValidation.maxClicks,
+      rules: rulesValidation.rules,
+      variants: variantsValidation.variants,
+      preview: previewValidation.preview,
+      redirectStatus: redirectStatusValidation.redirectStatus,
+      forwardQuery: queryValidation.forwardQuery,
+      queryConflict: queryValidation.queryConflict,
+      utm: utmValidation.utm,
+      owner: apiKey ? apiKey.owner : null,
+      apiKeyId: apiKey ? apiKey.id : null,
+      passwordHash: passwordValidation.password ? await PasswordHasher.hash(passwordValidation.password) : null
+    });
+
+    try {
+      await urlDoc.save();
+    } catch (error) {
+      // Lost a race with another request for the same shortcode
+      if (error.code === 11000) {
+        throw new ShortcodeTakenError('Shortcode already exists');
+      }
+      throw error;
+    }
+
+    const data = {
+      shortLink: this.buildShortLink(urlDoc.shortcode, urlDoc.domain),
+      expiry: expiryAt.toISOString()
+    };
+
+    if (qrValidation.qr) {
+      data.qr = await qrService.renderDataUri(qrService.scanLink(data.shortLink), qrValidation.qr);
+    }
+
+    return {
+      urlDoc,
+      data
+    };
+  }
+
+  /**
+   * Stats fields of a link, without click records
+   * @param {object} urlDoc - Url document
+   * @returns {object} Summary shared by the stats and listing responses
+   */
+  toSummary(urlDoc) {
+    return {
+      shortcode: urlDoc.shortcode,
+      domain: urlDoc.domain || null,
+      shortLink: this.buildShortLink(urlDoc.shortcode, urlDoc.domain),
+      originalUrl: urlDoc.originalUrl,
+      rules: (urlDoc.rules || []).map(rule => (rule.toObject ? rule.toObject() : rule)),
+      variants: (urlDoc.variants || []).map(variant => (variant.toObject ? variant.toObject() : variant)),
+      createdAt: urlDoc.createdAt,
+      expiry: urlDoc.expiryAt,
+      active: urlDoc.isActive,
+      preview: urlDoc.preview === true,
+      redirectStatus: urlDoc.redirectStatus || config.redirects.defaultStatus,
+      forwardQuery: urlDoc.forwardQuery === true,
+      queryConflict: urlDoc.queryConflict || 'keep',
+      utm: urlDoc.utm ? (urlDoc.utm.toObject ? urlDoc.utm.toObject() : urlDoc.utm) : null,
+      passwordProtected: urlDoc.hasPassword(),
+      totalClicks: urlDoc.clickCount,
+      maxClicks: urlDoc.maxClicks,
+      remainingClicks: urlDoc.getRemainingClicks(),
+      previewViews: urlDoc.previewCount || 0,
+      passwordFailures: urlDoc.passwordFailures
+    };
+  }
+
+  /**
+   * Build the stats response for a link
+   * @param {object} urlDoc - Url document
+   * @param {number} page - Click page number
+   * @param {number} limit - Clicks per page
+   * @returns {Promise<object>} Stats including a page of clicks
+   */
+  async getStats(urlDoc, page = 1, limit = 50) {
+    const clicks = await urlDoc.getClicks(page, limit);
+
+    return {
+      ...this.toSummary(urlDoc),
+      clicks
+    };
+  }
+
+  /**
+   * Encode the position after a document as an opaque cursor
+   * @private
+   */
+  _encodeCursor(urlDoc, sort, order) {
+    const value = urlDoc[SORT_FIELDS[sort]];
+    const payload = {
+      s: sort,
+      o: order,
+      v: value instanceof Date ? value.toISOString() : value,
+      id: urlDoc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by _encodeCursor for the same sort and order
+   * @returns {object|null} { value, id } or null if the cursor is invalid
+   * @private
+   */
+  _decodeCursor(cursor, sort, order) {
+    try {
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (payload.s !== sort || payload.o !== order || !mongoose.isValidObjectId(payload.id)) {
+        return null;
+      }
+
+      const value = sort === 'createdAt' ? new Date(payload.v) : Number(payload.v);
+      if (sort === 'createdAt' ? isNaN(value.getTime()) : !Number.isFinite(value)) {
+        return null;
+      }
+
+      return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List links visible to the caller, with keyset pagination
+   * @param {object} options - Filters from ValidationService.validateListQuery
+   * @param {object} apiKey - Authenticated caller; non-admins only see their own links
+   * @returns {Promise<object>} { items, nextCursor, limit }
+   * @throws {InvalidRequestError} When the cursor is invalid
+   */
+  async listUrls(options, apiKey) {
+    const { sort, order, limit, cursor } = options;
+    const field = SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+    const conditions = [];
+
+    const owner = apiKey.isAdmin ? options.owner : apiKey.owner;
+    if (owner) {
+      conditions.push({ owner });
+    }
+
+    if (options.domain !== undefined) {
+      conditions.push({ domain: options.domain });
+    }
+
+    if (options.destinationDomain) {
+      // Match the host part of the URL, including subdomains
+      const host = escapeRegex(options.destinationDomain);
+      conditions.push({
+        originalUrl: new RegExp(`^https?://([^/?#@]*\\.)?${host}(:\\d+)?([/?#]|$)`, 'i')
+      });
+    }
+
+    if (options.createdFrom || options.createdTo) {
+      const createdAt = {};
+      if (options.createdFrom) {
+        createdAt.$gte = options.createdFrom;
+      }
+      if (options.createdTo) {
+        createdAt.$lte = options.createdTo;
+      }
+      conditions.push({ createdAt });
+    }
+
+    const now = new Date();
+    if (options.state === 'active') {
+      conditions.push({
+        isActive: { $ne: false },
+        expiryAt: { $gt: now },
+        $or: [{ maxClicks: null }, { $expr: { $lt: ['$clickCount', '$maxClicks'] } }]
+      });
+    } else if (options.state === 'expired') {
+      conditions.push({ expiryAt: { $lte: now } });
+    } else if (options.state === 'inactive') {
+      conditions.push({ isActive: false });
+    }
+
+    if (options.minClicks !== null) {
+      conditions.push({ clickCount: { $gte: options.minClicks } });
+    }
+
+    if (options.search) {
+      const pattern = new RegExp(escapeRegex(options.search), 'i');
+      conditions.push({ $or: [{ shortcode: pattern }, { originalUrl: pattern }] });
+    }
+
+    if (cursor) {
+      const position = this._decodeCursor(cursor, sort, order);
+      if (!position) {
+        throw new InvalidRequestError('Invalid cursor');
+      }
+
+      const op = direction === 1 ? '$gt' : '$lt';
+      conditions.push({
+        $or: [
+          { [field]: { [op]: position.value } },
+          { [field]: position.value, _id: { [op]: position.id } }
+        ]
+      });
+    }
+
+    // Fetch one extra document to know whether there is a next page
+    const docs = await Url.find(conditions.length ? { $and: conditions } : {})
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+
+    const hasMore = docs.length > limit;
+    const page = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+      items: page.map(urlDoc => this.toSummary(urlDoc)),
+      nextCursor: hasMore ? this._encodeCursor(page[page.length - 1], sort, order) : null,
+      limit
+    };
+  }
+
+  /**
+   * Apply validated changes to a link
+   * @param {object} urlDoc - Url document
+   * @param {object} changes - Changes from ValidationService.validateUrlUpdate
+   * @returns {Promise<object>} The saved document
+   */
+  async updateShortUrl(urlDoc, changes) {
+    const { password, ...fields } = changes;
+
+    // New destinations are screened like those of new links
+    await screeningService.screenLink(fields);
+
+    if (password !== undefined) {
+      fields.passwordHash = password ? await PasswordHasher.hash(password) : null;
+    }
+
+    urlDoc.set(fields);
+    await urlDoc.save();
+    await urlCache.invalidate(urlDoc.shortcode, urlDoc.domain || null);
+    return urlDoc;
+  }
+
+  /**
+   * Delete a link together with its click history. Clicks still queued are
+   * discarded by the click writer, which checks that their link exists.
+   * @param {object} urlDoc - Url document
+   * @returns {Promise<number>} Number of clicks removed
+   */
+  async deleteShortUrl(urlDoc) {
+    await Url.deleteOne({ _id: urlDoc._id });
+    await urlCache.invalidate(urlDoc.shortcode, urlDoc.domain || null);
+    const { deletedCount } = await Click.deleteMany({ shortcode: urlDoc.shortcode, domain: urlDoc.domain || null });
+    return deletedCount;
+  }
+
+  /**
+   * Create many short URLs, reporting the outcome of each item separately
+   * Items are processed one after another so that duplicate custom shortcodes
+   * within the same batch are detected deterministically.
+   * @param {Array<object>} items - Items of { url, validity, shortcode }
+   * @param {object|null} apiKey - Authenticated caller, recorded as the link owner
+   * @returns {Promise<Array<object>>} One result per item, in input order; failed items carry status, code and message
+   */
+  async createShortUrls(items, apiKey = null) {
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        const error = new InvalidRequestError('Item must be an object with a url field');
+        results.push({ index, status: error.status, code: error.code, message: error.message });
+        continue;
+      }
+
+      try {
+        const { urlDoc, data } = await this.createShortUrl(item, apiKey);
+        results.push({ index, status: 201, shortcode: urlDoc.shortcode, ...data });
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          console.error('[UrlService] Error creating short URL:', error);
+        }
+        const { status, code, message } = error instanceof AppError ? error : new AppError();
+        results.push({ index, status, code, message });
+      }
+    }
+
+    return results;
+  }
+}
+
+// Export singleton instance
+const urlService = new UrlService();
+module.exports = urlService;
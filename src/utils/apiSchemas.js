@@ -0,0 +1,652 @@
+const config = require('../config');
+
+/**
+ * JSON Schemas (2020-12, as used by OpenAPI 3.1) of the request and response
+ * bodies. They are published under components.schemas of the OpenAPI document
+ * and requests and responses are validated against them, see services/openApiService.
+ *
+ * Checks whose failure has its own error code, such as the URL and shortcode
+ * checks, are left to the services; the schemas only fix the type there.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const orNull = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+// Minutes from now. Numeric strings such as "60" have always been accepted and
+// are parsed by ValidationService.validateValidity.
+const validityMinutes = (description) => ({
+  anyOf: [
+    { type: 'number', exclusiveMinimum: 0, maximum: 525600 },
+    { type: 'string', pattern: '^\\s*[0-9]+(\\.[0-9]+)?\\s*$' }
+  ],
+  description
+});
+
+/**
+ * OpenAPI response with a JSON body
+ * @param {string} description - What the response means
+ * @param {object|string} schema - Schema, or the name of a component schema
+ * @returns {object} Response object
+ */
+const jsonResponse = (description, schema) => ({
+  description,
+  content: {
+    'application/json': { schema: typeof schema === 'string' ? ref(schema) : schema }
+  }
+});
+
+/**
+ * OpenAPI error response, listing the error codes it can carry
+ * @param {string} description - When it is returned
+ * @param {Array<string>} codes - Error codes, see utils/errors
+ * @returns {object} Response object
+ */
+const problemResponse = (description, codes) => ({
+  description: `${description}. Codes: ${codes.join(', ')}`,
+  content: {
+    'application/problem+json': { schema: ref('Problem') }
+  }
+});
+
+const schemas = {
+  Problem: {
+    type: 'object',
+    description: 'RFC 7807 problem details. Branch on code; detail is meant for people.',
+    required: ['type', 'title', 'status', 'detail', 'code'],
+    properties: {
+      type: { type: 'string', examples: ['urn:url-shortener:problem:shortcode-taken'] },
+      title: { type: 'string' },
+      status: { type: 'integer' },
+      detail: { type: 'string' },
+      instance: { type: 'string' },
+      code: { type: 'string', examples: ['SHORTCODE_TAKEN'] },
+      message: { type: 'string', description: 'Same as detail, for clients of the former { message } bodies' },
+      requestId: { type: 'string' },
+      errors: {
+        type: 'array',
+        description: 'Every invalid field, for validation errors',
+        items: {
+          type: 'object',
+          required: ['field', 'message'],
+          properties: {
+            field: { type: 'string', examples: ['body.validity'] },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  RedirectRuleInput: {
+    type: 'object',
+    description: 'Conditional redirect; the first rule whose conditions all match decides the destination',
+    required: ['destination'],
+    properties: {
+      name: orNull({ type: 'string', maxLength: 100 }),
+      destination: { type: 'string', description: 'URL with protocol' },
+      countries: {
+        type: 'array',
+        maxItems: config.rules.maxValuesPerCondition,
+        items: { type: 'string', pattern: '^[A-Za-z]{2}$' },
+        description: 'ISO 3166-1 alpha-2 country codes'
+      },
+      devices: {
+        type: 'array',
+        maxItems: config.rules.maxValuesPerCondition,
+        items: { type: 'string', enum: config.rules.devices }
+      },
+      os: {
+        type: 'array',
+        maxItems: config.rules.maxValuesPerCondition,
+        items: { type: 'string', maxLength: 50 },
+        description: 'Operating system names'
+      },
+      languages: {
+        type: 'array',
+        maxItems: config.rules.maxValuesPerCondition,
+        items: { type: 'string' },
+        description: 'Language tags such as en or pt-BR'
+      },
+      timeWindow: orNull({
+        type: 'object',
+        required: ['start', 'end'],
+        properties: {
+          start: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+          end: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+          timezone: orNull({ type: 'string', description: 'IANA time zone, default UTC' })
+        }
+      })
+    }
+  },
+
+  RedirectRule: {
+    type: 'object',
+    required: ['destination'],
+    properties: {
+      name: orNull({ type: 'string' }),
+      destination: { type: 'string' },
+      countries: { type: 'array', items: { type: 'string' } },
+      devices: { type: 'array', items: { type: 'string' } },
+      os: { type: 'array', items: { type: 'string' } },
+      languages: { type: 'array', items: { type: 'string' } },
+      timeWindow: orNull({
+        type: 'object',
+        properties: {
+          start: { type: 'string' },
+          end: { type: 'string' },
+          timezone: { type: 'string' }
+        }
+      })
+    }
+  },
+
+  Variant: {
+    type: 'object',
+    description: 'Weighted A/B destination',
+    required: ['name', 'url'],
+    properties: {
+      name: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,50}$' },
+      url: { type: 'string', description: 'URL with protocol' },
+      weight: { type: 'integer', minimum: 1, maximum: config.variants.maxWeight, default: 1 }
+    }
+  },
+
+  ShortUrlInput: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: {
+        type: 'string',
+        description: 'Full URL with http:// or https://; invalid URLs are answered with INVALID_URL, ' +
+          'private and local addresses with PRIVATE_ADDRESS, and destinations rejected by screening with ' +
+          'DESTINATION_BLOCKED, SHORTENER_CHAIN, SELF_REFERENCE, MALICIOUS_DESTINATION or UNRESOLVABLE_HOST'
+      },
+      validity: orNull(validityMinutes(
+        `Validity in minutes, default that of the domain or ${config.defaultValidityMinutes}`
+      )),
+      domain: orNull({
+        type: 'string',
+        description: 'Registered short-link domain to create the link on, default the service\'s own host; ' +
+          'answered with UNKNOWN_DOMAIN when it is not registered'
+      }),
+      shortcode: orNull({
+        type: 'string',
+        description: `Custom shortcode of ${config.shortcode.minCustomLength}-${config.shortcode.maxCustomLength} ` +
+          'letters and digits, unique per domain; answered with SHORTCODE_INVALID or SHORTCODE_TAKEN'
+      }),
+      password: orNull({
+        type: 'string',
+        description: `Require this password (${config.password.minLength}-${config.password.maxLength} ` +
+          'characters) before redirecting'
+      }),
+      maxClicks: orNull({
+        type: 'integer',
+        minimum: 1,
+        maximum: config.maxClicksLimit,
+        description: 'Stop redirecting after this many clicks; 1 makes a one-time link'
+      }),
+      rules: orNull({
+        type: 'array',
+        maxItems: config.rules.maxRules,
+        items: ref('RedirectRuleInput'),
+        description: 'Ordered redirect rules; the original URL is the fallback'
+      }),
+      variants: orNull({
+        type: 'array',
+        maxItems: config.variants.maxVariants,
+        items: ref('Variant'),
+        description: `${config.variants.minVariants}-${config.variants.maxVariants} A/B destinations; visitors ` +
+          'not matched by a rule are split by weight and kept on the same variant'
+      }),
+      preview: {
+        type: 'boolean',
+        default: false,
+        description: 'Show visitors a preview page with the destination before redirecting'
+      },
+      redirectStatus: {
+        type: 'integer',
+        enum: config.redirects.statuses,
+        default: config.redirects.defaultStatus,
+        description: 'Status of the redirect; browsers cache 301 and 308, so later changes may not reach them'
+      },
+      forwardQuery: {
+        type: 'boolean',
+        default: false,
+        description: 'Add the query string of the short link request to the destination'
+      },
+      queryConflict: {
+        type: 'string',
+        enum: config.redirects.queryConflicts,
+        default: 'keep',
+        description: 'For a forwarded parameter the destination already has: keep its value, override it, ' +
+          'or append the forwarded value as well'
+      },
+      utm: orNull(ref('Utm')),
+      qr: {
+        anyOf: [{ type: 'boolean' }, ref('QrOptions')],
+        default: false,
+        description: 'Return a QR code of the short link in the response, true for the default options'
+      }
+    }
+  },
+
+  QrOptions: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      format: { type: 'string', enum: config.qr.formats, default: config.qr.defaultFormat },
+      size: {
+        type: 'integer',
+        minimum: config.qr.minSize,
+        maximum: config.qr.maxSize,
+        default: config.qr.defaultSize,
+        description: 'Width and height in pixels'
+      },
+      margin: {
+        type: 'integer',
+        minimum: 0,
+        maximum: config.qr.maxMargin,
+        default: config.qr.defaultMargin,
+        description: 'Quiet zone in modules'
+      },
+      errorCorrection: {
+        type: 'string',
+        enum: config.qr.errorCorrectionLevels,
+        default: config.qr.defaultErrorCorrection,
+        description: 'L recovers 7% of the code, M 15%, Q 25% and H 30%'
+      },
+      foreground: {
+        type: 'string',
+        pattern: '^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$',
+        default: config.qr.defaultForeground,
+        description: 'Hex colour of the modules; # is optional'
+      },
+      background: {
+        type: 'string',
+        pattern: '^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$',
+        default: config.qr.defaultBackground,
+        description: 'Hex colour of the background, e.g. #ffffff00 for transparent'
+      }
+    }
+  },
+
+  Utm: {
+    type: 'object',
+    description: 'UTM tags added to the destination as utm_<field>, unless it already has them',
+    additionalProperties: false,
+    properties: Object.fromEntries(config.redirects.utmFields.map(field => [
+      field,
+      orNull({ type: 'string', maxLength: config.redirects.maxUtmLength })
+    ]))
+  },
+
+  ShortUrlCreated: {
+    type: 'object',
+    required: ['shortLink', 'expiry'],
+    properties: {
+      shortLink: { type: 'string', format: 'uri' },
+      expiry: dateTime,
+      qr: { type: 'string', description: 'QR code as a data: URI, when asked for' }
+    }
+  },
+
+  ShortUrlUpdate: {
+    type: 'object',
+    description: 'At least one field is required. null removes the password, click limit, rules, variants or ' +
+      'UTM tags.',
+    properties: {
+      url: { type: 'string', description: 'New destination URL with protocol' },
+      validity: validityMinutes('Minutes, counted from now'),
+      active: { type: 'boolean', description: 'false deactivates the link, true reactivates it' },
+      password: orNull({ type: 'string' }),
+      maxClicks: orNull({ type: 'integer', minimum: 1, maximum: config.maxClicksLimit }),
+      rules: orNull({ type: 'array', maxItems: config.rules.maxRules, items: ref('RedirectRuleInput') }),
+      variants: orNull({ type: 'array', maxItems: config.variants.maxVariants, items: ref('Variant') }),
+      preview: { type: 'boolean' },
+      redirectStatus: { type: 'integer', enum: config.redirects.statuses },
+      forwardQuery: { type: 'boolean' },
+      queryConflict: { type: 'string', enum: config.redirects.queryConflicts },
+      utm: orNull(ref('Utm'))
+    }
+  },
+
+  RestoreInput: {
+    type: 'object',
+    properties: {
+      validity: orNull(validityMinutes(
+        `New validity in minutes from now, default that of the domain or ${config.defaultValidityMinutes}`
+      ))
+    }
+  },
+
+  BulkInput: {
+    description: 'Items as in POST /shorturls, each validated on its own',
+    oneOf: [
+      { type: 'array', minItems: 1, maxItems: config.bulk.maxItems, items: {} },
+      {
+        type: 'object',
+        required: ['urls'],
+        properties: {
+          urls: { type: 'array', minItems: 1, maxItems: config.bulk.maxItems, items: {} }
+        }
+      }
+    ]
+  },
+
+  BulkResult: {
+    type: 'object',
+    required: ['total', 'succeeded', 'failed', 'results'],
+    properties: {
+      total: { type: 'integer' },
+      succeeded: { type: 'integer' },
+      failed: { type: 'integer' },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          description: 'Created items carry shortcode, shortLink and expiry; failed items code and message',
+          required: ['index', 'status'],
+          properties: {
+            index: { type: 'integer' },
+            status: { type: 'integer' },
+            shortcode: { type: 'string' },
+            shortLink: { type: 'string' },
+            expiry: dateTime,
+            code: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  LinkSummary: {
+    type: 'object',
+    required: ['shortcode', 'originalUrl', 'expiry', 'active', 'totalClicks'],
+    properties: {
+      shortcode: { type: 'string' },
+      domain: orNull({ type: 'string', description: 'Short-link domain, null for the service\'s own host' }),
+      shortLink: { type: 'string', format: 'uri' },
+      originalUrl: { type: 'string' },
+      rules: { type: 'array', items: ref('RedirectRule') },
+      variants: { type: 'array', items: ref('Variant') },
+      createdAt: dateTime,
+      expiry: dateTime,
+      active: { type: 'boolean' },
+      preview: { type: 'boolean' },
+      redirectStatus: { type: 'integer' },
+      forwardQuery: { type: 'boolean' },
+      queryConflict: { type: 'string' },
+      utm: orNull(ref('Utm')),
+      passwordProtected: { type: 'boolean' },
+      totalClicks: { type: 'integer' },
+      maxClicks: orNull({ type: 'integer' }),
+      remainingClicks: orNull({ type: 'integer', description: 'Clicks left before the limit, null when unlimited' }),
+      passwordFailures: { type: 'integer' },
+      previewViews: { type: 'integer', description: 'Views of the preview page; they are not counted as clicks' }
+    }
+  },
+
+  Click: {
+    type: 'object',
+    properties: {
+      ts: dateTime,
+      ip: { type: 'string' },
+      referrer: orNull({ type: 'string' }),
+      userAgent: orNull({ type: 'string' }),
+      country: orNull({ type: 'string' }),
+      ruleIndex: orNull({ type: 'integer' }),
+      variant: orNull({ type: 'string' }),
+      source: { type: 'string', enum: ['link', 'qr'] }
+    }
+  },
+
+  LinkStats: {
+    allOf: [
+      ref('LinkSummary'),
+      {
+        type: 'object',
+        required: ['clicks'],
+        properties: {
+          clicks: { type: 'array', items: ref('Click') }
+        }
+      }
+    ]
+  },
+
+  LinkList: {
+    type: 'object',
+    required: ['items', 'nextCursor', 'limit'],
+    properties: {
+      items: { type: 'array', items: ref('LinkSummary') },
+      nextCursor: orNull({ type: 'string', description: 'Pass as cursor to get the next page' }),
+      limit: { type: 'integer' }
+    }
+  },
+
+  Analytics: {
+    type: 'object',
+    required: ['totalClicks', 'uniqueVisitors', 'timeseries'],
+    properties: {
+      shortcode: { type: 'string' },
+      interval: { type: 'string', enum: Object.keys(config.analytics.intervals) },
+      from: dateTime,
+      to: dateTime,
+      totalClicks: { type: 'integer' },
+      uniqueVisitors: { type: 'integer' },
+      timeseries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            bucket: dateTime,
+            clicks: { type: 'integer' },
+            uniqueVisitors: { type: 'integer' }
+          }
+        }
+      },
+      countries: ref('TopValues'),
+      referrers: ref('TopValues'),
+      browsers: ref('TopValues'),
+      operatingSystems: ref('TopValues'),
+      devices: ref('TopValues'),
+      sources: ref('TopValues'),
+      variants: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            variant: { type: 'string' },
+            clicks: { type: 'integer' },
+            uniqueVisitors: { type: 'integer' },
+            share: { type: 'number', description: 'Percentage of the variant traffic' }
+          }
+        }
+      }
+    }
+  },
+
+  TopValues: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        value: { type: 'string' },
+        clicks: { type: 'integer' }
+      }
+    }
+  },
+
+  ApiKeyInput: {
+    type: 'object',
+    required: ['owner'],
+    properties: {
+      owner: {
+        type: 'string',
+        maxLength: 100,
+        description: 'Owner the key acts for; links are shared between keys of one owner'
+      },
+      name: orNull({ type: 'string', maxLength: 100, description: 'Label for the key' }),
+      isAdmin: { type: 'boolean', description: 'Grant access to the admin endpoints and all links' }
+    }
+  },
+
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'prefix', 'owner', 'isAdmin'],
+    properties: {
+      id: { type: 'string' },
+      prefix: { type: 'string' },
+      owner: { type: 'string' },
+      name: orNull({ type: 'string' }),
+      isAdmin: { type: 'boolean' },
+      createdAt: dateTime,
+      lastUsedAt: orNull(dateTime),
+      revokedAt: orNull(dateTime)
+    }
+  },
+
+  ApiKeyCreated: {
+    allOf: [
+      ref('ApiKey'),
+      {
+        type: 'object',
+        required: ['key'],
+        properties: {
+          key: { type: 'string', description: 'The plaintext key; it is not shown again' }
+        }
+      }
+    ]
+  },
+
+  DomainRuleInput: {
+    type: 'object',
+    required: ['domain', 'list'],
+    properties: {
+      domain: { type: 'string', description: 'Hostname such as example.com; its subdomains are covered too' },
+      list: { type: 'string', enum: ['block', 'allow'] },
+      reason: orNull({ type: 'string', maxLength: 200 })
+    }
+  },
+
+  DomainRule: {
+    type: 'object',
+    required: ['id', 'domain', 'list'],
+    properties: {
+      id: { type: 'string' },
+      domain: { type: 'string' },
+      list: { type: 'string', enum: ['block', 'allow'] },
+      reason: orNull({ type: 'string' }),
+      createdBy: orNull({ type: 'string' }),
+      createdAt: dateTime
+    }
+  },
+
+  ShortDomainInput: {
+    type: 'object',
+    required: ['hostname'],
+    properties: {
+      hostname: { type: 'string', description: 'Hostname such as go.example.com, without protocol or path' },
+      notFoundUrl: orNull({
+        type: 'string',
+        description: 'Where unknown shortcodes on this domain redirect to, instead of a 404'
+      }),
+      defaultValidityMinutes: orNull({
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: 525600,
+        description: `Validity of links created without one, default ${config.defaultValidityMinutes}`
+      })
+    }
+  },
+
+  ShortDomainUpdate: {
+    type: 'object',
+    description: 'At least one field is required. null removes the fallback or the default validity.',
+    properties: {
+      notFoundUrl: orNull({ type: 'string' }),
+      defaultValidityMinutes: orNull({ type: 'number', exclusiveMinimum: 0, maximum: 525600 })
+    }
+  },
+
+  ShortDomain: {
+    type: 'object',
+    required: ['id', 'hostname'],
+    properties: {
+      id: { type: 'string' },
+      hostname: { type: 'string' },
+      notFoundUrl: orNull({ type: 'string' }),
+      defaultValidityMinutes: orNull({ type: 'number' }),
+      createdBy: orNull({ type: 'string' }),
+      createdAt: dateTime
+    }
+  },
+
+  ClickQueueMetrics: {
+    type: 'object',
+    required: ['backend', 'depth'],
+    properties: {
+      backend: { type: 'string' },
+      depth: { type: 'integer' },
+      flushing: { type: 'boolean' },
+      retryAttempt: { type: 'integer' },
+      nextRetryAt: orNull(dateTime),
+      enqueued: { type: 'integer' },
+      written: { type: 'integer' },
+      dropped: { type: 'integer' },
+      discarded: { type: 'integer', description: 'Clicks of links deleted before the clicks were written' },
+      flushes: { type: 'integer' },
+      failedFlushes: { type: 'integer' },
+      lastFlushAt: orNull(dateTime),
+      lastFlushDurationMs: orNull({ type: 'number' }),
+      lastFlushSize: { type: 'integer' },
+      lastError: orNull({ type: 'string' })
+    }
+  },
+
+  Liveness: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: {
+      status: { type: 'string' },
+      timestamp: dateTime,
+      uptime: { type: 'number' },
+      environment: { type: 'string' },
+      version: { type: 'string' }
+    }
+  },
+
+  Readiness: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not_ready'] },
+      timestamp: dateTime,
+      checks: {
+        type: 'object',
+        description: 'Per dependency { status, required, latencyMs, ... }',
+        additionalProperties: {
+          type: 'object',
+          required: ['status', 'required'],
+          properties: {
+            status: { type: 'string', enum: ['up', 'down', 'disabled', 'unknown'] },
+            required: { type: 'boolean' },
+            latencyMs: orNull({ type: 'number' })
+          }
+        }
+      },
+      message: { type: 'string' }
+    }
+  }
+};
+
+module.exports = {
+  schemas,
+  ref,
+  orNull,
+  jsonResponse,
+  problemResponse
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const UAParser = require('ua-parser-js');
+const config = require('../config');
+
+/**
+ * Helpers that derive analytics dimensions from raw click data
+ */
+class ClientInfo {
+  /**
+   * Parse a user agent string into browser, OS and device class
+   * @param {string|null} userAgent - Raw user agent header
+   * @returns {object} { browser, os, device }
+   */
+  static parseUserAgent(userAgent) {
+    if (!userAgent) {
+      return {
+        browser: null,
+        os: null,
+        device: null
+      };
+    }
+
+    const result = new UAParser(userAgent).getResult();
+
+    return {
+      browser: result.browser.name || null,
+      os: result.os.name || null,
+      // ua-parser leaves device.type empty for desktop browsers
+      device: result.device.type || 'desktop'
+    };
+  }
+
+  /**
+   * Extract the hostname from a referrer URL
+   * @param {string|null} referrer - Raw referrer header
+   * @returns {string|null} Lower-cased hostname without a leading www.
+   */
+  static extractReferrerDomain(referrer) {
+    if (!referrer) {
+      return null;
+    }
+
+    try {
+      return new URL(referrer).hostname.toLowerCase().replace(/^www\./, '') || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read a cookie from the request without a cookie parsing middleware
+   * @param {object} req - Express request
+   * @param {string} name - Cookie name
+   * @returns {string|null} Decoded cookie value
+   */
+  static getCookie(req, name) {
+    const header = req.get('cookie');
+    if (!header) {
+      return null;
+    }
+
+    for (const pair of header.split(';')) {
+      const separator = pair.indexOf('=');
+      if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+        try {
+          return decodeURIComponent(pair.slice(separator + 1).trim());
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash an IP address so visitors can be counted without exposing the address
+   * @param {string|null} ip - Client IP address
+   * @returns {string|null} Hex encoded SHA-256 digest
+   */
+  static hashIp(ip) {
+    if (!ip) {
+      return null;
+    }
+
+    return crypto
+      .createHash('sha256')
+      .update(`${config.analytics.ipHashSalt}:${ip}`)
+      .digest('hex');
+  }
+}
+
+module.exports = ClientInfo;
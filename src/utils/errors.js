@@ -0,0 +1,197 @@
+/**
+ * Errors with a stable, machine readable code. Services throw them and
+ * errorHandler renders them as RFC 7807 problem details, so clients can branch
+ * on `code` instead of parsing the message.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Detail of this occurrence
+   * @param {object} options - { status, code, title, extensions }, extensions being extra problem members
+   */
+  constructor(message, options = {}) {
+    const { status = 500, code = 'INTERNAL_ERROR', title = 'Internal server error', extensions = {} } = options;
+    super(message || title);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.title = title;
+    this.extensions = extensions;
+  }
+}
+
+/**
+ * A request field or query parameter failed validation
+ */
+class InvalidRequestError extends AppError {
+  constructor(message, extensions) {
+    super(message, { status: 400, code: 'INVALID_REQUEST', title: 'Invalid request', extensions });
+  }
+}
+
+class InvalidUrlError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'INVALID_URL', title: 'Invalid URL' });
+  }
+}
+
+/**
+ * The URL points at a private, loopback or otherwise internal address
+ */
+class PrivateAddressError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'PRIVATE_ADDRESS', title: 'Private address not allowed' });
+  }
+}
+
+/**
+ * The destination host is on the admin blocklist
+ */
+class DestinationBlockedError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'DESTINATION_BLOCKED', title: 'Destination blocked' });
+  }
+}
+
+/**
+ * The destination is itself a short link of another shortener
+ */
+class ShortenerChainError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'SHORTENER_CHAIN', title: 'Nested short link' });
+  }
+}
+
+/**
+ * The destination points back at this service
+ */
+class SelfReferenceError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'SELF_REFERENCE', title: 'Link to this service' });
+  }
+}
+
+/**
+ * A reputation checker flagged the destination, e.g. as phishing or malware
+ */
+class MaliciousDestinationError extends AppError {
+  constructor(message, category) {
+    super(message, {
+      status: 400,
+      code: 'MALICIOUS_DESTINATION',
+      title: 'Destination flagged',
+      extensions: { category }
+    });
+  }
+}
+
+class UnresolvableHostError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'UNRESOLVABLE_HOST', title: 'Host does not resolve' });
+  }
+}
+
+/**
+ * The short-link domain of a new link is not in the domain registry
+ */
+class UnknownDomainError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'UNKNOWN_DOMAIN', title: 'Unknown domain' });
+  }
+}
+
+class ShortcodeInvalidError extends AppError {
+  constructor(message) {
+    super(message, { status: 400, code: 'SHORTCODE_INVALID', title: 'Invalid shortcode' });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message) {
+    super(message, { status: 401, code: 'UNAUTHORIZED', title: 'Authentication required' });
+  }
+}
+
+class PasswordRequiredError extends AppError {
+  constructor(message) {
+    super(message, { status: 401, code: 'PASSWORD_REQUIRED', title: 'Password required' });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message) {
+    super(message, { status: 403, code: 'FORBIDDEN', title: 'Forbidden' });
+  }
+}
+
+class PasswordIncorrectError extends AppError {
+  constructor(message) {
+    super(message, { status: 403, code: 'PASSWORD_INCORRECT', title: 'Incorrect password' });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, { status: 404, code: 'NOT_FOUND', title: 'Not found' });
+  }
+}
+
+class ShortcodeTakenError extends AppError {
+  constructor(message) {
+    super(message, { status: 409, code: 'SHORTCODE_TAKEN', title: 'Shortcode taken' });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, { status: 409, code: 'CONFLICT', title: 'Conflict' });
+  }
+}
+
+class LinkExpiredError extends AppError {
+  constructor(message) {
+    super(message, { status: 410, code: 'LINK_EXPIRED', title: 'Link expired' });
+  }
+}
+
+class LinkDeactivatedError extends AppError {
+  constructor(message) {
+    super(message, { status: 410, code: 'LINK_DEACTIVATED', title: 'Link deactivated' });
+  }
+}
+
+class ClickLimitReachedError extends AppError {
+  constructor(message) {
+    super(message, { status: 410, code: 'CLICK_LIMIT_REACHED', title: 'Click limit reached' });
+  }
+}
+
+class RateLimitedError extends AppError {
+  constructor(message) {
+    super(message, { status: 429, code: 'RATE_LIMITED', title: 'Too many requests' });
+  }
+}
+
+module.exports = {
+  AppError,
+  InvalidRequestError,
+  InvalidUrlError,
+  PrivateAddressError,
+  DestinationBlockedError,
+  ShortenerChainError,
+  SelfReferenceError,
+  MaliciousDestinationError,
+  UnresolvableHostError,
+  UnknownDomainError,
+  ShortcodeInvalidError,
+  UnauthorizedError,
+  PasswordRequiredError,
+  ForbiddenError,
+  PasswordIncorrectError,
+  NotFoundError,
+  ShortcodeTakenError,
+  ConflictError,
+  LinkExpiredError,
+  LinkDeactivatedError,
+  ClickLimitReachedError,
+  RateLimitedError
+};
@@ -0,0 +1,148 @@
+/**
+ * Minimal server-rendered pages. They use inline styles only, and scripts
+ * served from this origin, so they work under the Content-Security-Policy set
+ * in server.js.
+ */
+class HtmlPages {
+  /**
+   * Escape text for safe inclusion in HTML
+   * @param {any} value - Value to escape
+   * @returns {string} Escaped string
+   */
+  static escape(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Wrap page content in a complete HTML document
+   * @param {string} title - Page title (plain text)
+   * @param {string} body - Body markup, already escaped
+   * @param {string} head - Extra head markup, already escaped
+   * @returns {string} HTML document
+   */
+  static layout(title, body, head = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex">
+<title>${this.escape(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #f4f5f7; margin: 0; padding: 48px 16px; color: #222; }
+main { max-width: 420px; margin: 0 auto; background: #fff; border-radius: 8px; padding: 32px; }
+main { box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+h1 { font-size: 1.25rem; margin-top: 0; }
+input, button { font: inherit; padding: 8px 12px; border-radius: 4px; box-sizing: border-box; }
+input { width: 100%; border: 1px solid #bbb; margin-bottom: 12px; }
+button { background: #2563eb; color: #fff; border: 0; cursor: pointer; }
+.error { color: #b91c1c; }
+</style>
+${head}
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+  }
+
+  /**
+   * Form action posting back to POST /:shortcode. Relative to the page, which
+   * is served at the shortcode itself, so it works on branded domains and when
+   * the service runs under a path prefix.
+   * @param {string} shortcode - Shortcode being opened
+   * @param {string} search - Query string to forward
+   * @returns {string} Escaped attribute value
+   */
+  static formAction(shortcode, search = '') {
+    return this.escape(`./${encodeURIComponent(shortcode)}${search}`);
+  }
+
+  /**
+   * Password prompt for a protected link; submits back to POST /:shortcode
+   * @param {string} shortcode - Shortcode being opened
+   * @param {string|null} error - Message to show after a failed attempt
+   * @param {string} search - Query string of the request, kept so it can be forwarded
+   * @returns {string} HTML document
+   */
+  static passwordPrompt(shortcode, error = null, search = '') {
+    const message = error ? `<p class="error">${this.escape(error)}</p>` : '';
+
+    return this.layout('Password required', `<h1>This link is password protected</h1>
+${message}
+<form method="post" action="${this.formAction(shortcode, search)}">
+<label for="password">Password</label>
+<input type="password" id="password" name="password" autocomplete="off" required autofocus>
+<button type="submit">Continue</button>
+</form>`);
+  }
+
+  /**
+   * Preview of a link's destination, with a button that continues through
+   * POST /:shortcode. The destination of a protected link is not shown; the
+   * form asks for the password instead.
+   * @param {object} link - { shortcode, destination, createdAt, clickCount, passwordProtected, search }, search
+   *   being the query string of the request, kept so it can be forwarded
+   * @returns {string} HTML document
+   */
+  static linkPreview({ shortcode, destination, createdAt, clickCount, passwordProtected, search = '' }) {
+    const action = this.formAction(shortcode, search);
+    const created = this.escape(new Date(createdAt).toISOString().slice(0, 10));
+
+    if (passwordProtected) {
+      return this.layout('Link preview', `<h1>This link is password protected</h1>
+<p>The destination is shown only after the password is entered.</p>
+<p>Created ${created}, visited ${this.escape(clickCount)} times.</p>
+<form method="post" action="${action}">
+<label for="password">Password</label>
+<input type="password" id="password" name="password" autocomplete="off" required autofocus>
+<button type="submit">Continue</button>
+</form>`);
+    }
+
+    const domain = new URL(destination).hostname;
+
+    return this.layout('Link preview', `<h1>You are about to visit ${this.escape(domain)}</h1>
+<p>This short link leads to:</p>
+<p class="destination"><code>${this.escape(destination)}</code></p>
+<p>Created ${created}, visited ${this.escape(clickCount)} times.</p>
+<form method="post" action="${action}">
+<button type="submit">Continue to ${this.escape(domain)}</button>
+</form>`, `<style>
+.destination { overflow-wrap: anywhere; background: #f4f5f7; padding: 8px 12px; border-radius: 4px; }
+</style>`);
+  }
+
+  /**
+   * API explorer; the page is filled in by /api/docs/explorer.js from the
+   * OpenAPI document
+   * @returns {string} HTML document
+   */
+  static apiExplorer() {
+    return this.layout('API explorer', `<h1>URL Shortener API</h1>
+<p>Generated from <a href="/api/openapi.json">/api/openapi.json</a>.</p>
+<label for="api-key">API key</label>
+<input type="password" id="api-key" autocomplete="off" placeholder="Sent as the API key header">
+<div id="operations"><p>Loading the specification…</p></div>
+<noscript><p class="error">The explorer needs JavaScript; the specification is plain JSON.</p></noscript>`,
+    `<style>
+main { max-width: 960px; }
+details { border: 1px solid #ddd; border-radius: 4px; margin-bottom: 8px; padding: 8px 12px; }
+summary { cursor: pointer; }
+code, pre, textarea { font-family: ui-monospace, monospace; font-size: .875rem; }
+pre { background: #f4f5f7; padding: 12px; overflow: auto; white-space: pre-wrap; }
+textarea { width: 100%; min-height: 120px; box-sizing: border-box; }
+.method { display: inline-block; min-width: 64px; font-weight: 600; text-transform: uppercase; }
+</style>
+<script src="/api/docs/explorer.js" defer></script>`);
+  }
+}
+
+module.exports = HtmlPages;
@@ -0,0 +1,122 @@
+const net = require('net');
+
+// IANA special-purpose and other non-public ranges, [address, prefix length]
+const RESERVED_IPV4 = [
+  ['0.0.0.0', 8], // "this network"
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link local, including cloud metadata at 169.254.169.254
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, including broadcast
+];
+
+const RESERVED_IPV6 = [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['100::', 64], // discard only
+  ['2001::', 23], // IETF protocol assignments, including Teredo
+  ['2001:db8::', 32], // documentation
+  ['2002::', 16], // 6to4, which embeds an arbitrary IPv4 address
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link local
+  ['ff00::', 8] // multicast
+];
+
+const reserved = new net.BlockList();
+RESERVED_IPV4.forEach(([address, prefix]) => reserved.addSubnet(address, prefix, 'ipv4'));
+RESERVED_IPV6.forEach(([address, prefix]) => reserved.addSubnet(address, prefix, 'ipv6'));
+
+// IPv6 ranges whose last 32 bits are an IPv4 address, which is checked instead.
+// NAT64 addresses are only as private as the IPv4 address they translate to.
+const IPV4_EMBEDDING_IPV6 = [
+  ['::', 96], // IPv4-compatible, deprecated
+  ['::ffff:0:0', 96], // IPv4-mapped
+  ['64:ff9b::', 96], // NAT64 well-known prefix
+  ['64:ff9b:1::', 48] // local-use NAT64
+];
+
+const ipv4Embedding = new net.BlockList();
+IPV4_EMBEDDING_IPV6.forEach(([address, prefix]) => ipv4Embedding.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * The eight 16-bit groups of an IPv6 address, which may end in dotted IPv4
+ * @param {string} address - Valid IPv6 address
+ * @returns {number[]}
+ */
+function ipv6Groups(address) {
+  let text = address.replace(/%.*$/, '');
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = text.slice(0, dotted.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const headGroups = parse(head);
+  const tailGroups = parse(tail);
+  return [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+}
+
+/**
+ * Checks of IP addresses against private and reserved ranges
+ */
+class IpRanges {
+  /**
+   * IP address of a URL hostname, without the brackets of IPv6 literals.
+   * Hostnames parsed by URL already have decimal, hex and octal IPv4 forms
+   * such as 2130706433 or 0x7f.1 rewritten to dotted decimal.
+   * @param {string} hostname - Hostname from a URL object
+   * @returns {string|null} The address, or null when the hostname is a name
+   */
+  static hostAddress(hostname) {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1');
+    return net.isIP(host) ? host : null;
+  }
+
+  /**
+   * IPv4 address embedded in an IPv4-compatible, IPv4-mapped or NAT64 IPv6 address
+   * @param {string} address - IPv6 address
+   * @returns {string|null} Dotted decimal address, or null for other addresses
+   */
+  static embeddedIpv4(address) {
+    if (!net.isIPv6(address) || !ipv4Embedding.check(address, 'ipv6')) {
+      return null;
+    }
+
+    const [high, low] = ipv6Groups(address).slice(6);
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+
+  /**
+   * Whether an address is private, loopback, link local or otherwise not
+   * publicly routable. IPv4-compatible, IPv4-mapped and NAT64 IPv6 addresses
+   * are also checked as the IPv4 address they embed.
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  static isReserved(address) {
+    const family = net.isIP(address);
+    if (family === 0) {
+      return false;
+    }
+
+    if (family === 4) {
+      return reserved.check(address, 'ipv4');
+    }
+
+    const ipv4 = IpRanges.embeddedIpv4(address);
+    return reserved.check(address, 'ipv6') || (ipv4 !== null && reserved.check(ipv4, 'ipv4'));
+  }
+}
+
+module.exports = IpRanges;
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Password hashing for protected links, using scrypt from node:crypto
+ * Hashes are stored as "scrypt$<salt hex>$<hash hex>".
+ */
+class PasswordHasher {
+  /**
+   * Hash a plaintext password with a random salt
+   * @param {string} password - Plaintext password
+   * @returns {Promise<string>} Encoded hash
+   */
+  static async hash(password) {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const derived = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${derived.toString('hex')}`;
+  }
+
+  /**
+   * Check a plaintext password against an encoded hash
+   * @param {string} password - Plaintext password from the visitor
+   * @param {string} encoded - Hash produced by hash()
+   * @returns {Promise<boolean>}
+   */
+  static async verify(password, encoded) {
+    if (typeof password !== 'string' || typeof encoded !== 'string') {
+      return false;
+    }
+
+    const [scheme, saltHex, hashHex] = encoded.split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+      return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const derived = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(derived, expected);
+  }
+}
+
+module.exports = PasswordHasher;
@@ -0,0 +1,58 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Per-request context, available anywhere down the call chain of a request
+ * without passing it along. Holds { requestId }.
+ */
+class RequestContext {
+  /**
+   * Run a callback, and everything it awaits, inside a context
+   * @param {object} context - { requestId }
+   * @param {Function} callback - Callback to run
+   * @returns {*} Return value of the callback
+   */
+  static run(context, callback) {
+    return storage.run(context, callback);
+  }
+
+  /**
+   * Id of the request being handled
+   * @returns {string|null} Null outside of a request
+   */
+  static getRequestId() {
+    const context = storage.getStore();
+    return context ? context.requestId : null;
+  }
+
+  /**
+   * Request id formatted for console lines
+   * @returns {string} " [<id>]" inside a request, empty otherwise
+   */
+  static tag() {
+    const requestId = RequestContext.getRequestId();
+    return requestId ? ` [${requestId}]` : '';
+  }
+
+  /**
+   * Route pattern of a finished request, e.g. "/:shortcode", so that shortcodes
+   * and ids do not make every request look different
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @returns {string} Route pattern, the router mount path, or 'unmatched'
+   */
+  static routePattern(req, res) {
+    // Recorded by defineRoutes, since req.route and req.baseUrl are reset on errors
+    if (res.locals.route) {
+      return res.locals.route;
+    }
+    if (!req.route) {
+      // Answered by router level middleware, e.g. an auth check
+      return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+    }
+    return `${req.baseUrl}${req.route.path}`;
+  }
+}
+
+module.exports = RequestContext;
@@ -1,37 +1,87 @@
 const validator = require('validator');
+const config = require('../config');
+const IpRanges = require('./ipRanges');
+const { AppError, InvalidRequestError, InvalidUrlError, PrivateAddressError } = require('./errors');
+
+// Fields accepted by PATCH /shorturls/:shortcode
+const UPDATABLE_FIELDS = [
+  'url',
+  'validity',
+  'active',
+  'password',
+  'maxClicks',
+  'rules',
+  'variants',
+  'preview',
+  'redirectStatus',
+  'forwardQuery',
+  'queryConflict',
+  'utm'
+];
 
 /**
- * Validation utilities for URL shortener
+ * Run a nested validation, prefixing the message of its error with where the
+ * value came from, e.g. "Rule 2: destination: ..."
+ * @param {string} context - Prefix for the message
+ * @param {Function} validate - Validation to run
+ * @returns {*} Result of the validation
+ */
+const withContext = (context, validate) => {
+  try {
+    return validate();
+  } catch (error) {
+    if (error instanceof AppError) {
+      error.message = `${context}: ${error.message}`;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Validation utilities for URL shortener. Validators return the normalised
+ * values and throw an AppError (see ./errors) for the first problem found.
  */
 class ValidationService {
   /**
    * Validate URL with strict requirements
    * @param {string} url - URL to validate
-   * @returns {object} Validation result
+   * @returns {object} { url } trimmed
+   * @throws {InvalidUrlError|PrivateAddressError}
    */
   static validateUrl(url) {
     if (!url || typeof url !== 'string') {
-      return {
-        isValid: false,
-        error: 'URL is required and must be a string'
-      };
+      throw new InvalidUrlError('URL is required and must be a string');
     }
 
     const trimmedUrl = url.trim();
 
     if (!trimmedUrl) {
-      return {
-        isValid: false,
-        error: 'URL cannot be empty'
-      };
+      throw new InvalidUrlError('URL cannot be empty');
     }
 
     // Check if URL has protocol (required for security)
     if (!trimmedUrl.match(/^https?:\/\//)) {
-      return {
-        isValid: false,
-        error: 'URL must include http:// or https:// protocol'
-      };
+      throw new InvalidUrlError('URL must include http:// or https:// protocol');
+    }
+
+    // Additional security checks to prevent SSRF. Parsing first normalises
+    // decimal, hex and octal IPv4 hosts, so they are caught as addresses.
+    let urlObj;
+    try {
+      urlObj = new URL(trimmedUrl);
+    } catch (urlError) {
+      throw new InvalidUrlError('Malformed URL');
+    }
+
+    // Block localhost and private, loopback, link local and reserved addresses.
+    // Names resolving to such addresses are caught by the screening service.
+    const hostname = urlObj.hostname.toLowerCase();
+    const address = IpRanges.hostAddress(hostname);
+
+    if (hostname === 'localhost' ||
+        hostname.endsWith('.localhost') ||
+        (address && IpRanges.isReserved(address))) {
+      throw new PrivateAddressError('URLs pointing to private/local addresses are not allowed');
     }
 
     // Use validator.js for comprehensive URL validation
@@ -45,48 +95,15 @@ class ValidationService {
       allow_trailing_dot: false,
       allow_protocol_relative_urls: false
     })) {
-      return {
-        isValid: false,
-        error: 'Invalid URL format'
-      };
+      throw new InvalidUrlError('Invalid URL format');
     }
 
-    // Additional security checks to prevent SSRF
-    try {
-      const urlObj = new URL(trimmedUrl);
-      
-      // Block localhost, private IP ranges, and loopback addresses
-      const hostname = urlObj.hostname.toLowerCase();
-      
-      if (hostname === 'localhost' || 
-          hostname === '127.0.0.1' || 
-          hostname === '0.0.0.0' ||
-          hostname.startsWith('192.168.') ||
-          hostname.startsWith('10.') ||
-          hostname.match(/^172\.(1[6-9]|2[0-9]|3[0-1])\./)) {
-        return {
-          isValid: false,
-          error: 'URLs pointing to private/local addresses are not allowed'
-        };
-      }
-
-      // Block file:// and other potentially dangerous protocols
-      if (!['http:', 'https:'].includes(urlObj.protocol)) {
-        return {
-          isValid: false,
-          error: 'Only HTTP and HTTPS protocols are allowed'
-        };
-      }
-
-    } catch (urlError) {
-      return {
-        isValid: false,
-        error: 'Malformed URL'
-      };
+    // Block file:// and other potentially dangerous protocols
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+      throw new InvalidUrlError('Only HTTP and HTTPS protocols are allowed');
     }
 
     return {
-      isValid: true,
       url: trimmedUrl
     };
   }
@@ -95,13 +112,12 @@ class ValidationService {
    * Validate validity (time in minutes)
    * @param {any} validity - Validity value to validate
    * @param {number} defaultValue - Default validity in minutes
-   * @returns {object} Validation result
+   * @returns {object} { validity } in whole minutes
    */
   static validateValidity(validity, defaultValue = 30) {
     // If not provided, use default
     if (validity === undefined || validity === null) {
       return {
-        isValid: true,
         validity: defaultValue
       };
     }
@@ -110,38 +126,551 @@ class ValidationService {
     const validityNum = Number(validity);
 
     if (isNaN(validityNum)) {
+      throw new InvalidRequestError('Validity must be a number');
+    }
+
+    if (validityNum <= 0) {
+      throw new InvalidRequestError('Validity must be greater than 0 minutes');
+    }
+
+    if (validityNum > 525600) { // 1 year in minutes
+      throw new InvalidRequestError('Validity cannot exceed 1 year (525600 minutes)');
+    }
+
+    // Round to nearest integer
+    return {
+      validity: Math.round(validityNum)
+    };
+  }
+
+  /**
+   * Validate an optional click limit
+   * @param {any} maxClicks - Click limit from the request body
+   * @returns {object} { maxClicks }, null when unlimited
+   */
+  static validateMaxClicks(maxClicks) {
+    if (maxClicks === undefined || maxClicks === null || maxClicks === '') {
       return {
-        isValid: false,
-        error: 'Validity must be a number'
+        maxClicks: null
       };
     }
 
-    if (validityNum <= 0) {
+    const maxClicksNum = Number(maxClicks);
+
+    if (!Number.isInteger(maxClicksNum) || maxClicksNum < 1) {
+      throw new InvalidRequestError('maxClicks must be a positive integer');
+    }
+
+    if (maxClicksNum > config.maxClicksLimit) {
+      throw new InvalidRequestError(`maxClicks cannot exceed ${config.maxClicksLimit}`);
+    }
+
+    return {
+      maxClicks: maxClicksNum
+    };
+  }
+
+  /**
+   * Validate the optional preview flag; CSV uploads send it as text
+   * @param {any} preview - true, false, 'true' or 'false'
+   * @returns {object} { preview }, false when not provided
+   */
+  static validatePreview(preview) {
+    if (preview === undefined || preview === null || preview === '') {
       return {
-        isValid: false,
-        error: 'Validity must be greater than 0 minutes'
+        preview: false
       };
     }
 
-    if (validityNum > 525600) { // 1 year in minutes
+    if (![true, false, 'true', 'false'].includes(preview)) {
+      throw new InvalidRequestError('preview must be a boolean');
+    }
+
+    return {
+      preview: preview === true || preview === 'true'
+    };
+  }
+
+  /**
+   * Validate the optional redirect status; CSV uploads send it as text
+   * @param {any} redirectStatus - 301, 302, 307 or 308
+   * @returns {object} { redirectStatus }, the default when not provided
+   */
+  static validateRedirectStatus(redirectStatus) {
+    if (redirectStatus === undefined || redirectStatus === null || redirectStatus === '') {
       return {
-        isValid: false,
-        error: 'Validity cannot exceed 1 year (525600 minutes)'
+        redirectStatus: config.redirects.defaultStatus
       };
     }
 
-    // Round to nearest integer
+    const status = Number(redirectStatus);
+    if (!config.redirects.statuses.includes(status)) {
+      throw new InvalidRequestError(`redirectStatus must be one of ${config.redirects.statuses.join(', ')}`);
+    }
+
     return {
-      isValid: true,
-      validity: Math.round(validityNum)
+      redirectStatus: status
+    };
+  }
+
+  /**
+   * Validate the query string passthrough options
+   * @param {any} forwardQuery - Whether to merge the visitor's query string into the destination
+   * @param {any} queryConflict - keep, override or append
+   * @returns {object} { forwardQuery, queryConflict }, with defaults for what was not provided
+   */
+  static validateQueryForwarding(forwardQuery, queryConflict) {
+    if (forwardQuery !== undefined && forwardQuery !== null && typeof forwardQuery !== 'boolean') {
+      throw new InvalidRequestError('forwardQuery must be a boolean');
+    }
+
+    if (queryConflict !== undefined && queryConflict !== null &&
+        !config.redirects.queryConflicts.includes(queryConflict)) {
+      throw new InvalidRequestError(`queryConflict must be one of ${config.redirects.queryConflicts.join(', ')}`);
+    }
+
+    return {
+      forwardQuery: forwardQuery === true,
+      queryConflict: queryConflict || 'keep'
     };
   }
 
+  /**
+   * Validate the optional UTM tags
+   * @param {any} utm - Object with any of source, medium, campaign, term and content
+   * @returns {object} { utm }, null when no tag is set
+   */
+  static validateUtm(utm) {
+    if (utm === undefined || utm === null) {
+      return {
+        utm: null
+      };
+    }
+
+    if (typeof utm !== 'object' || Array.isArray(utm)) {
+      throw new InvalidRequestError('utm must be an object');
+    }
+
+    const tags = {};
+    for (const [field, value] of Object.entries(utm)) {
+      if (!config.redirects.utmFields.includes(field)) {
+        throw new InvalidRequestError(`utm.${field} is not supported, use ${config.redirects.utmFields.join(', ')}`);
+      }
+      if (value === null || value === '') {
+        continue;
+      }
+      if (typeof value !== 'string' || value.trim().length > config.redirects.maxUtmLength) {
+        throw new InvalidRequestError(
+          `utm.${field} must be a string of at most ${config.redirects.maxUtmLength} characters`
+        );
+      }
+      tags[field] = value.trim();
+    }
+
+    return {
+      utm: Object.keys(tags).length > 0 ? tags : null
+    };
+  }
+
+  /**
+   * Validate weighted A/B destinations
+   * @param {any} variants - Variants from the request body
+   * @returns {object} { variants } normalised
+   */
+  static validateVariants(variants) {
+    const { minVariants, maxVariants, maxWeight } = config.variants;
+
+    if (variants === undefined || variants === null) {
+      return {
+        variants: []
+      };
+    }
+
+    if (!Array.isArray(variants)) {
+      throw new InvalidRequestError('Variants must be an array');
+    }
+
+    // An empty array is allowed and removes the split
+    if (variants.length > 0 && (variants.length < minVariants || variants.length > maxVariants)) {
+      throw new InvalidRequestError(`Variants must contain between ${minVariants} and ${maxVariants} entries`);
+    }
+
+    const names = new Set();
+    const normalised = [];
+
+    for (const [index, variant] of variants.entries()) {
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        throw new InvalidRequestError(`Variant ${index}: must be an object`);
+      }
+
+      if (typeof variant.name !== 'string' || !/^[A-Za-z0-9_-]{1,50}$/.test(variant.name)) {
+        throw new InvalidRequestError(`Variant ${index}: name must be 1-50 letters, digits, dashes or underscores`);
+      }
+
+      if (names.has(variant.name)) {
+        throw new InvalidRequestError(`Variant ${index}: name '${variant.name}' is used more than once`);
+      }
+      names.add(variant.name);
+
+      const urlValidation = withContext(`Variant ${index}: url`, () => this.validateUrl(variant.url));
+
+      const weight = variant.weight === undefined ? 1 : Number(variant.weight);
+      if (!Number.isInteger(weight) || weight < 1 || weight > maxWeight) {
+        throw new InvalidRequestError(`Variant ${index}: weight must be an integer between 1 and ${maxWeight}`);
+      }
+
+      normalised.push({
+        name: variant.name,
+        url: urlValidation.url,
+        weight
+      });
+    }
+
+    return {
+      variants: normalised
+    };
+  }
+
+  /**
+   * Validate an ordered list of conditional redirect rules
+   * @param {any} rules - Rules from the request body
+   * @returns {object} { rules } normalised
+   */
+  static validateRules(rules) {
+    if (rules === undefined || rules === null) {
+      return {
+        rules: []
+      };
+    }
+
+    if (!Array.isArray(rules)) {
+      throw new InvalidRequestError('Rules must be an array');
+    }
+
+    if (rules.length > config.rules.maxRules) {
+      throw new InvalidRequestError(`A link cannot have more than ${config.rules.maxRules} rules`);
+    }
+
+    const normalised = [];
+
+    for (const [index, rule] of rules.entries()) {
+      const fail = (error) => new InvalidRequestError(`Rule ${index}: ${error}`);
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw fail('must be an object');
+      }
+
+      const destination = withContext(`Rule ${index}: destination`, () => this.validateUrl(rule.destination));
+
+      const result = {
+        name: null,
+        destination: destination.url,
+        countries: [],
+        devices: [],
+        os: [],
+        languages: [],
+        timeWindow: null
+      };
+
+      if (rule.name !== undefined && rule.name !== null) {
+        if (typeof rule.name !== 'string' || rule.name.length > 100) {
+          throw fail('name must be a string of at most 100 characters');
+        }
+        result.name = rule.name.trim();
+      }
+
+      const lists = {
+        countries: { pattern: /^[A-Za-z]{2}$/, description: 'ISO 3166-1 alpha-2 country codes', upper: true },
+        devices: { values: config.rules.devices, description: `one of ${config.rules.devices.join(', ')}` },
+        os: { pattern: /^.{1,50}$/, description: 'operating system names' },
+        languages: { pattern: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i, description: 'language tags such as en or pt-BR' }
+      };
+
+      for (const [field, spec] of Object.entries(lists)) {
+        const values = rule[field];
+        if (values === undefined || values === null) {
+          continue;
+        }
+        if (!Array.isArray(values) || values.length > config.rules.maxValuesPerCondition) {
+          throw fail(`${field} must be an array of at most ${config.rules.maxValuesPerCondition} values`);
+        }
+        for (const value of values) {
+          const valid = typeof value === 'string' &&
+            (spec.values ? spec.values.includes(value) : spec.pattern.test(value));
+          if (!valid) {
+            throw fail(`${field} must contain ${spec.description}`);
+          }
+        }
+        result[field] = spec.upper ? values.map(value => value.toUpperCase()) : values;
+      }
+
+      if (rule.timeWindow !== undefined && rule.timeWindow !== null) {
+        const { start, end, timezone } = rule.timeWindow;
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+        if (!timePattern.test(start) || !timePattern.test(end) || start === end) {
+          throw fail('timeWindow needs different start and end times in HH:MM format');
+        }
+
+        if (timezone !== undefined && timezone !== null) {
+          try {
+            new Intl.DateTimeFormat('en-GB', { timeZone: timezone }).format();
+          } catch (error) {
+            throw fail('timeWindow.timezone must be an IANA time zone such as Europe/Berlin');
+          }
+        }
+
+        result.timeWindow = { start, end, timezone: timezone || 'UTC' };
+      }
+
+      const hasCondition = ['countries', 'devices', 'os', 'languages'].some(field => result[field].length > 0) ||
+        result.timeWindow !== null;
+      if (!hasCondition) {
+        throw fail('must define at least one condition');
+      }
+
+      normalised.push(result);
+    }
+
+    return {
+      rules: normalised
+    };
+  }
+
+  /**
+   * Validate an optional link password
+   * @param {any} password - Password from the request body
+   * @returns {object} { password }, null when none was given
+   */
+  static validatePassword(password) {
+    if (password === undefined || password === null || password === '') {
+      return {
+        password: null
+      };
+    }
+
+    if (typeof password !== 'string') {
+      throw new InvalidRequestError('Password must be a string');
+    }
+
+    if (password.length < config.password.minLength || password.length > config.password.maxLength) {
+      throw new InvalidRequestError(
+        `Password must be between ${config.password.minLength} and ${config.password.maxLength} characters`
+      );
+    }
+
+    return {
+      password
+    };
+  }
+
+  /**
+   * Validate a partial update of an existing short URL
+   * @param {object} body - Request body with any of UPDATABLE_FIELDS
+   * @returns {object} { changes } to apply
+   */
+  static validateUrlUpdate(body = {}) {
+    const { url, validity, active, password, maxClicks, rules, variants, preview } = body;
+    const { redirectStatus, forwardQuery, queryConflict, utm } = body;
+    const changes = {};
+
+    if (UPDATABLE_FIELDS.every(field => body[field] === undefined)) {
+      throw new InvalidRequestError(`At least one of ${UPDATABLE_FIELDS.join(', ')} must be provided`);
+    }
+
+    if (url !== undefined) {
+      const urlValidation = this.validateUrl(url);
+      changes.originalUrl = urlValidation.url;
+    }
+
+    if (validity !== undefined) {
+      if (validity === null) {
+        throw new InvalidRequestError('Validity must be a number');
+      }
+      const validityValidation = this.validateValidity(validity);
+      // Validity is counted from now, like on creation
+      changes.expiryAt = new Date(Date.now() + validityValidation.validity * 60 * 1000);
+    }
+
+    if (active !== undefined) {
+      if (typeof active !== 'boolean') {
+        throw new InvalidRequestError('Active must be a boolean');
+      }
+      changes.isActive = active;
+    }
+
+    if (password !== undefined) {
+      // null or an empty string removes the password
+      const passwordValidation = this.validatePassword(password);
+      changes.password = passwordValidation.password;
+    }
+
+    if (maxClicks !== undefined) {
+      // null removes the limit
+      const maxClicksValidation = this.validateMaxClicks(maxClicks);
+      changes.maxClicks = maxClicksValidation.maxClicks;
+    }
+
+    if (rules !== undefined) {
+      // null or an empty array removes all rules
+      const rulesValidation = this.validateRules(rules);
+      changes.rules = rulesValidation.rules;
+    }
+
+    if (variants !== undefined) {
+      // null or an empty array removes the split
+      const variantsValidation = this.validateVariants(variants);
+      changes.variants = variantsValidation.variants;
+    }
+
+    if (preview !== undefined) {
+      if (typeof preview !== 'boolean') {
+        throw new InvalidRequestError('preview must be a boolean');
+      }
+      changes.preview = preview;
+    }
+
+    if (redirectStatus !== undefined) {
+      if (redirectStatus === null) {
+        throw new InvalidRequestError('redirectStatus must be a number');
+      }
+      changes.redirectStatus = this.validateRedirectStatus(redirectStatus).redirectStatus;
+    }
+
+    if (forwardQuery !== undefined || queryConflict !== undefined) {
+      // Only the options that were sent are changed
+      const queryValidation = this.validateQueryForwarding(forwardQuery, queryConflict);
+      if (forwardQuery !== undefined) {
+        changes.forwardQuery = queryValidation.forwardQuery;
+      }
+      if (queryConflict !== undefined) {
+        changes.queryConflict = queryValidation.queryConflict;
+      }
+    }
+
+    if (utm !== undefined) {
+      // null or an empty object removes the tags
+      changes.utm = this.validateUtm(utm).utm;
+    }
+
+    return {
+      changes
+    };
+  }
+
+  /**
+   * Validate query parameters of the link listing
+   * @param {object} query - Request query
+   * @returns {object} Normalised filters
+   */
+  static validateListQuery(query = {}) {
+    const result = {
+      sort: 'createdAt',
+      order: 'desc',
+      limit: config.list.defaultLimit,
+      cursor: null,
+      // Short-link domain; undefined lists every domain, null the default one
+      domain: undefined,
+      destinationDomain: null,
+      createdFrom: null,
+      createdTo: null,
+      state: null,
+      minClicks: null,
+      search: null,
+      owner: null
+    };
+
+    if (query.sort !== undefined) {
+      if (!['createdAt', 'clicks'].includes(query.sort)) {
+        throw new InvalidRequestError('Sort must be one of: createdAt, clicks');
+      }
+      result.sort = query.sort;
+    }
+
+    if (query.order !== undefined) {
+      if (!['asc', 'desc'].includes(query.order)) {
+        throw new InvalidRequestError('Order must be one of: asc, desc');
+      }
+      result.order = query.order;
+    }
+
+    if (query.limit !== undefined) {
+      const limitNum = Number(query.limit);
+      if (isNaN(limitNum) || limitNum < 1) {
+        throw new InvalidRequestError('Limit must be a positive integer');
+      }
+      if (limitNum > config.list.maxLimit) {
+        throw new InvalidRequestError(`Limit cannot exceed ${config.list.maxLimit}`);
+      }
+      result.limit = Math.floor(limitNum);
+    }
+
+    if (query.cursor !== undefined) {
+      if (typeof query.cursor !== 'string' || !query.cursor) {
+        throw new InvalidRequestError('Cursor must be a non-empty string');
+      }
+      result.cursor = query.cursor;
+    }
+
+    if (query.domain !== undefined) {
+      result.domain = this.validateLinkDomain(query.domain).domain;
+    }
+
+    if (query.destinationDomain !== undefined) {
+      if (typeof query.destinationDomain !== 'string' ||
+        !validator.isFQDN(query.destinationDomain, { require_tld: false })) {
+        throw new InvalidRequestError('destinationDomain must be a valid hostname');
+      }
+      result.destinationDomain = query.destinationDomain.toLowerCase();
+    }
+
+    for (const key of ['createdFrom', 'createdTo']) {
+      if (query[key] !== undefined) {
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+          throw new InvalidRequestError(`${key} must be a valid ISO 8601 date`);
+        }
+        result[key] = date;
+      }
+    }
+
+    if (query.state !== undefined) {
+      if (!['active', 'expired', 'inactive'].includes(query.state)) {
+        throw new InvalidRequestError('State must be one of: active, expired, inactive');
+      }
+      result.state = query.state;
+    }
+
+    if (query.minClicks !== undefined) {
+      const minClicks = Number(query.minClicks);
+      if (isNaN(minClicks) || minClicks < 0) {
+        throw new InvalidRequestError('minClicks must be a non-negative integer');
+      }
+      result.minClicks = Math.floor(minClicks);
+    }
+
+    if (query.search !== undefined) {
+      if (typeof query.search !== 'string' || !query.search.trim() || query.search.length > 200) {
+        throw new InvalidRequestError('Search must be a non-empty string of at most 200 characters');
+      }
+      result.search = query.search.trim();
+    }
+
+    if (query.owner !== undefined) {
+      if (typeof query.owner !== 'string' || !query.owner.trim()) {
+        throw new InvalidRequestError('Owner must be a non-empty string');
+      }
+      result.owner = query.owner.trim();
+    }
+
+    return result;
+  }
+
   /**
    * Validate pagination parameters
    * @param {any} page - Page number
    * @param {any} limit - Items per page
-   * @returns {object} Validation result
+   * @returns {object} { page, limit }
    */
   static validatePagination(page, limit) {
     const result = {
@@ -153,10 +682,7 @@ class ValidationService {
     if (page !== undefined && page !== null) {
       const pageNum = Number(page);
       if (isNaN(pageNum) || pageNum < 1) {
-        return {
-          isValid: false,
-          error: 'Page must be a positive integer'
-        };
+        throw new InvalidRequestError('Page must be a positive integer');
       }
       result.page = Math.floor(pageNum);
     }
@@ -165,23 +691,343 @@ class ValidationService {
     if (limit !== undefined && limit !== null) {
       const limitNum = Number(limit);
       if (isNaN(limitNum) || limitNum < 1) {
-        return {
-          isValid: false,
-          error: 'Limit must be a positive integer'
-        };
+        throw new InvalidRequestError('Limit must be a positive integer');
       }
       if (limitNum > 1000) {
-        return {
-          isValid: false,
-          error: 'Limit cannot exceed 1000'
-        };
+        throw new InvalidRequestError('Limit cannot exceed 1000');
       }
       result.limit = Math.floor(limitNum);
     }
 
+    return result;
+  }
+
+  /**
+   * Validate analytics query parameters
+   * @param {object} query - Request query with interval, from, to and top
+   * @returns {object} { interval, from, to, top }
+   */
+  static validateAnalyticsQuery(query = {}) {
+    const { intervals, defaultInterval, defaultRangeDays, maxBuckets, defaultTop, maxTop } = config.analytics;
+    const interval = query.interval || defaultInterval;
+
+    if (!Object.prototype.hasOwnProperty.call(intervals, interval)) {
+      throw new InvalidRequestError(`Interval must be one of: ${Object.keys(intervals).join(', ')}`);
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    if (isNaN(to.getTime())) {
+      throw new InvalidRequestError('To must be a valid ISO 8601 date');
+    }
+
+    const from = query.from
+      ? new Date(query.from)
+      : new Date(to.getTime() - defaultRangeDays * intervals.day);
+    if (isNaN(from.getTime())) {
+      throw new InvalidRequestError('From must be a valid ISO 8601 date');
+    }
+
+    if (from > to) {
+      throw new InvalidRequestError('From must be before to');
+    }
+
+    if ((to - from) / intervals[interval] > maxBuckets) {
+      throw new InvalidRequestError(`Range is too large for interval '${interval}' (max ${maxBuckets} buckets)`);
+    }
+
+    let top = defaultTop;
+    if (query.top !== undefined && query.top !== null) {
+      const topNum = Number(query.top);
+      if (isNaN(topNum) || topNum < 1) {
+        throw new InvalidRequestError('Top must be a positive integer');
+      }
+      if (topNum > maxTop) {
+        throw new InvalidRequestError(`Top cannot exceed ${maxTop}`);
+      }
+      top = Math.floor(topNum);
+    }
+
+    return {
+      interval,
+      from,
+      to,
+      top
+    };
+  }
+
+  /**
+   * Validate the qr field of POST /shorturls
+   * @param {any} qr - true for a QR code with the default options, or an object of options
+   * @returns {object} { qr }, the options from validateQrOptions or null when no QR code is wanted
+   */
+  static validateQrRequest(qr) {
+    if (qr === undefined || qr === null || qr === false) {
+      return {
+        qr: null
+      };
+    }
+
+    if (qr !== true && (typeof qr !== 'object' || Array.isArray(qr))) {
+      throw new InvalidRequestError('qr must be true or an object of QR code options');
+    }
+
+    return {
+      qr: this.validateQrOptions(qr === true ? {} : qr)
+    };
+  }
+
+  /**
+   * Validate QR code options, from the query string of GET /shorturls/:shortcode/qr
+   * or the qr field of POST /shorturls
+   * @param {object} options - { format, size, margin, errorCorrection, foreground, background }
+   * @returns {object} The options with defaults filled in; colours as #rrggbb or #rrggbbaa
+   */
+  static validateQrOptions(options = {}) {
+    const { formats, minSize, maxSize, maxMargin, errorCorrectionLevels } = config.qr;
+    const result = {
+      format: config.qr.defaultFormat,
+      size: config.qr.defaultSize,
+      margin: config.qr.defaultMargin,
+      errorCorrection: config.qr.defaultErrorCorrection,
+      foreground: config.qr.defaultForeground,
+      background: config.qr.defaultBackground
+    };
+
+    if (options.format !== undefined && options.format !== null) {
+      if (!formats.includes(options.format)) {
+        throw new InvalidRequestError(`Format must be one of: ${formats.join(', ')}`);
+      }
+      result.format = options.format;
+    }
+
+    if (options.size !== undefined && options.size !== null) {
+      const size = Number(options.size);
+      if (!Number.isInteger(size) || size < minSize || size > maxSize) {
+        throw new InvalidRequestError(`Size must be an integer from ${minSize} to ${maxSize}`);
+      }
+      result.size = size;
+    }
+
+    if (options.margin !== undefined && options.margin !== null) {
+      const margin = Number(options.margin);
+      if (!Number.isInteger(margin) || margin < 0 || margin > maxMargin) {
+        throw new InvalidRequestError(`Margin must be an integer from 0 to ${maxMargin}`);
+      }
+      result.margin = margin;
+    }
+
+    if (options.errorCorrection !== undefined && options.errorCorrection !== null) {
+      if (!errorCorrectionLevels.includes(options.errorCorrection)) {
+        throw new InvalidRequestError(`Error correction must be one of: ${errorCorrectionLevels.join(', ')}`);
+      }
+      result.errorCorrection = options.errorCorrection;
+    }
+
+    for (const field of ['foreground', 'background']) {
+      if (options[field] === undefined || options[field] === null) {
+        continue;
+      }
+      // "#" is optional, since it has to be escaped in a query string
+      const match = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(options[field]));
+      if (!match) {
+        throw new InvalidRequestError(`${field} must be a hex colour such as #000000 or #ffffff80`);
+      }
+      const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+      result[field] = `#${hex.toLowerCase()}`;
+    }
+
+    if (result.foreground === result.background) {
+      throw new InvalidRequestError('foreground and background must differ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate a blocklist or allowlist entry
+   * @param {object} body - { domain, list, reason }
+   * @returns {object} { domain, list, reason }, domain lower-cased without a trailing dot
+   */
+  static validateDomainRuleRequest(body = {}) {
+    const { domain, list, reason } = body;
+
+    if (!domain || typeof domain !== 'string') {
+      throw new InvalidRequestError('Domain is required and must be a string');
+    }
+
+    const normalizedDomain = domain.trim().toLowerCase().replace(/\.$/, '');
+    if (!validator.isFQDN(normalizedDomain, { allow_underscores: true })) {
+      throw new InvalidRequestError('Domain must be a hostname such as example.com, without protocol or path');
+    }
+
+    if (!['block', 'allow'].includes(list)) {
+      throw new InvalidRequestError('List must be block or allow');
+    }
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+      throw new InvalidRequestError('Reason must be a string of at most 200 characters');
+    }
+
+    return {
+      domain: normalizedDomain,
+      list,
+      reason: reason ? reason.trim() : null
+    };
+  }
+
+  /**
+   * Validate the short-link domain of a link, from the domain field of POST /shorturls
+   * or the domain query parameter of the link endpoints
+   * @param {any} domain - Hostname of a registered domain
+   * @returns {object} { domain } lower-cased, null when not provided or the service's own host
+   */
+  static validateLinkDomain(domain) {
+    if (domain === undefined || domain === null || domain === '') {
+      return {
+        domain: null
+      };
+    }
+
+    if (typeof domain !== 'string') {
+      throw new InvalidRequestError('Domain must be a string');
+    }
+
+    const normalizedDomain = domain.trim().toLowerCase().replace(/\.$/, '');
+    if (normalizedDomain === config.baseHostname) {
+      return {
+        domain: null
+      };
+    }
+
+    if (!validator.isFQDN(normalizedDomain)) {
+      throw new InvalidRequestError('Domain must be a hostname such as go.example.com, without protocol or path');
+    }
+
+    return {
+      domain: normalizedDomain
+    };
+  }
+
+  /**
+   * Validate the optional 404 fallback of a short-link domain
+   * @param {any} notFoundUrl - URL with protocol
+   * @returns {object} { notFoundUrl }, null when not provided
+   */
+  static validateNotFoundUrl(notFoundUrl) {
+    if (notFoundUrl === undefined || notFoundUrl === null || notFoundUrl === '') {
+      return {
+        notFoundUrl: null
+      };
+    }
+
+    return {
+      notFoundUrl: withContext('notFoundUrl', () => this.validateUrl(notFoundUrl)).url
+    };
+  }
+
+  /**
+   * Validate the optional default validity of a short-link domain
+   * @param {any} defaultValidityMinutes - Minutes
+   * @returns {object} { defaultValidityMinutes }, null when not provided
+   */
+  static validateDefaultValidity(defaultValidityMinutes) {
+    if (defaultValidityMinutes === undefined || defaultValidityMinutes === null) {
+      return {
+        defaultValidityMinutes: null
+      };
+    }
+
+    return {
+      defaultValidityMinutes: withContext(
+        'defaultValidityMinutes',
+        () => this.validateValidity(defaultValidityMinutes)
+      ).validity
+    };
+  }
+
+  /**
+   * Validate the registration of a short-link domain
+   * @param {object} body - { hostname, notFoundUrl, defaultValidityMinutes }
+   * @returns {object} { hostname, notFoundUrl, defaultValidityMinutes } normalised
+   */
+  static validateDomainRequest(body = {}) {
+    const { hostname, notFoundUrl, defaultValidityMinutes } = body;
+
+    if (!hostname || typeof hostname !== 'string') {
+      throw new InvalidRequestError('Hostname is required and must be a string');
+    }
+
+    const domainValidation = this.validateLinkDomain(hostname);
+    if (!domainValidation.domain) {
+      throw new InvalidRequestError('The service\'s own host is always available and cannot be registered');
+    }
+
+    return {
+      hostname: domainValidation.domain,
+      notFoundUrl: this.validateNotFoundUrl(notFoundUrl).notFoundUrl,
+      defaultValidityMinutes: this.validateDefaultValidity(defaultValidityMinutes).defaultValidityMinutes
+    };
+  }
+
+  /**
+   * Validate changes to a short-link domain. The hostname cannot change, since
+   * links refer to it.
+   * @param {object} body - notFoundUrl and/or defaultValidityMinutes, null removing them
+   * @returns {object} { changes } with the fields that were sent
+   */
+  static validateDomainUpdate(body = {}) {
+    const { notFoundUrl, defaultValidityMinutes } = body;
+    const changes = {};
+
+    if (body.hostname !== undefined) {
+      throw new InvalidRequestError('The hostname of a domain cannot be changed');
+    }
+
+    if (notFoundUrl !== undefined) {
+      changes.notFoundUrl = this.validateNotFoundUrl(notFoundUrl).notFoundUrl;
+    }
+
+    if (defaultValidityMinutes !== undefined) {
+      changes.defaultValidityMinutes = this.validateDefaultValidity(defaultValidityMinutes).defaultValidityMinutes;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new InvalidRequestError('At least one of notFoundUrl and defaultValidityMinutes is required');
+    }
+
+    return {
+      changes
+    };
+  }
+
+  /**
+   * Validate a request to issue an API key
+   * @param {object} body - Request body with owner, name and isAdmin
+   * @returns {object} { owner, name, isAdmin } normalised
+   */
+  static validateApiKeyRequest(body = {}) {
+    const { owner, name, isAdmin } = body;
+
+    if (!owner || typeof owner !== 'string' || !owner.trim()) {
+      throw new InvalidRequestError('Owner is required and must be a non-empty string');
+    }
+
+    if (owner.trim().length > 100) {
+      throw new InvalidRequestError('Owner cannot exceed 100 characters');
+    }
+
+    if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > 100)) {
+      throw new InvalidRequestError('Name must be a string of at most 100 characters');
+    }
+
+    if (isAdmin !== undefined && typeof isAdmin !== 'boolean') {
+      throw new InvalidRequestError('isAdmin must be a boolean');
+    }
+
     return {
-      isValid: true,
-      ...result
+      owner: owner.trim(),
+      name: name ? name.trim() : null,
+      isAdmin: isAdmin === true
     };
   }
 
@@ -0,0 +1,96 @@
+const Click = require('../src/models/Click');
+const analyticsService = require('../src/services/analyticsService');
+const ValidationService = require('../src/utils/validation');
+const { InvalidRequestError } = require('../src/utils/errors');
+
+const facets = (fields = {}) => ({
+  totals: [],
+  timeseries: [],
+  countries: [],
+  referrers: [],
+  browsers: [],
+  operatingSystems: [],
+  devices: [],
+  sources: [],
+  variants: [],
+  ...fields
+});
+
+describe('analyticsService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('truncates dates to UTC hours, days and ISO weeks', () => {
+    // A Sunday
+    const date = new Date('2024-03-10T15:42:10.500Z');
+
+    expect(analyticsService.truncate(date, 'hour').toISOString()).toBe('2024-03-10T15:00:00.000Z');
+    expect(analyticsService.truncate(date, 'day').toISOString()).toBe('2024-03-10T00:00:00.000Z');
+    expect(analyticsService.truncate(date, 'week').toISOString()).toBe('2024-03-04T00:00:00.000Z');
+  });
+
+  test('fills the time series with empty buckets and reports variant shares', async() => {
+    const aggregate = jest.spyOn(Click, 'aggregate').mockResolvedValue([facets({
+      totals: [{ _id: null, clicks: 4, uniqueVisitors: 3 }],
+      timeseries: [{ _id: new Date('2024-03-02T00:00:00.000Z'), clicks: 4, uniqueVisitors: 3 }],
+      countries: [{ value: 'DE', clicks: 3 }, { value: 'unknown', clicks: 1 }],
+      variants: [{ variant: 'a', clicks: 1, uniqueVisitors: 1 }, { variant: 'b', clicks: 2, uniqueVisitors: 2 }]
+    })]);
+
+    const from = new Date('2024-03-01T12:00:00.000Z');
+    const to = new Date('2024-03-03T12:00:00.000Z');
+    const options = { interval: 'day', from, to, top: 5 };
+    const result = await analyticsService.getAnalytics('abc123', options, 'go.example.com');
+
+    expect(aggregate.mock.calls[0][0][0].$match).toEqual({
+      shortcode: 'abc123',
+      domain: 'go.example.com',
+      ts: { $gte: from, $lte: to }
+    });
+    expect(result).toMatchObject({ totalClicks: 4, uniqueVisitors: 3, countries: [{ value: 'DE', clicks: 3 }, {}] });
+    expect(result.timeseries).toEqual([
+      { bucket: '2024-03-01T00:00:00.000Z', clicks: 0, uniqueVisitors: 0 },
+      { bucket: '2024-03-02T00:00:00.000Z', clicks: 4, uniqueVisitors: 3 },
+      { bucket: '2024-03-03T00:00:00.000Z', clicks: 0, uniqueVisitors: 0 }
+    ]);
+    expect(result.variants.map(variant => variant.share)).toEqual([33.33, 66.67]);
+  });
+
+  test('reports zero totals for a range without clicks', async() => {
+    jest.spyOn(Click, 'aggregate').mockResolvedValue([facets()]);
+
+    const from = new Date('2024-03-01T10:30:00.000Z');
+    const to = new Date('2024-03-01T12:00:00.000Z');
+    const result = await analyticsService.getAnalytics('abc123', { interval: 'hour', from, to, top: 5 });
+
+    expect(result).toMatchObject({ totalClicks: 0, uniqueVisitors: 0, variants: [] });
+    expect(result.timeseries.map(entry => entry.bucket)).toEqual([
+      '2024-03-01T10:00:00.000Z',
+      '2024-03-01T11:00:00.000Z',
+      '2024-03-01T12:00:00.000Z'
+    ]);
+  });
+
+  describe('validateAnalyticsQuery', () => {
+    test('defaults to daily buckets over the last week', () => {
+      const { interval, from, to, top } = ValidationService.validateAnalyticsQuery({});
+
+      expect(interval).toBe('day');
+      expect(to - from).toBe(7 * 24 * 60 * 60 * 1000);
+      expect(top).toBe(10);
+    });
+
+    test.each([
+      [{ interval: 'minute' }, /Interval must be one of/],
+      [{ from: 'yesterday' }, /From must be a valid/],
+      [{ from: '2024-03-02', to: '2024-03-01' }, /From must be before to/],
+      [{ interval: 'hour', from: '2020-01-01', to: '2024-01-01' }, /Range is too large/],
+      [{ top: 0 }, /Top must be a positive integer/],
+      [{ top: 101 }, /Top cannot exceed 100/]
+    ])('rejects %j', (query, message) => {
+      expect(() => ValidationService.validateAnalyticsQuery(query)).toThrow(InvalidRequestError);
+      expect(() => ValidationService.validateAnalyticsQuery(query)).toThrow(message);
+    });
+  });
+});
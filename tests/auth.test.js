@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const ApiKey = require('../src/models/ApiKey');
+const apiKeyService = require('../src/services/apiKeyService');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const ADMIN_KEY = 'test-admin-key';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('API keys and link ownership', () => {
+  let apiKeys;
+
+  const issue = async(owner, isAdmin = false) => {
+    const { body } = await request(app)
+      .post('/admin/apikeys')
+      .set(config.auth.header, ADMIN_KEY)
+      .send({ owner, isAdmin })
+      .expect(201);
+    return body;
+  };
+
+  const stats = (shortcode, key) => {
+    const req = request(app).get(`/shorturls/${shortcode}`);
+    return key ? req.set(config.auth.header, key) : req;
+  };
+
+  beforeAll(() => {
+    config.auth.adminKey = ADMIN_KEY;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    apiKeys = fakeModel(ApiKey);
+    fakeModel(Click);
+    fakeModel(Url, [{
+      _id: new mongoose.Types.ObjectId(),
+      shortcode: 'alices',
+      domain: null,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date(),
+      expiryAt: new Date(Date.now() + HOUR_MS),
+      clickCount: 0,
+      owner: 'alice'
+    }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues keys that are stored only as a hash', async() => {
+    const issued = await issue('alice');
+
+    expect(issued.key).toMatch(/^usk_[0-9a-f]{48}$/);
+    expect(issued).toMatchObject({ owner: 'alice', isAdmin: false, prefix: issued.key.slice(0, 12) });
+    expect(issued.keyHash).toBeUndefined();
+    expect(apiKeys.docs[0].keyHash).toBe(apiKeyService.hashKey(issued.key));
+    expect(JSON.stringify(apiKeys.docs)).not.toContain(issued.key);
+  });
+
+  test('lets owners and admins read a link and refuses everyone else', async() => {
+    const alice = await issue('alice');
+    const bob = await issue('bob');
+    const admin = await issue('ops', true);
+
+    await stats('alices', alice.key).expect(200);
+    await stats('alices', admin.key).expect(200);
+    await stats('alices', ADMIN_KEY).expect(200);
+
+    const { body } = await stats('alices', bob.key).expect(403);
+    expect(body.code).toBe('FORBIDDEN');
+
+    await stats('alices').expect(401);
+    await stats('alices', 'usk_unknown').expect(401);
+  });
+
+  test('records when a key was last used', async() => {
+    const alice = await issue('alice');
+
+    await stats('alices', alice.key).expect(200);
+
+    expect(apiKeys.docs[0].lastUsedAt).toBeInstanceOf(Date);
+  });
+
+  test('refuses revoked keys', async() => {
+    const alice = await issue('alice');
+
+    await request(app)
+      .delete(`/admin/apikeys/${alice.id}`)
+      .set(config.auth.header, ADMIN_KEY)
+      .expect(200);
+
+    expect(apiKeys.docs[0].revokedAt).toBeInstanceOf(Date);
+    await stats('alices', alice.key).expect(401);
+  });
+
+  test('keeps the admin API to admin keys', async() => {
+    const alice = await issue('alice');
+
+    await request(app).get('/admin/apikeys').set(config.auth.header, alice.key).expect(403);
+    await request(app).get('/admin/apikeys').expect(401);
+  });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const Domain = require('../src/models/Domain');
+const DomainRule = require('../src/models/DomainRule');
+const domainService = require('../src/services/domainService');
+const screeningService = require('../src/services/screeningService');
+const { parseCsvItems } = require('../src/middleware/bulkUpload');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('bulk short URL creation', () => {
+  let urls;
+
+  const bulk = () => request(app)
+    .post('/shorturls/bulk')
+    .set(config.auth.header, ADMIN_KEY);
+
+  beforeAll(() => {
+    config.auth.adminKey = ADMIN_KEY;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    urls = fakeModel(Url);
+    fakeModel(Domain);
+    fakeModel(DomainRule);
+    domainService.domains = null;
+    screeningService.lists = null;
+    jest.spyOn(screeningService, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCsvItems', () => {
+    test('maps columns case-insensitively and leaves empty cells out', () => {
+      const csv = '\uFEFFURL, Shortcode ,maxClicks,Preview\n' +
+        '"https://example.com/a,b",camp01,,\n' +
+        '\n' +
+        'https://example.com/c,,5,true\n';
+
+      expect(parseCsvItems(csv)).toEqual([
+        {
+          url: 'https://example.com/a,b',
+          validity: undefined,
+          shortcode: 'camp01',
+          domain: undefined,
+          password: undefined,
+          maxClicks: undefined,
+          preview: undefined
+        },
+        {
+          url: 'https://example.com/c',
+          validity: undefined,
+          shortcode: undefined,
+          domain: undefined,
+          password: undefined,
+          maxClicks: '5',
+          preview: 'true'
+        }
+      ]);
+    });
+
+    test('throws on rows with more cells than the header', () => {
+      expect(() => parseCsvItems('url\nhttps://example.com/,extra\n')).toThrow();
+    });
+  });
+
+  test('creates every item of a JSON array', async() => {
+    const { body } = await bulk()
+      .send([{ url: 'https://example.com/1' }, { url: 'https://example.com/2', shortcode: 'second' }])
+      .expect(201);
+
+    expect(body).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+    expect(body.results[1]).toMatchObject({ index: 1, status: 201, shortcode: 'second' });
+    expect(urls.docs.map(doc => doc.originalUrl)).toEqual(['https://example.com/1', 'https://example.com/2']);
+  });
+
+  test('reports each failed item with its own status and code', async() => {
+    const { body } = await bulk()
+      .send({
+        urls: [
+          { url: 'https://example.com/1', shortcode: 'dupe01' },
+          { url: 'https://example.com/2', shortcode: 'dupe01' },
+          { url: 'not a url' },
+          'https://example.com/3'
+        ]
+      })
+      .expect(207);
+
+    expect(body).toMatchObject({ total: 4, succeeded: 1, failed: 3 });
+    expect(body.results.map(({ status, code }) => [status, code])).toEqual([
+      [201, undefined],
+      [409, 'SHORTCODE_TAKEN'],
+      [400, 'INVALID_URL'],
+      [400, 'INVALID_REQUEST']
+    ]);
+    expect(urls.docs).toHaveLength(1);
+  });
+
+  test('accepts a CSV body', async() => {
+    const { body } = await bulk()
+      .set('Content-Type', 'text/csv')
+      .send('url,validity,maxClicks\nhttps://example.com/1,60,3\nhttps://example.com/2,,\n')
+      .expect(201);
+
+    expect(body.succeeded).toBe(2);
+    expect(urls.docs.map(doc => doc.maxClicks)).toEqual([3, null]);
+  });
+
+  test('accepts a CSV file upload', async() => {
+    const { body } = await bulk()
+      .attach('file', Buffer.from('url\nhttps://example.com/upload\n'), 'links.csv')
+      .expect(201);
+
+    expect(body.results[0]).toMatchObject({ status: 201 });
+    expect(urls.docs[0].originalUrl).toBe('https://example.com/upload');
+  });
+
+  test.each([
+    ['an unreadable CSV', 'text/csv', 'url\n"https://example.com/\n', /Invalid CSV/],
+    ['a CSV without rows', 'text/csv', 'url\n', /At least one item/],
+    ['a JSON object without urls', 'application/json', '{"items":[]}', /must contain an array/]
+  ])('rejects %s', async(name, type, payload, message) => {
+    const { body } = await bulk().set('Content-Type', type).send(payload).expect(400);
+
+    expect(body.code).toBe('INVALID_REQUEST');
+    expect(body.detail).toMatch(message);
+    expect(urls.docs).toHaveLength(0);
+  });
+
+  test('rejects more than maxItems items', async() => {
+    const items = Array.from({ length: config.bulk.maxItems + 1 }, (item, index) => ({
+      url: `https://example.com/${index}`
+    }));
+
+    const { body } = await bulk().send(items).expect(400);
+
+    expect(body.detail).toMatch(/more than 1000 items/);
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const urlService = require('../src/services/urlService');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const CHROME_ON_ANDROID = 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 ' +
+  '(KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36';
+
+describe('Click', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('describe derives the analytics fields from the raw click', () => {
+    const described = Click.describe({
+      shortcode: 'abc123',
+      ip: '203.0.113.7',
+      referrer: 'https://www.News.example.org/story?id=1',
+      userAgent: CHROME_ON_ANDROID
+    });
+
+    expect(described).toMatchObject({
+      shortcode: 'abc123',
+      referrerDomain: 'news.example.org',
+      browser: 'Chrome',
+      os: 'Android',
+      device: 'mobile'
+    });
+    expect(described.ipHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(described.ipHash).not.toContain('203.0.113.7');
+  });
+
+  test('describe leaves the derived fields empty without referrer or user agent', () => {
+    expect(Click.describe({ shortcode: 'abc123', ip: '203.0.113.7' })).toMatchObject({
+      referrerDomain: null,
+      browser: null,
+      os: null,
+      device: null
+    });
+  });
+
+  test('fills in the derived fields when a new click is validated', async() => {
+    const click = new Click({ shortcode: 'abc123', ip: '203.0.113.7', referrer: 'not a url', userAgent: 'curl/8.0' });
+
+    await click.validate();
+
+    expect(click.ipHash).toBe(Click.describe({ ip: '203.0.113.7' }).ipHash);
+    expect(click.referrerDomain).toBeNull();
+    expect(click.device).toBe('desktop');
+  });
+
+  test('the stats of a link page through its clicks in the Click collection', async() => {
+    fakeModel(Click, [1, 2, 3].map(minute => ({
+      shortcode: 'abc123',
+      domain: null,
+      ts: new Date(Date.UTC(2024, 0, 1, 0, minute)),
+      ip: `203.0.113.${minute}`
+    })).concat({ shortcode: 'abc123', domain: 'go.example.com', ts: new Date(), ip: '198.51.100.1' }));
+
+    const urlDoc = Url.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      shortcode: 'abc123',
+      domain: null,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date(),
+      expiryAt: new Date(Date.now() + HOUR_MS),
+      clickCount: 3
+    });
+
+    const firstPage = await urlService.getStats(urlDoc, 1, 2);
+    const secondPage = await urlService.getStats(urlDoc, 2, 2);
+
+    expect(firstPage.totalClicks).toBe(3);
+    expect(firstPage.clicks.map(click => click.ip)).toEqual(['203.0.113.1', '203.0.113.2']);
+    expect(secondPage.clicks.map(click => click.ip)).toEqual(['203.0.113.3']);
+  });
+});
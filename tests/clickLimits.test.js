@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const Domain = require('../src/models/Domain');
+const clickWriter = require('../src/services/clickWriter');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('click limits', () => {
+  let urls;
+  let clicks;
+  let sequence = 0;
+
+  // A shortcode of its own per test, so no test sees a link cached by another
+  const createLink = (fields = {}) => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      shortcode: `limited${++sequence}`,
+      domain: null,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date(),
+      expiryAt: new Date(Date.now() + HOUR_MS),
+      clickCount: 0,
+      maxClicks: 1,
+      ...fields
+    };
+    urls.docs.push(doc);
+    return doc;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    urls = fakeModel(Url);
+    clicks = fakeModel(Click);
+    fakeModel(Domain);
+    clickWriter.queue = new MemoryClickQueue();
+    clickWriter.retryAttempt = 0;
+    clickWriter.retryAt = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a one-time link redirects once and then answers 410', async() => {
+    const link = createLink();
+
+    await request(app).get(`/${link.shortcode}`).expect(302);
+    const { body } = await request(app).get(`/${link.shortcode}`).expect(410);
+
+    expect(body.code).toBe('CLICK_LIMIT_REACHED');
+    expect(link.clickCount).toBe(1);
+  });
+
+  test('concurrent visits never use more clicks than the limit', async() => {
+    const link = createLink({ maxClicks: 3 });
+    const urlDoc = Url.hydrate({ ...link });
+
+    const claims = await Promise.all(Array.from({ length: 5 }, () => urlDoc.claimClick()));
+
+    expect(claims.filter(Boolean)).toHaveLength(3);
+    expect(link.clickCount).toBe(3);
+  });
+
+  test('the click writer stores claimed clicks without counting them again', async() => {
+    const link = createLink({ maxClicks: 2 });
+
+    await request(app).get(`/${link.shortcode}`).expect(302);
+    await clickWriter.flush();
+
+    expect(link.clickCount).toBe(1);
+    expect(clicks.docs.map(doc => doc.shortcode)).toEqual([link.shortcode]);
+  });
+
+  test('preview pages do not use up clicks', async() => {
+    const link = createLink({ preview: true });
+
+    await request(app).get(`/${link.shortcode}`).expect(200);
+    await request(app).post(`/${link.shortcode}`).type('form').send({}).expect(303);
+
+    expect(link).toMatchObject({ clickCount: 1, previewCount: 1 });
+  });
+
+  test('links without a limit are counted by the click writer only', async() => {
+    const link = createLink({ maxClicks: null });
+
+    await request(app).get(`/${link.shortcode}`).expect(302);
+    await request(app).get(`/${link.shortcode}`).expect(302);
+    expect(link.clickCount).toBe(0);
+
+    await clickWriter.flush();
+    expect(link.clickCount).toBe(2);
+  });
+
+  test('reports the remaining clicks', () => {
+    expect(Url.hydrate(createLink({ maxClicks: 5, clickCount: 2 })).getRemainingClicks()).toBe(3);
+    expect(Url.hydrate(createLink({ maxClicks: 5, clickCount: 7 })).getRemainingClicks()).toBe(0);
+    expect(Url.hydrate(createLink({ maxClicks: null })).getRemainingClicks()).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileClickQueue } = require('../src/services/clickQueueStores');
+
+describe('FileClickQueue', () => {
+  let dir;
+  let filePath;
+  let queues;
+
+  const open = async(compactAfter = 1000) => {
+    const queue = new FileClickQueue({ path: filePath, compactAfter });
+    queues.push(queue);
+    await queue.load();
+    return queue;
+  };
+
+  const fileLines = () => fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const event = id => ({ shortcode: `code${id}`, ip: '203.0.113.7' });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'click-queue-'));
+    // The directory is created on load
+    filePath = path.join(dir, 'queue', 'clicks.jsonl');
+    queues = [];
+  });
+
+  afterEach(async() => {
+    for (const queue of queues) {
+      await queue.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('recovers the events still queued when the process stopped', async() => {
+    const queue = await open();
+    [1, 2, 3].forEach(id => queue.push(event(id)));
+    queue.remove(1);
+    await queue.assignBatch(1, 'batch-a');
+    await queue.close();
+
+    const restarted = await open();
+
+    expect(restarted.size()).toBe(2);
+    expect(restarted.peek(2)).toEqual([{ ...event(2), batch: 'batch-a' }, event(3)]);
+  });
+
+  test('starts from a file holding only the queued events', async() => {
+    const queue = await open();
+    [1, 2, 3].forEach(id => queue.push(event(id)));
+    queue.remove(2);
+    await queue.close();
+
+    await open();
+
+    expect(fileLines()).toEqual([event(3)]);
+  });
+
+  test('skips a line cut short by a crash', async() => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, `${JSON.stringify(event(1))}\n{"shortcode":"co`);
+
+    const queue = await open();
+
+    expect(queue.peek(10)).toEqual([event(1)]);
+    expect(console.warn).toHaveBeenCalledWith('[FileClickQueue] Skipping unreadable line in', filePath);
+  });
+
+  test('rewrites the file after compactAfter removals without losing events pushed meanwhile', async() => {
+    const queue = await open(2);
+    [1, 2, 3].forEach(id => queue.push(event(id)));
+
+    queue.remove(2);
+    // Appended while the file is rewritten
+    queue.push(event(4));
+    queue.push(event(5));
+    queue.remove(1);
+    await queue.close();
+
+    expect(fileLines()).toEqual([event(3), event(4), event(5), { removed: 1 }]);
+
+    const restarted = await open();
+    expect(restarted.peek(10)).toEqual([event(4), event(5)]);
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const clickWriter = require('../src/services/clickWriter');
+const { MemoryClickQueue, FileClickQueue } = require('../src/services/clickQueueStores');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const click = (shortcode, domain = null) => ({ shortcode, domain, ts: new Date(), ip: '203.0.113.7' });
+
+describe('clickWriter', () => {
+  let urls;
+  let clicks;
+  let queueDir;
+
+  // Of the links on the default domain
+  const clickCounts = () => Object.fromEntries(urls.docs
+    .filter(doc => doc.domain === null)
+    .map(doc => [doc.shortcode, doc.clickCount]));
+
+  // Apply the first increment of the next bulk write, then lose the connection
+  const failBulkWriteAfterFirst = () => {
+    Url.bulkWrite.mockImplementationOnce(async([{ updateOne }]) => {
+      await Url.updateOne(updateOne.filter, updateOne.update);
+      throw new Error('connection reset');
+    });
+  };
+
+  const useQueue = async(queue) => {
+    await queue.load();
+    clickWriter.queue = queue;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    urls = fakeModel(Url, [
+      { shortcode: 'alpha1', domain: null, clickCount: 0 },
+      { shortcode: 'beta22', domain: null, clickCount: 0 },
+      { shortcode: 'alpha1', domain: 'go.example.com', clickCount: 0 }
+    ]);
+    clicks = fakeModel(Click);
+
+    queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'click-queue-'));
+    clickWriter.queue = new MemoryClickQueue();
+    clickWriter.retryAttempt = 0;
+    clickWriter.retryAt = 0;
+  });
+
+  afterEach(async() => {
+    await clickWriter.queue.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('stores queued clicks and counts them per link and domain', async() => {
+    clickWriter.enqueue(click('alpha1'));
+    clickWriter.enqueue(click('alpha1'));
+    clickWriter.enqueue(click('alpha1', 'go.example.com'));
+    clickWriter.enqueue(click('beta22'), { counted: true });
+
+    await clickWriter.flush();
+
+    expect(clicks.docs).toHaveLength(4);
+    expect(urls.docs.map(doc => doc.clickCount)).toEqual([2, 0, 1]);
+    expect(clickWriter.queue.size()).toBe(0);
+  });
+
+  test('counts clicks by link id when the link was recorded', async() => {
+    const [alpha, beta] = urls.docs;
+    clickWriter.enqueue(click('alpha1'), { urlId: alpha._id });
+    clickWriter.enqueue(click('beta22'), { urlId: beta._id });
+    clickWriter.enqueue(click('gone99'), { urlId: new mongoose.Types.ObjectId() });
+
+    await clickWriter.flush();
+
+    expect(clickCounts()).toMatchObject({ alpha1: 1, beta22: 1 });
+    expect(clicks.docs.map(doc => doc.shortcode)).toEqual(['alpha1', 'beta22']);
+    expect(clickWriter.queue.size()).toBe(0);
+  });
+
+  test('counts each click once when a batch is retried after a partial failure', async() => {
+    clickWriter.enqueue(click('alpha1'));
+    clickWriter.enqueue(click('alpha1'));
+    clickWriter.enqueue(click('beta22'));
+
+    failBulkWriteAfterFirst();
+    await clickWriter.flush();
+
+    expect(clickWriter.queue.size()).toBe(3);
+    expect(clickWriter.getMetrics().retryAttempt).toBe(1);
+    expect(clickCounts()).toMatchObject({ alpha1: 2, beta22: 0 });
+
+    await clickWriter.flush({ force: true });
+
+    expect(clickWriter.queue.size()).toBe(0);
+    expect(clicks.docs).toHaveLength(3);
+    expect(clickCounts()).toMatchObject({ alpha1: 2, beta22: 1 });
+
+    // Later batches get a new id and are counted
+    clickWriter.enqueue(click('alpha1'));
+    await clickWriter.flush();
+
+    expect(clickCounts()).toMatchObject({ alpha1: 3, beta22: 1 });
+  });
+
+  test('retries a partly written batch only once after a restart with the file queue', async() => {
+    const queueConfig = { path: path.join(queueDir, 'clicks.jsonl'), compactAfter: 10000 };
+    await useQueue(new FileClickQueue(queueConfig));
+
+    clickWriter.enqueue(click('alpha1'));
+    clickWriter.enqueue(click('alpha1'));
+    clickWriter.enqueue(click('beta22'));
+
+    failBulkWriteAfterFirst();
+    await clickWriter.flush();
+    expect(clickCounts()).toMatchObject({ alpha1: 2, beta22: 0 });
+
+    // Clicks queued after the failure are not part of the failed batch
+    clickWriter.enqueue(click('beta22'));
+    await clickWriter.queue.close();
+
+    await useQueue(new FileClickQueue(queueConfig));
+    expect(clickWriter.queue.size()).toBe(4);
+
+    await clickWriter.flush({ force: true });
+    expect(clickCounts()).toMatchObject({ alpha1: 2, beta22: 1 });
+    expect(clickWriter.queue.size()).toBe(1);
+
+    await clickWriter.flush();
+    expect(clickCounts()).toMatchObject({ alpha1: 2, beta22: 2 });
+    expect(clickWriter.queue.size()).toBe(0);
+    expect(clicks.docs).toHaveLength(4);
+  });
+
+  test('drops a batch after maxRetries failed attempts', async() => {
+    Url.bulkWrite.mockRejectedValue(new Error('connection reset'));
+    clickWriter.enqueue(click('alpha1'));
+
+    for (let attempt = 0; attempt <= clickWriter.maxRetries; attempt++) {
+      await clickWriter.flush({ force: true });
+    }
+
+    expect(clickWriter.queue.size()).toBe(0);
+    expect(clickWriter.getMetrics().retryAttempt).toBe(0);
+  });
+});
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const Domain = require('../src/models/Domain');
+const DomainRule = require('../src/models/DomainRule');
+const clickWriter = require('../src/services/clickWriter');
+const domainService = require('../src/services/domainService');
+const screeningService = require('../src/services/screeningService');
+const urlService = require('../src/services/urlService');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const ValidationService = require('../src/utils/validation');
+const {
+  ConflictError,
+  InvalidRequestError,
+  ShortcodeTakenError,
+  UnknownDomainError
+} = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('short-link domains', () => {
+  let urls;
+  let domains;
+
+  const domain = (hostname, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    hostname,
+    notFoundUrl: null,
+    defaultValidityMinutes: null,
+    createdAt: new Date(),
+    ...fields
+  });
+
+  const link = (shortcode, linkDomain, originalUrl) => ({
+    _id: new mongoose.Types.ObjectId(),
+    shortcode,
+    domain: linkDomain,
+    originalUrl,
+    createdAt: new Date(),
+    expiryAt: new Date(Date.now() + HOUR_MS),
+    clickCount: 0
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    urls = fakeModel(Url, [
+      link('promo1', null, 'https://example.com/default'),
+      link('promo1', 'go.example.com', 'https://example.com/branded')
+    ]);
+    domains = fakeModel(Domain, [
+      domain('go.example.com', { notFoundUrl: 'https://example.com/missing', defaultValidityMinutes: 1440 }),
+      domain('links.example.org')
+    ]);
+    fakeModel(DomainRule);
+    domainService.domains = null;
+    screeningService.lists = null;
+    jest.spyOn(screeningService, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    clickWriter.queue = new MemoryClickQueue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validation', () => {
+    test('normalises the domain of a link and maps the own host to the default domain', () => {
+      expect(ValidationService.validateLinkDomain(' Go.Example.com. ')).toEqual({ domain: 'go.example.com' });
+      expect(ValidationService.validateLinkDomain(config.baseHostname)).toEqual({ domain: null });
+      expect(ValidationService.validateLinkDomain('')).toEqual({ domain: null });
+      expect(() => ValidationService.validateLinkDomain('https://go.example.com/')).toThrow(InvalidRequestError);
+      expect(() => ValidationService.validateLinkDomain(42)).toThrow('Domain must be a string');
+    });
+
+    test('checks the registration of a domain', () => {
+      expect(ValidationService.validateDomainRequest({ hostname: 'GO.example.net', defaultValidityMinutes: '90' }))
+        .toEqual({ hostname: 'go.example.net', notFoundUrl: null, defaultValidityMinutes: 90 });
+      expect(() => ValidationService.validateDomainRequest({ hostname: config.baseHostname }))
+        .toThrow('The service\'s own host is always available and cannot be registered');
+      expect(() => ValidationService.validateDomainRequest({ hostname: 'go.example.net', notFoundUrl: 'nowhere' }))
+        .toThrow(/^notFoundUrl: /);
+    });
+
+    test('never changes the hostname of a domain', () => {
+      expect(() => ValidationService.validateDomainUpdate({ hostname: 'other.example.com' }))
+        .toThrow('The hostname of a domain cannot be changed');
+      expect(() => ValidationService.validateDomainUpdate({})).toThrow(InvalidRequestError);
+      expect(ValidationService.validateDomainUpdate({ notFoundUrl: null }).changes).toEqual({ notFoundUrl: null });
+    });
+  });
+
+  describe('registry', () => {
+    test('resolves the domain of a new link', async() => {
+      expect(await domainService.resolveLinkDomain(null)).toBeNull();
+      expect((await domainService.resolveLinkDomain('go.example.com')).defaultValidityMinutes).toBe(1440);
+      await expect(domainService.resolveLinkDomain('unknown.example.com')).rejects.toThrow(UnknownDomainError);
+    });
+
+    test('keeps the registry loaded until a domain changes', async() => {
+      await domainService.findByHostname('go.example.com');
+      await domainService.findByHostname('links.example.org');
+      expect(Domain.find).toHaveBeenCalledTimes(1);
+
+      await domainService.addDomain({ hostname: 'new.example.net' }, { owner: 'admin' });
+
+      expect(await domainService.findByHostname('new.example.net')).toMatchObject({ createdBy: 'admin' });
+      expect(Domain.find).toHaveBeenCalledTimes(2);
+    });
+
+    test('removes only domains without links', async() => {
+      await expect(domainService.removeDomain(String(domains.docs[0]._id)))
+        .rejects.toThrow(new ConflictError('go.example.com still has 1 links; delete them first'));
+
+      expect(await domainService.removeDomain(String(domains.docs[1]._id))).toMatchObject({
+        hostname: 'links.example.org'
+      });
+      expect(domains.docs.map(entry => entry.hostname)).toEqual(['go.example.com']);
+      expect(await domainService.removeDomain('not-an-id')).toBeNull();
+    });
+  });
+
+  describe('links', () => {
+    test('are created on their domain with its default validity', async() => {
+      const { data } = await urlService.createShortUrl({ url: 'https://example.com/new', domain: 'go.example.com' });
+
+      expect(data.shortLink).toMatch(/^https:\/\/go\.example\.com\/[0-9A-Za-z]+$/);
+      expect(new Date(data.expiry).getTime() - Date.now()).toBeGreaterThan(1439 * 60 * 1000);
+    });
+
+    test('have shortcodes unique per domain', async() => {
+      const { data } = await urlService.createShortUrl({
+        url: 'https://example.com/other',
+        shortcode: 'promo1',
+        domain: 'links.example.org'
+      });
+      expect(data.shortLink).toBe('https://links.example.org/promo1');
+
+      const taken = { url: 'https://example.com/', shortcode: 'promo1', domain: 'go.example.com' };
+      await expect(urlService.createShortUrl(taken)).rejects.toThrow(ShortcodeTakenError);
+    });
+
+    test('cannot be created on an unregistered domain', async() => {
+      await expect(urlService.createShortUrl({ url: 'https://example.com/', domain: 'unknown.example.com' }))
+        .rejects.toThrow(UnknownDomainError);
+    });
+  });
+
+  describe('redirects', () => {
+    test('look the shortcode up on the domain named by the Host header', async() => {
+      const branded = await request(app).get('/promo1').set('Host', 'go.example.com').expect(302);
+      const own = await request(app).get('/promo1').expect(302);
+
+      expect(branded.headers.location).toBe('https://example.com/branded');
+      expect(own.headers.location).toBe('https://example.com/default');
+    });
+
+    test('serve unregistered hosts from the default domain', async() => {
+      const response = await request(app).get('/promo1').set('Host', 'other.example.net').expect(302);
+
+      expect(response.headers.location).toBe('https://example.com/default');
+    });
+
+    test('send unknown shortcodes to the fallback of their domain', async() => {
+      const response = await request(app).get('/nothing1').set('Host', 'go.example.com').expect(302);
+
+      expect(response.headers.location).toBe('https://example.com/missing');
+      await request(app).get('/nothing1').set('Host', 'links.example.org').expect(404);
+    });
+
+    test('do not serve a link on another domain', async() => {
+      urls.docs.push(link('branded2', 'go.example.com', 'https://example.com/branded'));
+
+      await request(app).get('/branded2').set('Host', 'links.example.org').expect(404);
+      await request(app).get('/branded2').expect(404);
+    });
+  });
+});
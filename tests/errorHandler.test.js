@@ -0,0 +1,131 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { AppError, ShortcodeTakenError } = require('../src/utils/errors');
+
+describe('error model', () => {
+  // An app whose only route fails with the given error
+  const failingApp = (error) => {
+    const failing = express();
+    failing.use((req, res, next) => {
+      req.id = 'req-1';
+      next();
+    });
+    failing.use(express.json({ limit: '20b' }));
+    failing.post('/fail', (req, res, next) => next(error));
+    failing.use(errorHandler);
+    return failing;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('answers unknown routes with a not found problem', async() => {
+    const response = await request(app)
+      .get('/nothing/here')
+      .set('X-Request-Id', 'trace-404')
+      .expect(404);
+
+    expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(response.body).toEqual({
+      type: 'urn:url-shortener:problem:not-found',
+      title: 'Not found',
+      status: 404,
+      detail: 'Route not found',
+      instance: '/nothing/here',
+      code: 'NOT_FOUND',
+      message: 'Route not found',
+      requestId: 'trace-404'
+    });
+  });
+
+  test('answers a malformed JSON body with an invalid request problem', async() => {
+    const { body } = await request(app)
+      .post('/shorturls')
+      .set('Content-Type', 'application/json')
+      .send('{"url": ')
+      .expect(400);
+
+    expect(body).toMatchObject({
+      status: 400,
+      code: 'INVALID_REQUEST',
+      type: 'urn:url-shortener:problem:invalid-request'
+    });
+    expect(body.requestId).toEqual(expect.any(String));
+  });
+
+  test('renders the code, title and extensions of application errors', async() => {
+    const error = new AppError('Try again in a minute', {
+      status: 429,
+      code: 'RATE_LIMITED',
+      title: 'Too many requests',
+      extensions: { retryAfter: 60 }
+    });
+
+    const { body } = await request(failingApp(error)).post('/fail').expect(429);
+
+    expect(body).toMatchObject({
+      type: 'urn:url-shortener:problem:rate-limited',
+      title: 'Too many requests',
+      detail: 'Try again in a minute',
+      code: 'RATE_LIMITED',
+      retryAfter: 60,
+      requestId: 'req-1'
+    });
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('keeps the code of errors thrown by the services', async() => {
+    const { body } = await request(failingApp(new ShortcodeTakenError('abc123'))).post('/fail').expect(409);
+
+    expect(body.code).toBe('SHORTCODE_TAKEN');
+  });
+
+  test('lists the fields of a mongoose validation error', async() => {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('originalUrl', new mongoose.Error.ValidatorError({ message: 'Original URL is required' }));
+
+    const { body } = await request(failingApp(error)).post('/fail').expect(400);
+
+    expect(body).toMatchObject({
+      code: 'INVALID_REQUEST',
+      detail: 'Validation error',
+      errors: [{ field: 'originalUrl', message: 'Original URL is required' }]
+    });
+  });
+
+  test('maps cast errors and duplicate keys', async() => {
+    const castError = new mongoose.Error.CastError('ObjectId', 'nope', '_id');
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+    expect((await request(failingApp(castError)).post('/fail').expect(400)).body.detail).toBe('Invalid data format');
+    expect((await request(failingApp(duplicate)).post('/fail').expect(409)).body.code).toBe('CONFLICT');
+  });
+
+  test('gives client errors of the body parser a code from their status', async() => {
+    const { body } = await request(failingApp(null))
+      .post('/fail')
+      .send({ url: 'https://example.com/a/long/path' })
+      .expect(413);
+
+    expect(body).toMatchObject({ status: 413, title: 'Payload Too Large', code: 'PAYLOAD_TOO_LARGE' });
+  });
+
+  test('hides the message of unexpected errors and logs them', async() => {
+    const error = new Error('connection string mongodb://user:secret@db');
+
+    const { body } = await request(failingApp(error)).post('/fail').expect(500);
+
+    expect(body).toMatchObject({ status: 500, code: 'INTERNAL_ERROR', detail: 'Internal server error' });
+    expect(JSON.stringify(body)).not.toContain('secret');
+    expect(console.error).toHaveBeenCalledWith('[ErrorHandler] [req-1] POST /fail failed:', error);
+  });
+});
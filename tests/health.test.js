@@ -0,0 +1,87 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const healthService = require('../src/services/healthService');
+const urlCache = require('../src/services/urlCache');
+
+describe('health probes', () => {
+  let ping;
+
+  // Pretend to be connected to MongoDB, answering pings with the ping mock
+  const connectMongo = () => {
+    Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+    Object.defineProperty(mongoose.connection, 'db', { value: { admin: () => ({ ping }) }, configurable: true });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ping = jest.fn().mockResolvedValue({ ok: 1 });
+  });
+
+  afterEach(() => {
+    delete mongoose.connection.readyState;
+    delete mongoose.connection.db;
+    jest.restoreAllMocks();
+  });
+
+  test('the liveness probe answers without checking dependencies', async() => {
+    const { body } = await request(app).get('/health/live').expect(200);
+
+    expect(body.status).toBe('OK');
+  });
+
+  test('is not ready while MongoDB is disconnected', async() => {
+    const { body } = await request(app).get('/health/ready').expect(503);
+
+    expect(body.status).toBe('not_ready');
+    expect(body.checks.mongodb).toMatchObject({ status: 'down', required: true, error: 'connection is disconnected' });
+    expect(body.checks.cache).toMatchObject({ status: 'up', required: false, driver: 'memory' });
+    expect(body.checks.loggingClient).toMatchObject({ status: 'disabled', required: false });
+  });
+
+  test('is ready once MongoDB answers a ping', async() => {
+    connectMongo();
+
+    const { body } = await request(app).get('/health/ready').expect(200);
+
+    expect(body.status).toBe('ready');
+    expect(body.checks.mongodb).toMatchObject({ status: 'up', state: 'connected' });
+    expect(body.checks.mongodb.latencyMs).toEqual(expect.any(Number));
+    expect(ping).toHaveBeenCalledTimes(1);
+  });
+
+  test('is not ready when the MongoDB ping does not answer in time', async() => {
+    connectMongo();
+    ping.mockReturnValue(new Promise(() => {}));
+    jest.replaceProperty(config.health, 'mongoTimeoutMs', 20);
+
+    const { body } = await request(app).get('/health/ready').expect(503);
+
+    expect(body.checks.mongodb).toMatchObject({ status: 'down', error: 'timed out after 20ms' });
+  });
+
+  test('stays ready when only optional dependencies are down', async() => {
+    connectMongo();
+    jest.spyOn(urlCache.store, 'ping').mockRejectedValue(new Error('Redis is not connected'));
+
+    const { body } = await request(app).get('/health/ready').expect(200);
+
+    expect(body.checks.cache).toMatchObject({ status: 'down', error: 'Redis is not connected' });
+  });
+
+  test('follows the connections of the MongoDB pool', () => {
+    const client = new EventEmitter();
+    client.options = { maxPoolSize: 10 };
+    jest.spyOn(mongoose.connection, 'getClient').mockReturnValue(client);
+
+    healthService.watchMongoPool();
+    // Watching the same client twice must not count its events twice
+    healthService.watchMongoPool();
+    ['connectionCreated', 'connectionCreated', 'connectionCheckedOut', 'connectionClosed']
+      .forEach(event => client.emit(event));
+
+    expect(healthService.pool).toEqual({ open: 1, inUse: 1, maxPoolSize: 10 });
+  });
+});
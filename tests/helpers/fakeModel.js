@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-memory stand-in for the static methods of a mongoose model, enough for
+ * the services under test to run without MongoDB. Supports equality, regex,
+ * $in, $lt/$lte/$gt/$gte/$ne, $and/$or and simple $expr comparisons of two
+ * fields in filters, sorting, and the $set, $setOnInsert, $inc and $push
+ * ($each and $slice) update operators. Saving a document adds it to the store or replaces
+ * the stored one.
+ */
+
+const isOperator = value => value !== null && typeof value === 'object' &&
+  !(value instanceof Date) && !value._bsontype && !Array.isArray(value);
+
+const same = (a, b) => (a === null || b === null ? a === b : String(a) === String(b));
+
+// Like MongoDB, a condition on an array field matches when any element matches
+const sameOrContains = (value, operand) => (Array.isArray(value)
+  ? value.some(item => same(item, operand))
+  : same(operand, value));
+
+// Dates compare by time, ObjectIds by their hex string, which orders them by creation
+const compare = (a, b) => {
+  const [x, y] = [a, b].map(value => (value && value._bsontype ? String(value) : value));
+  return x < y ? -1 : (x > y ? 1 : 0);
+};
+
+const OPERATORS = {
+  $in: (value, operand) => operand.some(item => same(item, value)),
+  $lt: (value, operand) => value !== null && compare(value, operand) < 0,
+  $lte: (value, operand) => value !== null && compare(value, operand) <= 0,
+  $gt: (value, operand) => value !== null && compare(value, operand) > 0,
+  $gte: (value, operand) => value !== null && compare(value, operand) >= 0,
+  $ne: (value, operand) => !sameOrContains(value, operand)
+};
+
+// $expr with one comparison, e.g. { $lt: ['$clickCount', '$maxClicks'] }
+const evaluate = (doc, expression) => Object.entries(expression).every(([operator, operands]) => {
+  const [a, b] = operands.map(operand => (typeof operand === 'string' && operand.startsWith('$')
+    ? (doc[operand.slice(1)] === undefined ? null : doc[operand.slice(1)])
+    : operand));
+  return OPERATORS[operator](a, b);
+});
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$and') {
+    return condition.every(part => matches(doc, part));
+  }
+  if (key === '$or') {
+    return condition.some(part => matches(doc, part));
+  }
+  if (key === '$expr') {
+    return evaluate(doc, condition);
+  }
+
+  const value = doc[key] === undefined ? null : doc[key];
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value);
+  }
+  if (!isOperator(condition)) {
+    return sameOrContains(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`fakeModel does not support ${operator}`);
+    }
+    return OPERATORS[operator](value, operand);
+  });
+});
+
+const applyUpdate = (doc, update, inserting) => {
+  Object.assign(doc, update.$set);
+  if (inserting) {
+    Object.assign(doc, update.$setOnInsert);
+  }
+  for (const [key, amount] of Object.entries(update.$inc || {})) {
+    doc[key] = (doc[key] || 0) + amount;
+  }
+  for (const [key, { $each, $slice }] of Object.entries(update.$push || {})) {
+    doc[key] = [...(doc[key] || []), ...$each].slice($slice);
+  }
+};
+
+const sorted = (docs, order) => [...docs].sort((a, b) => {
+  for (const [key, direction] of Object.entries(order)) {
+    const result = compare(a[key], b[key]) * direction;
+    if (result !== 0) {
+      return result;
+    }
+  }
+  return 0;
+});
+
+// Chainable like a mongoose query; without sort() documents stay in insertion
+// order. Awaiting it gives hydrated documents, lean() plain objects.
+const query = (Model, results, single = false) => {
+  const plain = () => results.map(doc => ({ ...doc }));
+  const chain = {
+    sort: order => query(Model, sorted(results, order), single),
+    select: () => chain,
+    skip: count => query(Model, results.slice(count), single),
+    limit: count => query(Model, results.slice(0, count), single),
+    lean: async() => (single ? plain()[0] || null : plain()),
+    then: (resolve, reject) => {
+      const docs = plain().map(doc => Model.hydrate(doc));
+      return Promise.resolve(single ? docs[0] || null : docs).then(resolve, reject);
+    }
+  };
+  return chain;
+};
+
+/**
+ * Replace the static methods of a model with ones working on an array
+ * @param {object} Model - Mongoose model
+ * @param {Array<object>} docs - Initial documents
+ * @returns {object} { docs } whose docs array holds the stored documents
+ */
+const fakeModel = (Model, docs = []) => {
+  const store = { docs: docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc })) };
+  const matching = filter => store.docs.filter(doc => matches(doc, filter));
+
+  jest.spyOn(Model, 'find').mockImplementation(filter => query(Model, matching(filter)));
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(Model, matching(filter).slice(0, 1), true));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(Model, matching({ _id: id }).slice(0, 1), true));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async filter => matching(filter).length);
+  jest.spyOn(Model, 'exists').mockImplementation(async(filter) => {
+    const [doc] = matching(filter);
+    return doc ? { _id: doc._id } : null;
+  });
+
+  jest.spyOn(Model, 'insertMany').mockImplementation(async(newDocs) => {
+    const writeErrors = [];
+    newDocs.forEach((doc, index) => {
+      if (doc._id && store.docs.some(stored => same(stored._id, doc._id))) {
+        writeErrors.push({ index, code: 11000 });
+      } else {
+        store.docs.push({ _id: new mongoose.Types.ObjectId(), ...doc });
+      }
+    });
+    if (writeErrors.length > 0) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000, writeErrors });
+    }
+    return newDocs;
+  });
+
+  jest.spyOn(Model, 'create').mockImplementation(async(doc) => {
+    if (store.docs.some(stored => same(stored._id, doc._id))) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const created = new Model(doc);
+    store.docs.push(created.toObject());
+    return created;
+  });
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+    const index = store.docs.findIndex(stored => same(stored._id, this._id));
+    if (this.isNew && index !== -1) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    await this.validate();
+    store.docs.splice(index === -1 ? store.docs.length : index, 1, this.toObject());
+    this.isNew = false;
+    return this;
+  });
+
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async(filter) => {
+    const before = store.docs.length;
+    store.docs = store.docs.filter(doc => !matches(doc, filter));
+    return { deletedCount: before - store.docs.length };
+  });
+
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async(filter) => {
+    const index = store.docs.findIndex(doc => matches(doc, filter));
+    if (index !== -1) {
+      store.docs.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  });
+
+  const updateOne = (filter, update, { upsert = false } = {}) => {
+    const doc = store.docs.find(stored => matches(stored, filter));
+    if (doc) {
+      applyUpdate(doc, update, false);
+      return { matchedCount: 1, modifiedCount: 1 };
+    }
+    if (upsert) {
+      const inserted = { _id: new mongoose.Types.ObjectId(), ...filter };
+      applyUpdate(inserted, update, true);
+      store.docs.push(inserted);
+    }
+    return { matchedCount: 0, modifiedCount: 0 };
+  };
+
+  jest.spyOn(Model, 'updateOne').mockImplementation(async(...args) => updateOne(...args));
+  jest.spyOn(Model, 'bulkWrite').mockImplementation(async(operations) => {
+    operations.forEach(({ updateOne: operation }) => updateOne(operation.filter, operation.update));
+    return { ok: 1 };
+  });
+
+  return store;
+};
+
+module.exports = {
+  fakeModel
+};
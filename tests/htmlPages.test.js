@@ -0,0 +1,37 @@
+const HtmlPages = require('../src/utils/html');
+
+const formAction = (html) => html.match(/<form method="post" action="([^"]*)">/)[1].replace(/&amp;/g, '&');
+
+describe('HtmlPages', () => {
+  test('the password form posts back to the page it is shown on, under any path prefix', () => {
+    const action = formAction(HtmlPages.passwordPrompt('abc123', null, '?utm_source=mail&x=1'));
+
+    expect(action).toBe('./abc123?utm_source=mail&x=1');
+    expect(new URL(action, 'https://example.com/links/abc123').href)
+      .toBe('https://example.com/links/abc123?utm_source=mail&x=1');
+    expect(new URL(action, 'https://go.example.org/abc123').href)
+      .toBe('https://go.example.org/abc123?utm_source=mail&x=1');
+  });
+
+  test('the preview form continues to the link from its "+" page', () => {
+    const html = HtmlPages.linkPreview({
+      shortcode: 'abc123',
+      destination: 'https://example.com/landing',
+      createdAt: new Date('2026-01-01T00:00:00Z'),
+      clickCount: 3,
+      passwordProtected: false
+    });
+
+    expect(new URL(formAction(html), 'https://example.com/links/abc123+').href)
+      .toBe('https://example.com/links/abc123');
+    expect(html).toContain('You are about to visit example.com');
+  });
+
+  test('escapes the shortcode, the query string and the error message', () => {
+    const html = HtmlPages.passwordPrompt('a"b', '<b>Incorrect</b>', '?q="><script>');
+
+    expect(html).not.toContain('<script>');
+    expect(html).not.toContain('<b>Incorrect</b>');
+    expect(html).toContain('action="./a%22b?q=&quot;&gt;&lt;script&gt;"');
+  });
+});
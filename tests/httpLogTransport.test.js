@@ -0,0 +1,177 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HttpBearerTransport = require('../src/services/httpLogTransport');
+const metricsService = require('../src/services/metricsService');
+const { createMockLogServer } = require('../scripts/mockLogServer');
+
+const entry = (index) => ({ stack: 'backend', level: 'info', package: 'service', message: `entry ${index}` });
+
+const entryBytes = Buffer.byteLength(`${JSON.stringify(entry(0))}\n`);
+
+// logging_client_dropped_total, which other tests in the process may have increased already
+const droppedTotal = async() => {
+  const { values } = await metricsService.logDropped.get();
+  return values.reduce((sum, { value }) => sum + value, 0);
+};
+
+describe('HttpBearerTransport with the mock log server', () => {
+  let mock;
+  let server;
+  let baseUrl;
+  let spoolDir;
+  const transports = [];
+
+  const createTransport = (spool = {}) => {
+    const transport = new HttpBearerTransport({
+      minLevel: 'debug',
+      authUrl: `${baseUrl}/auth`,
+      logsUrl: `${baseUrl}/logs`,
+      accessCode: 'code',
+      clientId: 'client',
+      clientSecret: 'secret',
+      email: 'test@example.com',
+      name: 'Test',
+      rollNo: '1',
+      spool: {
+        dir: spoolDir,
+        maxSegmentBytes: 1024 * 1024,
+        maxBytes: 1024 * 1024,
+        batchSize: 2,
+        shipIntervalMs: 1000,
+        retryBaseMs: 10,
+        retryMaxMs: 10,
+        ...spool
+      }
+    });
+    transports.push(transport);
+    return transport;
+  };
+
+  const startMock = async(options) => {
+    mock = createMockLogServer(options);
+    server = await new Promise(resolve => {
+      const listening = mock.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const spooledLines = () => fs.readdirSync(spoolDir)
+    .filter(name => name.endsWith('.jsonl'))
+    .flatMap(name => fs.readFileSync(path.join(spoolDir, name), 'utf8').split('\n').filter(Boolean));
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-spool-'));
+  });
+
+  afterEach(async() => {
+    for (const transport of transports.splice(0)) {
+      await transport.stop();
+    }
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('appends entries to the spool and ships them in order', async() => {
+    await startMock();
+    const transport = createTransport();
+    [1, 2, 3].forEach(index => transport.write(entry(index)));
+    await transport.spool.flush();
+
+    expect(spooledLines().map(line => JSON.parse(line).message)).toEqual(['entry 1', 'entry 2', 'entry 3']);
+    expect(mock.state.received).toHaveLength(0);
+
+    await transport.ship();
+
+    expect(mock.state.received.map(received => received.message)).toEqual(['entry 1', 'entry 2', 'entry 3']);
+    expect(transport.getSpoolStats()).toMatchObject({ segments: 0, bytes: 0, sent: 3, shipDropped: 0 });
+    expect(fs.readdirSync(spoolDir)).toEqual([]);
+  });
+
+  test('resumes after a restart from the last shipped entry', async() => {
+    // The service goes down after the third entry
+    await startMock({
+      onEntry: (received, state) => {
+        if (state.received.length === 3) {
+          state.failRate = 1;
+        }
+      }
+    });
+
+    const first = createTransport();
+    [1, 2, 3, 4, 5].forEach(index => first.write(entry(index)));
+    await first.ship();
+
+    expect(mock.state.received).toHaveLength(3);
+    expect(first.getSpoolStats().retryAttempt).toBe(1);
+    await first.stop();
+
+    mock.state.failRate = 0;
+    const second = createTransport();
+    await second.ship();
+
+    expect(mock.state.received.map(received => received.message))
+      .toEqual(['entry 1', 'entry 2', 'entry 3', 'entry 4', 'entry 5']);
+    expect(second.getSpoolStats()).toMatchObject({ bytes: 0, sent: 2 });
+  });
+
+  test('skips spool files that have nothing left to ship', async() => {
+    await startMock();
+    const segment = (index) => path.join(spoolDir, `segment-${String(index).padStart(15, '0')}-000000.jsonl`);
+    const lines = (...indexes) => indexes.map(index => `${JSON.stringify(entry(index))}\n`).join('');
+
+    // Left by an earlier run: an empty file, a fully shipped one and one half shipped
+    fs.writeFileSync(segment(1), '');
+    fs.writeFileSync(segment(2), lines(1, 2));
+    fs.writeFileSync(`${segment(2)}.cursor`, JSON.stringify({ offset: 2 }));
+    fs.writeFileSync(segment(3), lines(3, 4));
+    fs.writeFileSync(`${segment(3)}.cursor`, JSON.stringify({ offset: 1 }));
+
+    const transport = createTransport();
+    await transport.ship();
+
+    expect(mock.state.received.map(received => received.message)).toEqual(['entry 4']);
+    expect(transport.getSpoolStats()).toMatchObject({ segments: 0, bytes: 0 });
+    expect(fs.readdirSync(spoolDir)).toEqual([]);
+  });
+
+  test('drops new entries once the spool holds maxBytes', async() => {
+    await startMock();
+    const droppedBefore = await droppedTotal();
+    const transport = createTransport({ maxBytes: entryBytes * 3 });
+    [1, 2, 3, 4, 5].forEach(index => transport.write(entry(index)));
+
+    expect(transport.getSpoolStats()).toMatchObject({ bytes: entryBytes * 3, dropped: 2 });
+    await transport.spool.flush();
+    expect(spooledLines()).toHaveLength(3);
+    expect(await droppedTotal()).toBe(droppedBefore + 2);
+
+    // Shipping frees the spool for new entries
+    await transport.ship();
+    transport.write(entry(6));
+    await transport.ship();
+
+    expect(mock.state.received.map(received => received.message))
+      .toEqual(['entry 1', 'entry 2', 'entry 3', 'entry 6']);
+    expect(transport.getSpoolStats().dropped).toBe(2);
+  });
+
+  test('counts entries the log service rejects as dropped and ships the rest', async() => {
+    await startMock();
+    const droppedBefore = await droppedTotal();
+    const transport = createTransport();
+    transport.write(entry(1));
+    transport.write({ stack: 'backend', level: 'info', message: 'no package' });
+    transport.write(entry(3));
+
+    await transport.ship();
+
+    expect(mock.state.received.map(received => received.message)).toEqual(['entry 1', 'entry 3']);
+    expect(transport.getSpoolStats()).toMatchObject({ bytes: 0, sent: 2, shipDropped: 1, retryAttempt: 0 });
+    expect(await droppedTotal()).toBe(droppedBefore + 1);
+  });
+});
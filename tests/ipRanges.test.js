@@ -0,0 +1,51 @@
+const IpRanges = require('../src/utils/ipRanges');
+const ValidationService = require('../src/utils/validation');
+const { PrivateAddressError } = require('../src/utils/errors');
+
+describe('IpRanges', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '169.254.169.254',
+    '::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe'
+  ])('%s is reserved', (address) => {
+    expect(IpRanges.isReserved(address)).toBe(true);
+  });
+
+  test.each([
+    '8.8.8.8',
+    '2606:4700:4700::1111',
+    '::ffff:8.8.8.8'
+  ])('%s is public', (address) => {
+    expect(IpRanges.isReserved(address)).toBe(false);
+  });
+
+  test('checks NAT64 addresses as the IPv4 address they embed', () => {
+    expect(IpRanges.embeddedIpv4('64:ff9b::808:808')).toBe('8.8.8.8');
+    expect(IpRanges.isReserved('64:ff9b::808:808')).toBe(false);
+    expect(IpRanges.isReserved('64:ff9b::7f00:1')).toBe(true);
+    expect(IpRanges.isReserved('64:ff9b:1::a00:1')).toBe(true);
+  });
+
+  test('checks IPv4-compatible addresses as the IPv4 address they embed', () => {
+    expect(IpRanges.embeddedIpv4('::7f00:1')).toBe('127.0.0.1');
+    expect(IpRanges.isReserved('::7f00:1')).toBe(true);
+    expect(IpRanges.isReserved('::c0a8:101')).toBe(true);
+    expect(IpRanges.isReserved('::808:808')).toBe(false);
+  });
+
+  test('rejects URLs with an IPv4-compatible loopback address', () => {
+    expect(() => ValidationService.validateUrl('http://[::127.0.0.1]/')).toThrow(PrivateAddressError);
+    expect(() => ValidationService.validateUrl('http://[::7f00:1]:8080/admin')).toThrow(PrivateAddressError);
+  });
+
+  test('normalises decimal and hex IPv4 hosts before checking them', () => {
+    expect(IpRanges.hostAddress(new URL('http://2130706433/').hostname)).toBe('127.0.0.1');
+    expect(IpRanges.hostAddress(new URL('http://0x7f.1/').hostname)).toBe('127.0.0.1');
+    expect(IpRanges.hostAddress('[::1]')).toBe('::1');
+    expect(IpRanges.hostAddress('example.com')).toBeNull();
+  });
+});
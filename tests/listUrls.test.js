@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Url = require('../src/models/Url');
+const urlService = require('../src/services/urlService');
+const ValidationService = require('../src/utils/validation');
+const { InvalidRequestError } = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const alice = { owner: 'alice', isAdmin: false };
+const admin = { owner: 'admin', isAdmin: true };
+
+describe('urlService.listUrls', () => {
+  const list = (query, apiKey = alice) => urlService.listUrls(ValidationService.validateListQuery(query), apiKey);
+
+  // Every page of a listing, following nextCursor
+  const listAll = async(query, apiKey = alice) => {
+    const pages = [];
+    let cursor;
+    do {
+      const page = await list({ ...query, ...(cursor ? { cursor } : {}) }, apiKey);
+      pages.push(page.items.map(item => item.shortcode));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  beforeEach(() => {
+    const created = new Date('2024-05-01T00:00:00.000Z');
+    const link = (shortcode, fields) => ({
+      _id: new mongoose.Types.ObjectId(),
+      shortcode,
+      domain: null,
+      originalUrl: `https://example.com/${shortcode}`,
+      createdAt: created,
+      expiryAt: new Date(Date.now() + DAY_MS),
+      clickCount: 0,
+      maxClicks: null,
+      owner: 'alice',
+      ...fields
+    });
+
+    // link2 and link3 were created at the same time and have as many clicks
+    fakeModel(Url, [
+      link('link1', { createdAt: new Date(created.getTime() - DAY_MS), clickCount: 9 }),
+      link('link2', { clickCount: 4 }),
+      link('link3', { clickCount: 4, originalUrl: 'https://shop.example.org/sale' }),
+      link('link4', { createdAt: new Date(created.getTime() + DAY_MS), clickCount: 1 }),
+      link('link5', { createdAt: new Date(created.getTime() + 2 * DAY_MS), expiryAt: new Date(Date.now() - DAY_MS) }),
+      link('other', { owner: 'bob' })
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pages through the newest links first without repeating or skipping ties', async() => {
+    expect(await listAll({ limit: 2 })).toEqual([['link5', 'link4'], ['link3', 'link2'], ['link1']]);
+  });
+
+  test('pages by click count in both orders', async() => {
+    expect(await listAll({ sort: 'clicks', order: 'desc', limit: 2 }))
+      .toEqual([['link1', 'link3'], ['link2', 'link4'], ['link5']]);
+    expect(await listAll({ sort: 'clicks', order: 'asc', limit: 2 }))
+      .toEqual([['link5', 'link4'], ['link2', 'link3'], ['link1']]);
+  });
+
+  test('returns no cursor on the last page', async() => {
+    const page = await list({ limit: 5 });
+
+    expect(page.items).toHaveLength(5);
+    expect(page.nextCursor).toBeNull();
+  });
+
+  test('rejects a cursor from another sort order or a tampered cursor', async() => {
+    const { nextCursor } = await list({ limit: 2 });
+
+    await expect(list({ limit: 2, cursor: nextCursor, order: 'asc' })).rejects.toThrow(InvalidRequestError);
+    await expect(list({ limit: 2, cursor: nextCursor, sort: 'clicks' })).rejects.toThrow(InvalidRequestError);
+    await expect(list({ cursor: 'bm90LWpzb24' })).rejects.toThrow('Invalid cursor');
+
+    const payload = JSON.parse(Buffer.from(nextCursor, 'base64url').toString('utf8'));
+    const tampered = Buffer.from(JSON.stringify({ ...payload, v: 'soon' })).toString('base64url');
+    await expect(list({ cursor: tampered })).rejects.toThrow('Invalid cursor');
+  });
+
+  test('only lists the links of the caller unless the caller is an admin', async() => {
+    expect((await list({})).items.map(item => item.shortcode)).not.toContain('other');
+    expect((await list({ owner: 'bob' }, alice)).items.map(item => item.shortcode)).not.toContain('other');
+    expect((await list({ owner: 'bob' }, admin)).items.map(item => item.shortcode)).toEqual(['other']);
+    expect((await list({}, admin)).items).toHaveLength(6);
+  });
+
+  test('filters by state, clicks, destination domain and search text', async() => {
+    const shortcodes = async query => (await list(query)).items.map(item => item.shortcode);
+
+    expect(await shortcodes({ state: 'expired' })).toEqual(['link5']);
+    expect(await shortcodes({ state: 'active', minClicks: 4 })).toEqual(['link3', 'link2', 'link1']);
+    expect(await shortcodes({ destinationDomain: 'example.org' })).toEqual(['link3']);
+    expect(await shortcodes({ destinationDomain: 'ample.org' })).toEqual([]);
+    expect(await shortcodes({ search: 'SALE' })).toEqual(['link3']);
+    expect(await shortcodes({ createdFrom: '2024-05-01T00:00:00.000Z', createdTo: '2024-05-02T00:00:00.000Z' }))
+      .toEqual(['link4', 'link3', 'link2']);
+  });
+});
@@ -0,0 +1,188 @@
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { ConsoleTransport, FileTransport, SyslogTransport } = require('../src/services/logTransports');
+
+const entry = (fields = {}) => ({
+  stack: 'backend',
+  level: 'info',
+  package: 'service',
+  message: 'Short URL created',
+  timestamp: '2024-05-01T12:00:00.000Z',
+  ...fields
+});
+
+describe('log transports', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-transports-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('LoggingClient', () => {
+    // A client of its own, created from the given logging config
+    const createClient = (logging) => {
+      let client;
+      jest.isolateModules(() => {
+        const config = require('../src/config');
+        Object.assign(config.logging, logging);
+        client = require('../src/services/loggingClient');
+      });
+      return client;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('hands each entry to the transports whose minimum level it reaches', async() => {
+      const filePath = path.join(dir, 'app.log');
+      const client = createClient({
+        transports: ['console', 'file'],
+        console: { minLevel: 'warn' },
+        file: { minLevel: 'debug', path: filePath }
+      });
+
+      await client.Log('backend', 'debug', 'service', 'cache miss');
+      await client.Log('backend', 'error', 'service', 'database down');
+      await client.stop();
+
+      const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.message)).toEqual(['cache miss', 'database down']);
+      expect(console.log).not.toHaveBeenCalledWith(expect.stringContaining('cache miss'));
+    });
+
+    test('leaves out unknown transports and transports with missing options', () => {
+      const client = createClient({ transports: ['console', 'carrier-pigeon', 'file'], file: { minLevel: 'info' } });
+
+      expect(client.transports.map(transport => transport.name)).toEqual(['console']);
+      expect(console.warn).toHaveBeenCalledWith('[LoggingClient] Unknown log transport "carrier-pigeon", ignoring it');
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Missing required config for file: path'));
+    });
+
+    test('keeps writing to the other transports when one fails', async() => {
+      const client = createClient({ transports: ['console', 'stdout-json'], console: { minLevel: 'debug' } });
+      jest.spyOn(client.transports[0], 'write').mockImplementation(() => {
+        throw new Error('console closed');
+      });
+      const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      await client.Log('backend', 'info', 'route', 'Redirect: abc123');
+
+      expect(console.warn).toHaveBeenCalledWith('[LoggingClient] console transport failed:', 'console closed');
+      expect(JSON.parse(stdout.mock.calls[0][0])).toMatchObject({ level: 'info', message: 'Redirect: abc123' });
+    });
+
+    test('adds the request id inside a request', async() => {
+      let RequestContext;
+      let client;
+      // The client's own copy of the request context
+      jest.isolateModules(() => {
+        require('../src/config').logging.transports = ['console'];
+        RequestContext = require('../src/utils/requestContext');
+        client = require('../src/services/loggingClient');
+      });
+
+      await RequestContext.run({ requestId: 'req-42' }, () => client.Log('backend', 'info', 'route', 'hello'));
+
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('INFO [req-42] backend/route: hello'));
+    });
+  });
+
+  test('the console transport writes errors to stderr and warnings as warnings', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const transport = new ConsoleTransport({ minLevel: 'debug' });
+
+    transport.write(entry({ level: 'fatal' }));
+    transport.write(entry({ level: 'warn' }));
+
+    expect(console.error)
+      .toHaveBeenCalledWith('[Log] 2024-05-01T12:00:00.000Z FATAL backend/service: Short URL created');
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects an unknown minimum level', () => {
+    expect(new FileTransport({ minLevel: 'loud', path: 'app.log' }).validate()).toEqual(['minLevel']);
+    expect(new FileTransport({ minLevel: 'warn' }).validate()).toEqual(['path']);
+  });
+
+  describe('SyslogTransport', () => {
+    const options = (fields = {}) => ({
+      minLevel: 'info',
+      host: '127.0.0.1',
+      port: 514,
+      protocol: 'udp',
+      facility: 'local0',
+      appName: 'url-shortener',
+      ...fields
+    });
+
+    test('formats entries as RFC 5424 messages', () => {
+      const transport = new SyslogTransport(options());
+      transport.hostname = 'web-1';
+
+      expect(transport.format(entry({ level: 'error' })))
+        .toBe(`<131>1 2024-05-01T12:00:00.000Z web-1 url-shortener ${process.pid} backend/service - Short URL created`);
+      expect(transport.format(entry({ level: 'debug' }))).toMatch(/^<135>1 /);
+    });
+
+    test('validates the protocol and facility', () => {
+      expect(new SyslogTransport(options({ protocol: 'http', facility: 'local9' })).validate())
+        .toEqual(['protocol', 'facility']);
+    });
+
+    test('sends one datagram per entry over UDP', async() => {
+      const server = dgram.createSocket('udp4');
+      await new Promise(resolve => server.bind(0, '127.0.0.1', resolve));
+      const received = new Promise(resolve => server.once('message', message => resolve(message.toString())));
+      const transport = new SyslogTransport(options({ port: server.address().port }));
+
+      transport.write(entry());
+
+      expect(await received).toMatch(/^<134>1 .* - Short URL created$/);
+      await transport.stop();
+      server.close();
+    });
+
+    test('frames messages by octet count over TCP', async() => {
+      let data = '';
+      const received = new Promise(resolve => {
+        const server = net.createServer(socket => {
+          socket.on('data', chunk => {
+            data += chunk;
+          });
+          socket.on('end', () => {
+            server.close();
+            resolve(data);
+          });
+        });
+        server.listen(0, '127.0.0.1', () => {
+          const transport = new SyslogTransport(options({ protocol: 'tcp', port: server.address().port }));
+          transport.write(entry({ message: 'one' }));
+          transport.write(entry({ message: 'two' }));
+          transport.stop();
+        });
+      });
+
+      // Each frame is "<length> <message>", the next frame starting right after the message
+      const messages = [];
+      let rest = Buffer.from(await received);
+      while (rest.length > 0) {
+        const space = rest.indexOf(' ');
+        const length = Number(rest.subarray(0, space).toString());
+        messages.push(rest.subarray(space + 1, space + 1 + length).toString());
+        rest = rest.subarray(space + 1 + length);
+      }
+      expect(messages.map(message => message.split(' - ')[1])).toEqual(['one', 'two']);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const Url = require('../src/models/Url');
+const Domain = require('../src/models/Domain');
+const metricsService = require('../src/services/metricsService');
+const shortcodeService = require('../src/services/shortcodeService');
+const clickWriter = require('../src/services/clickWriter');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const { defineRoutes } = require('../src/middleware/openApi');
+const { ShortcodeInvalidError } = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('metrics', () => {
+  // Value of a metric line such as: url_shortener_redirects_total{status="302"} 1
+  const metricValue = (text, line) => {
+    const found = text.split('\n').find(entry => entry.startsWith(`${line} `));
+    return found ? Number(found.slice(line.length + 1)) : 0;
+  };
+
+  const scrape = async() => (await request(app).get('/metrics').expect(200)).text;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fakeModel(Url, [{
+      _id: new mongoose.Types.ObjectId(),
+      shortcode: 'metric1',
+      domain: null,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date(),
+      expiryAt: new Date(Date.now() + HOUR_MS),
+      clickCount: 0
+    }]);
+    fakeModel(Domain);
+    clickWriter.queue = new MemoryClickQueue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('serves the metrics in the Prometheus text format', async() => {
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE url_shortener_http_requests_total counter');
+    expect(response.text).toContain('url_shortener_process_cpu_seconds_total');
+    expect(response.text).toMatch(/^url_shortener_mongodb_connection_state\{state="disconnected"\} 1$/m);
+  });
+
+  test('counts redirects, failed redirects and queued clicks', async() => {
+    const before = await scrape();
+
+    await request(app).get('/metric1').expect(302);
+    await request(app).get('/unknown1').expect(404);
+
+    const after = await scrape();
+    const change = line => metricValue(after, line) - metricValue(before, line);
+
+    expect(change('url_shortener_redirects_total{status="302"}')).toBe(1);
+    expect(change('url_shortener_redirect_failures_total{status="404",reason="not_found"}')).toBe(1);
+    expect(metricValue(after, 'url_shortener_click_queue_depth')).toBe(1);
+    expect(change('url_shortener_http_requests_total{method="GET",route="/:shortcode",status="302"}')).toBe(1);
+  });
+
+  test('counts collisions of generated shortcodes', async() => {
+    jest.spyOn(shortcodeService, 'generateRandomBase62')
+      .mockReturnValueOnce('metric1')
+      .mockReturnValueOnce('fresh01');
+    const collisions = (await metricsService.shortcodeCollisions.get()).values[0].value;
+
+    expect(await shortcodeService.generateUniqueShortcode()).toBe('fresh01');
+    expect((await metricsService.shortcodeCollisions.get()).values[0].value).toBe(collisions + 1);
+  });
+
+  describe('reserved shortcodes', () => {
+    test('are refused as custom shortcodes in any case', () => {
+      expect(() => shortcodeService.validateCustomShortcode('Metrics')).toThrow(ShortcodeInvalidError);
+      expect(() => shortcodeService.validateCustomShortcode('health')).toThrow(/reserved/);
+      expect(shortcodeService.validateCustomShortcode('metrics2')).toBe('metrics2');
+    });
+
+    test('are never generated', async() => {
+      jest.spyOn(shortcodeService, 'generateRandomBase62')
+        .mockReturnValueOnce('admin')
+        .mockReturnValueOnce('fresh02');
+
+      expect(await shortcodeService.generateUniqueShortcode()).toBe('fresh02');
+    });
+
+    test('must cover the first path segment of every route', () => {
+      const route = defineRoutes(express.Router(), '/stats');
+      const definition = { method: 'get', path: '/', operationId: 'unreservedTest', responses: {} };
+
+      expect(() => route(definition, (req, res) => res.end())).toThrow(/would shadow the shortcode "stats"/);
+    });
+  });
+});
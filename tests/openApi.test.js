@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const openApiService = require('../src/services/openApiService');
+const { defineRoutes } = require('../src/middleware/openApi');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { ref, jsonResponse } = require('../src/utils/apiSchemas');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('OpenAPI', () => {
+  beforeAll(() => {
+    config.auth.adminKey = ADMIN_KEY;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('document', () => {
+    let document;
+
+    beforeAll(async() => {
+      document = (await request(app).get('/api/openapi.json').expect(200)).body;
+    });
+
+    test('describes the registered routes in OpenAPI path syntax', () => {
+      expect(document.openapi).toBe('3.1.0');
+      expect(document.paths['/shorturls/{shortcode}'].get.operationId).toBe('getShortUrlStats');
+      expect(document.paths['/{shortcode}'].get.operationId).toBe('followShortUrl');
+      expect(Object.keys(document.paths)).not.toContainEqual(expect.stringContaining(':'));
+    });
+
+    test('documents the errors each operation can answer with', () => {
+      const create = document.paths['/shorturls'].post;
+
+      expect(Object.keys(create.responses)).toEqual(expect.arrayContaining(['201', '400', '401', '409', '429', '500']));
+      expect(create.security).toEqual([{ apiKey: [] }]);
+      expect(document.paths['/metrics'].get.responses).not.toHaveProperty('429');
+    });
+
+    test('marks admin operations', () => {
+      const listKeys = document.paths['/admin/apikeys'].get;
+
+      expect(listKeys.description).toMatch(/^Requires an admin API key\./);
+      expect(listKeys.responses).toHaveProperty('403');
+    });
+
+    test('uses unique operation ids and resolvable schema references', () => {
+      const operations = Object.values(document.paths).flatMap(path => Object.values(path));
+      const ids = operations.map(operation => operation.operationId);
+      const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g);
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(refs.length).toBeGreaterThan(0);
+      refs.forEach(reference => expect(document.components.schemas).toHaveProperty(reference.split('/').pop()));
+    });
+
+    test('is browsable in the explorer', async() => {
+      const response = await request(app).get('/api/docs').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/html/);
+    });
+  });
+
+  describe('request validation', () => {
+    test('answers an invalid body with the failing fields', async() => {
+      const { body } = await request(app)
+        .post('/shorturls')
+        .set(config.auth.header, ADMIN_KEY)
+        .send({ url: 42, maxClicks: 'lots' })
+        .expect(400);
+
+      expect(body.code).toBe('INVALID_REQUEST');
+      expect(body.detail).toBe('body.url must be string');
+      expect(body.errors).toEqual(expect.arrayContaining([
+        { field: 'body.url', message: 'must be string' },
+        expect.objectContaining({ field: 'body.maxClicks' })
+      ]));
+    });
+
+    test('reports a missing required field by its name', async() => {
+      const { body } = await request(app)
+        .post('/shorturls')
+        .set(config.auth.header, ADMIN_KEY)
+        .send({ validity: 60 })
+        .expect(400);
+
+      expect(body.errors).toContainEqual({ field: 'body.url', message: 'must have required property \'url\'' });
+    });
+
+    test('accepts validity as a number of minutes or a numeric string', () => {
+      const validate = openApiService.compile(ref('ShortUrlInput'));
+      const valid = validity => validate({ url: 'https://example.com/', validity });
+
+      expect(valid(60)).toBe(true);
+      expect(valid('60')).toBe(true);
+      expect(valid(' 15.5 ')).toBe(true);
+      expect(valid('soon')).toBe(false);
+      expect(valid('1e3')).toBe(false);
+      expect(valid(0)).toBe(false);
+      expect(valid(525601)).toBe(false);
+    });
+  });
+
+  describe('routes', () => {
+    let handled;
+    let reply;
+
+    // An app with one documented route answering with the reply mock
+    const documentedApp = () => {
+      const router = express.Router();
+      defineRoutes(router, '/api')({
+        method: 'get',
+        path: '/test/:id',
+        operationId: 'openApiTest',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z]+$' } },
+          { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }
+        ],
+        responses: {
+          200: jsonResponse('Test result', {
+            type: 'object',
+            required: ['ok'],
+            properties: { ok: { type: 'boolean' } }
+          })
+        }
+      }, (req, res) => {
+        handled = req.query;
+        reply(res);
+      });
+
+      const testApp = express();
+      testApp.use('/api', router);
+      testApp.use(errorHandler);
+      return testApp;
+    };
+
+    beforeEach(() => {
+      handled = null;
+      reply = res => res.json({ ok: true });
+    });
+
+    afterEach(() => {
+      openApiService.operations = openApiService.operations.filter(({ operationId }) => operationId !== 'openApiTest');
+    });
+
+    test('validates coerced copies of the parameters and hands the raw strings on', async() => {
+      await request(documentedApp()).get('/api/test/abc?limit=5').expect(200);
+      expect(handled.limit).toBe('5');
+
+      const { body } = await request(documentedApp()).get('/api/test/ABC?limit=none').expect(400);
+      expect(body.errors.map(error => error.field)).toEqual(['path.id', 'query.limit']);
+    });
+
+    test('logs responses that do not match their documented schema', async() => {
+      reply = res => res.json({ ok: 'yes' });
+
+      await request(documentedApp()).get('/api/test/abc').expect(200);
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining(
+        'openApiTest response 200 does not match the specification: body.ok must be boolean'
+      ));
+    });
+
+    test('logs responses with an undocumented status', async() => {
+      reply = res => res.status(202).json({ ok: true });
+
+      await request(documentedApp()).get('/api/test/abc').expect(202);
+
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('response 202 does not match the ' +
+        'specification: status is not documented'));
+    });
+
+    test('answers a mismatching response with an internal error in strict mode', async() => {
+      jest.replaceProperty(config.openapi, 'validateResponses', 'strict');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      reply = res => res.json({});
+
+      const { body } = await request(documentedApp()).get('/api/test/abc').expect(500);
+
+      expect(body.code).toBe('INTERNAL_ERROR');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const config = require('../src/config');
+
+// Small limits, set before the limiters are created
+config.password.maxFailures = 3;
+config.password.maxLinkFailures = 6;
+
+const app = require('../src/server');
+const Url = require('../src/models/Url');
+const Domain = require('../src/models/Domain');
+const PasswordHasher = require('../src/utils/password');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('password attempt limits', () => {
+  let passwordHash;
+  let sequence = 0;
+
+  // A link of its own per test, so the limiter counts start at zero
+  const createLink = () => {
+    const shortcode = `locked${++sequence}`;
+    fakeModel(Url, [{
+      _id: new mongoose.Types.ObjectId(),
+      shortcode,
+      domain: null,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date(),
+      expiryAt: new Date(Date.now() + HOUR_MS),
+      passwordHash
+    }]);
+    return shortcode;
+  };
+
+  const attempt = (shortcode, password, ip) => request(app)
+    .get(`/${shortcode}`)
+    .set('X-Forwarded-For', ip)
+    .set(config.password.header, password);
+
+  beforeAll(async() => {
+    app.set('trust proxy', true);
+    passwordHash = await PasswordHasher.hash('secret');
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    fakeModel(Domain);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses further attempts from a client after maxFailures wrong passwords', async() => {
+    const shortcode = createLink();
+
+    for (let i = 0; i < 3; i++) {
+      await attempt(shortcode, 'wrong', '198.51.100.1').expect(403);
+    }
+    await attempt(shortcode, 'secret', '198.51.100.1').expect(429);
+
+    // Other clients can still open the link
+    await attempt(shortcode, 'secret', '198.51.100.2').expect(302);
+  });
+
+  test('does not count correct passwords or visits without a password', async() => {
+    const shortcode = createLink();
+
+    for (let i = 0; i < 5; i++) {
+      await attempt(shortcode, 'secret', '198.51.100.3').expect(302);
+    }
+    await request(app).get(`/${shortcode}`).set('X-Forwarded-For', '198.51.100.3').expect(401);
+    await attempt(shortcode, 'wrong', '198.51.100.3').expect(403);
+  });
+
+  test('refuses attempts on a link after maxLinkFailures wrong passwords from many clients', async() => {
+    const shortcode = createLink();
+
+    for (let i = 0; i < 6; i++) {
+      await attempt(shortcode, 'wrong', `203.0.113.${i + 1}`).expect(403);
+    }
+    const { body } = await attempt(shortcode, 'guess', '203.0.113.100').expect(429);
+    expect(body.code).toBe('RATE_LIMITED');
+
+    // Other links are not affected
+    await attempt(createLink(), 'secret', '203.0.113.100').expect(302);
+  });
+});
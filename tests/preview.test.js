@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const Domain = require('../src/models/Domain');
+const metricsService = require('../src/services/metricsService');
+const clickWriter = require('../src/services/clickWriter');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const PasswordHasher = require('../src/utils/password');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const ADMIN_KEY = 'test-admin-key';
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('link preview', () => {
+  let urls;
+  let sequence = 0;
+
+  // A shortcode of its own per test, so no test sees a link cached by another
+  const createLink = (fields = {}) => {
+    const doc = {
+      _id: new mongoose.Types.ObjectId(),
+      shortcode: `preview${++sequence}`,
+      domain: null,
+      originalUrl: 'https://docs.example.com/guide?lang=en',
+      createdAt: new Date('2024-05-01T12:00:00.000Z'),
+      expiryAt: new Date(Date.now() + HOUR_MS),
+      clickCount: 7,
+      ...fields
+    };
+    urls.docs.push(doc);
+    return urls.docs[urls.docs.length - 1];
+  };
+
+  beforeAll(() => {
+    config.auth.adminKey = ADMIN_KEY;
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    urls = fakeModel(Url);
+    fakeModel(Click);
+    fakeModel(Domain);
+    clickWriter.queue = new MemoryClickQueue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('shows the destination, its domain, the creation date and the clicks instead of redirecting', async() => {
+    const link = createLink({ preview: true });
+
+    const response = await request(app).get(`/${link.shortcode}`).expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/html/);
+    expect(response.text).toContain('You are about to visit docs.example.com');
+    expect(response.text).toContain('<code>https://docs.example.com/guide?lang=en</code>');
+    expect(response.text).toContain('Created 2024-05-01, visited 7 times.');
+    expect(response.text).toContain(`<form method="post" action="./${link.shortcode}">`);
+  });
+
+  test('is shown for any link with "+" appended to the shortcode', async() => {
+    const link = createLink();
+
+    await request(app).get(`/${link.shortcode}`).expect(302);
+    const response = await request(app).get(`/${link.shortcode}+`).expect(200);
+
+    expect(response.text).toContain('Continue to docs.example.com');
+  });
+
+  test('is counted apart from clicks', async() => {
+    const link = createLink({ preview: true });
+    const previews = (await metricsService.previews.get()).values[0].value;
+
+    await request(app).get(`/${link.shortcode}`).expect(200);
+    await request(app).get(`/${link.shortcode}+`).expect(200);
+
+    expect(link.previewCount).toBe(2);
+    expect(clickWriter.queue.size()).toBe(0);
+    expect((await metricsService.previews.get()).values[0].value).toBe(previews + 2);
+
+    const { body } = await request(app)
+      .get(`/shorturls/${link.shortcode}`)
+      .set(config.auth.header, ADMIN_KEY)
+      .expect(200);
+    expect(body).toMatchObject({ totalClicks: 7, previewViews: 2 });
+  });
+
+  test('hides the destination of a password protected link', async() => {
+    const link = createLink({ preview: true, passwordHash: await PasswordHasher.hash('s3cret-pass') });
+
+    const response = await request(app).get(`/${link.shortcode}`).expect(200);
+
+    expect(response.text).toContain('This link is password protected');
+    expect(response.text).not.toContain('docs.example.com');
+    expect(response.text).toContain('<input type="password" id="password" name="password"');
+  });
+
+  test('fits the content security policy', async() => {
+    const link = createLink({ preview: true });
+
+    const response = await request(app).get(`/${link.shortcode}`).expect(200);
+
+    expect(response.headers['content-security-policy']).toContain('script-src \'self\'');
+    expect(response.text).not.toMatch(/<script|\son\w+=/i);
+  });
+
+  test('does not show unusable links', async() => {
+    const link = createLink({ expiryAt: new Date(Date.now() - 1000) });
+
+    const { body } = await request(app).get(`/${link.shortcode}+`).expect(410);
+
+    expect(body.code).toBe('LINK_EXPIRED');
+    expect(link.previewCount || 0).toBe(0);
+  });
+});
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const qrService = require('../src/services/qrService');
+const urlService = require('../src/services/urlService');
+const ValidationService = require('../src/utils/validation');
+const { InvalidRequestError } = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const ADMIN_KEY = 'test-admin-key';
+const HOUR_MS = 60 * 60 * 1000;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('QR codes', () => {
+  const defaults = () => ValidationService.validateQrOptions();
+
+  describe('qrService', () => {
+    test('encodes the short link with the scan marker', () => {
+      expect(qrService.scanLink('https://sho.rt/abc123')).toBe('https://sho.rt/abc123?src=qr');
+      expect(qrService.scanLink('https://sho.rt/abc123?src=mail&x=1')).toBe('https://sho.rt/abc123?src=qr&x=1');
+    });
+
+    test('renders a PNG of the requested size', async() => {
+      const { contentType, body } = await qrService.render('https://sho.rt/abc123', { ...defaults(), size: 128 });
+
+      expect(contentType).toBe('image/png');
+      expect(body.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+      // Width and height from the IHDR chunk
+      expect([body.readUInt32BE(16), body.readUInt32BE(20)]).toEqual([128, 128]);
+    });
+
+    test('renders an SVG in the requested colours', async() => {
+      const options = { ...defaults(), format: 'svg', foreground: '#112233', background: '#ffeedd' };
+
+      const { contentType, body } = await qrService.render('https://sho.rt/abc123', options);
+
+      expect(contentType).toBe('image/svg+xml');
+      expect(body).toMatch(/^<svg /);
+      expect(body).toContain('#112233');
+      expect(body).toContain('#ffeedd');
+    });
+
+    test('renders data: URIs for JSON responses', async() => {
+      const uri = await qrService.renderDataUri('https://sho.rt/abc123', defaults());
+
+      expect(uri).toMatch(/^data:image\/png;base64,/);
+      expect(Buffer.from(uri.split(',')[1], 'base64').subarray(0, 8)).toEqual(PNG_SIGNATURE);
+    });
+  });
+
+  describe('options', () => {
+    test('fill in the defaults', () => {
+      expect(defaults()).toEqual({
+        format: 'png',
+        size: 300,
+        margin: 4,
+        errorCorrection: 'M',
+        foreground: '#000000',
+        background: '#ffffff'
+      });
+    });
+
+    test('accept query string values and colours with or without "#"', () => {
+      const options = { size: '512', margin: '0', foreground: 'ABC', background: '#FFFFFF80' };
+
+      expect(ValidationService.validateQrOptions(options))
+        .toMatchObject({ size: 512, margin: 0, foreground: '#aabbcc', background: '#ffffff80' });
+    });
+
+    test.each([
+      [{ format: 'gif' }, 'Format must be one of: png, svg'],
+      [{ size: 63 }, 'Size must be an integer from 64 to 2000'],
+      [{ size: '150.5' }, 'Size must be an integer from 64 to 2000'],
+      [{ margin: 21 }, 'Margin must be an integer from 0 to 20'],
+      [{ errorCorrection: 'X' }, 'Error correction must be one of: L, M, Q, H'],
+      [{ foreground: 'red' }, 'foreground must be a hex colour such as #000000 or #ffffff80'],
+      [{ foreground: '#fff', background: 'ffffff' }, 'foreground and background must differ']
+    ])('reject %j', (options, message) => {
+      expect(() => ValidationService.validateQrOptions(options)).toThrow(new InvalidRequestError(message));
+    });
+
+    test('are optional on link creation', () => {
+      expect(ValidationService.validateQrRequest(undefined)).toEqual({ qr: null });
+      expect(ValidationService.validateQrRequest(false)).toEqual({ qr: null });
+      expect(ValidationService.validateQrRequest(true)).toEqual({ qr: defaults() });
+      expect(() => ValidationService.validateQrRequest('png')).toThrow(InvalidRequestError);
+    });
+  });
+
+  describe('GET /shorturls/:shortcode/qr', () => {
+    beforeAll(() => {
+      config.auth.adminKey = ADMIN_KEY;
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      fakeModel(Url, [{
+        _id: new mongoose.Types.ObjectId(),
+        shortcode: 'qrcode1',
+        domain: null,
+        originalUrl: 'https://example.com/',
+        createdAt: new Date(),
+        expiryAt: new Date(Date.now() + HOUR_MS),
+        clickCount: 0
+      }]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const getQr = path => request(app).get(`/shorturls/${path}`).set(config.auth.header, ADMIN_KEY);
+
+    test('answers with a PNG of the short link marked as a scan', async() => {
+      jest.spyOn(qrService, 'render');
+
+      const response = await getQr('qrcode1/qr').buffer(true).expect(200);
+
+      expect(response.headers['content-type']).toBe('image/png');
+      expect(response.headers['content-disposition']).toBe('inline; filename="qrcode1.png"');
+      expect(response.body.subarray(0, 8)).toEqual(PNG_SIGNATURE);
+      expect(qrService.render.mock.calls[0][0]).toBe(`${urlService.buildShortLink('qrcode1', null)}?src=qr`);
+    });
+
+    test('answers with an SVG when asked for', async() => {
+      const response = await getQr('qrcode1/qr?format=svg&foreground=1d4ed8').buffer(true).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^image\/svg\+xml/);
+      expect(response.body.toString()).toContain('#1d4ed8');
+    });
+
+    test('rejects invalid options', async() => {
+      const { body } = await getQr('qrcode1/qr?size=20000').expect(400);
+
+      expect(body.code).toBe('INVALID_REQUEST');
+    });
+
+    test('answers 404 for an unknown link', async() => {
+      await getQr('missing1/qr').expect(404);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const Url = require('../src/models/Url');
+const Domain = require('../src/models/Domain');
+const clickWriter = require('../src/services/clickWriter');
+const redirectService = require('../src/services/redirectService');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const ValidationService = require('../src/utils/validation');
+const { InvalidRequestError } = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('redirect options', () => {
+  describe('buildRedirectUrl', () => {
+    const build = (link, destination, search) => redirectService.buildRedirectUrl(link, destination, search);
+
+    test('leaves the destination untouched without tags or forwarding', () => {
+      expect(build({ forwardQuery: false }, 'https://example.com/a?b=1#top', '?utm_source=x'))
+        .toBe('https://example.com/a?b=1#top');
+    });
+
+    test('adds the UTM tags the destination does not carry yet', () => {
+      const link = { utm: { source: 'newsletter', campaign: 'spring sale' } };
+
+      expect(build(link, 'https://example.com/?utm_source=partner', ''))
+        .toBe('https://example.com/?utm_source=partner&utm_campaign=spring+sale');
+    });
+
+    test.each([
+      ['keep', 'https://example.com/?page=1&sort=new&ref=mail'],
+      ['override', 'https://example.com/?sort=new&page=2&page=3&ref=mail'],
+      ['append', 'https://example.com/?page=1&sort=new&page=2&page=3&ref=mail']
+    ])('merges the visitor\'s query string with the %s policy', (queryConflict, expected) => {
+      const link = { forwardQuery: true, queryConflict };
+
+      expect(build(link, 'https://example.com/?page=1&sort=new', 'page=2&page=3&ref=mail')).toBe(expected);
+    });
+
+    test('keeps the destination\'s values by default', () => {
+      expect(build({ forwardQuery: true }, 'https://example.com/?page=1', 'page=2'))
+        .toBe('https://example.com/?page=1');
+    });
+  });
+
+  describe('visits', () => {
+    let urls;
+    let sequence = 0;
+
+    // A shortcode of its own per test, so no test sees a link cached by another
+    const createLink = (fields = {}) => {
+      const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        shortcode: `options${++sequence}`,
+        domain: null,
+        originalUrl: 'https://example.com/landing?lang=en',
+        createdAt: new Date(),
+        expiryAt: new Date(Date.now() + HOUR_MS),
+        clickCount: 0,
+        ...fields
+      };
+      urls.docs.push(doc);
+      return doc;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      urls = fakeModel(Url);
+      fakeModel(Domain);
+      clickWriter.queue = new MemoryClickQueue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test.each([301, 302, 307, 308])('redirects with the link\'s %i status', async(redirectStatus) => {
+      const link = createLink({ redirectStatus });
+
+      await request(app).get(`/${link.shortcode}`).expect(redirectStatus);
+    });
+
+    test('redirects with 302 when the link has no status', async() => {
+      const link = createLink();
+
+      await request(app).get(`/${link.shortcode}`).expect(302);
+    });
+
+    test('forwards the visitor\'s query string with the link\'s tags', async() => {
+      const link = createLink({ forwardQuery: true, queryConflict: 'override', utm: { medium: 'social' } });
+
+      const response = await request(app).get(`/${link.shortcode}?lang=de&ref=post`).expect(302);
+
+      // An overridden parameter moves behind the tags
+      expect(response.headers.location).toBe('https://example.com/landing?utm_medium=social&lang=de&ref=post');
+    });
+
+    test('does not forward the QR scan marker', async() => {
+      const link = createLink({ forwardQuery: true });
+
+      const response = await request(app).get(`/${link.shortcode}?src=qr&ref=poster`).expect(302);
+
+      expect(response.headers.location).toBe('https://example.com/landing?lang=en&ref=poster');
+      expect(clickWriter.queue.peek(1)[0].click.source).toBe('qr');
+    });
+  });
+
+  describe('validation', () => {
+    test('accepts the supported redirect statuses, also as text', () => {
+      expect(ValidationService.validateRedirectStatus(undefined)).toEqual({ redirectStatus: 302 });
+      expect(ValidationService.validateRedirectStatus('')).toEqual({ redirectStatus: 302 });
+      expect(ValidationService.validateRedirectStatus('307')).toEqual({ redirectStatus: 307 });
+      expect(() => ValidationService.validateRedirectStatus(303))
+        .toThrow(new InvalidRequestError('redirectStatus must be one of 301, 302, 307, 308'));
+    });
+
+    test('checks the query forwarding options', () => {
+      expect(ValidationService.validateQueryForwarding(undefined, undefined))
+        .toEqual({ forwardQuery: false, queryConflict: 'keep' });
+      expect(ValidationService.validateQueryForwarding(true, 'append'))
+        .toEqual({ forwardQuery: true, queryConflict: 'append' });
+      expect(() => ValidationService.validateQueryForwarding('yes')).toThrow('forwardQuery must be a boolean');
+      expect(() => ValidationService.validateQueryForwarding(true, 'merge')).toThrow(InvalidRequestError);
+    });
+
+    test('trims the UTM tags and leaves out empty ones', () => {
+      expect(ValidationService.validateUtm({ source: ' mail ', term: '', content: null }))
+        .toEqual({ utm: { source: 'mail' } });
+      expect(ValidationService.validateUtm({ source: '' })).toEqual({ utm: null });
+    });
+
+    test('rejects unknown, non-text and overlong UTM tags', () => {
+      expect(() => ValidationService.validateUtm({ id: 'x' })).toThrow(/utm\.id is not supported/);
+      expect(() => ValidationService.validateUtm({ source: 7 })).toThrow(InvalidRequestError);
+      expect(() => ValidationService.validateUtm({ source: 'x'.repeat(201) })).toThrow(/at most 200 characters/);
+      expect(() => ValidationService.validateUtm(['mail'])).toThrow('utm must be an object');
+    });
+  });
+});
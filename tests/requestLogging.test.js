@@ -0,0 +1,71 @@
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const metricsService = require('../src/services/metricsService');
+
+const ADMIN_KEY = 'test-admin-key';
+
+describe('access log and request metrics', () => {
+  let logged;
+
+  const accessLine = () => logged
+    .filter(line => typeof line === 'string' && line.includes('"type":"access"'))
+    .map(line => JSON.parse(line))
+    .pop();
+
+  const requestCount = async(route, status) => {
+    const { values } = await metricsService.httpRequests.get();
+    return values
+      .filter(({ labels }) => labels.route === route && labels.status === status)
+      .reduce((sum, { value }) => sum + value, 0);
+  };
+
+  beforeAll(() => {
+    config.auth.adminKey = ADMIN_KEY;
+  });
+
+  beforeEach(() => {
+    logged = [];
+    jest.spyOn(console, 'log').mockImplementation(line => logged.push(line));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('logs the full route pattern of a request that failed in a router', async() => {
+    const before = await requestCount('/admin/short-domains/:id', 400);
+
+    await request(app)
+      .patch('/admin/short-domains/0123456789abcdef01234567')
+      .set(config.auth.header, ADMIN_KEY)
+      .send({ defaultValidityMinutes: 'soon' })
+      .expect(400);
+
+    expect(accessLine()).toMatchObject({ method: 'PATCH', route: '/admin/short-domains/:id', status: 400 });
+    expect(await requestCount('/admin/short-domains/:id', 400)).toBe(before + 1);
+  });
+
+  test('logs the mount path of a request rejected by router level middleware', async() => {
+    await request(app).delete('/admin/apikeys/0123456789abcdef01234567').expect(401);
+
+    expect(accessLine()).toMatchObject({ method: 'DELETE', route: '/admin/*', status: 401 });
+  });
+
+  test('logs the shortcode of a request that failed', async() => {
+    await request(app).get('/shorturls/abc123/analytics').expect(401);
+
+    expect(accessLine()).toMatchObject({
+      route: '/shorturls/:shortcode/analytics',
+      status: 401,
+      shortcode: 'abc123'
+    });
+  });
+
+  test('logs requests that match no route as unmatched', async() => {
+    await request(app).put('/no/such/route').expect(404);
+
+    expect(accessLine()).toMatchObject({ route: 'unmatched', status: 404, shortcode: null });
+  });
+});
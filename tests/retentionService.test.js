@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const ArchivedUrl = require('../src/models/ArchivedUrl');
+const ArchivedClick = require('../src/models/ArchivedClick');
+const retentionService = require('../src/services/retentionService');
+const { ShortcodeTakenError } = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const owner = { owner: 'alice', isAdmin: false };
+
+describe('retentionService', () => {
+  let urls;
+  let clicks;
+  let archivedUrls;
+  let archivedClicks;
+  let link;
+
+  const click = (shortcode, domain = null) => ({
+    _id: new mongoose.Types.ObjectId(),
+    shortcode,
+    domain,
+    ts: new Date(),
+    ip: '203.0.113.7'
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    link = {
+      _id: new mongoose.Types.ObjectId(),
+      shortcode: 'expired1',
+      domain: null,
+      originalUrl: 'https://example.com/',
+      createdAt: new Date(Date.now() - 90 * DAY_MS),
+      expiryAt: new Date(Date.now() - 60 * DAY_MS),
+      clickCount: 2,
+      maxClicks: 5,
+      passwordHash: 'hash',
+      owner: 'alice'
+    };
+
+    urls = fakeModel(Url, [link]);
+    clicks = fakeModel(Click, [click('expired1'), click('expired1'), click('expired1', 'go.example.com')]);
+    archivedUrls = fakeModel(ArchivedUrl);
+    archivedClicks = fakeModel(ArchivedClick);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('archives links past the grace period and moves their clicks to the click archive', async() => {
+    expect(await retentionService.sweep()).toBe(1);
+
+    expect(urls.docs).toHaveLength(0);
+    expect(archivedUrls.docs).toHaveLength(1);
+    expect(archivedUrls.docs[0]).toMatchObject({
+      urlId: link._id,
+      shortcode: 'expired1',
+      clickCount: 2,
+      maxClicks: 5,
+      passwordHash: 'hash'
+    });
+
+    // The click of the same shortcode on another domain belongs to another link
+    expect(clicks.docs.map(doc => doc.domain)).toEqual(['go.example.com']);
+    expect(archivedClicks.docs).toHaveLength(2);
+    expect(archivedClicks.docs.every(doc => String(doc.urlId) === String(link._id))).toBe(true);
+  });
+
+  test('keeps links still in their grace period', async() => {
+    urls.docs[0].expiryAt = new Date(Date.now() - DAY_MS);
+
+    expect(await retentionService.sweep()).toBe(0);
+    expect(urls.docs).toHaveLength(1);
+    expect(clicks.docs).toHaveLength(3);
+  });
+
+  test('repeats a sweep that died after copying the clicks', async() => {
+    archivedClicks.docs.push({ ...clicks.docs[0], urlId: link._id });
+
+    expect(await retentionService.sweep()).toBe(1);
+
+    expect(clicks.docs).toHaveLength(1);
+    expect(archivedClicks.docs).toHaveLength(2);
+  });
+
+  test('restores an archived link with its settings and its clicks', async() => {
+    const clickIds = clicks.docs.filter(doc => doc.domain === null).map(doc => String(doc._id));
+    await retentionService.sweep();
+
+    const { statusCode, urlDoc } = await retentionService.restore('expired1', 60, owner);
+
+    expect(statusCode).toBe(201);
+    expect(String(urlDoc._id)).toBe(String(link._id));
+    expect(urlDoc).toMatchObject({ clickCount: 2, maxClicks: 5, passwordHash: 'hash' });
+    expect(urlDoc.expiryAt.getTime()).toBeGreaterThan(Date.now());
+
+    expect(archivedUrls.docs).toHaveLength(0);
+    expect(archivedClicks.docs).toHaveLength(0);
+    expect(clicks.docs.filter(doc => doc.domain === null).map(doc => String(doc._id)).sort())
+      .toEqual(clickIds.sort());
+    expect(clicks.docs.some(doc => doc.urlId !== undefined)).toBe(false);
+  });
+
+  test('does not restore an archived link whose shortcode was reused', async() => {
+    await retentionService.sweep();
+    jest.spyOn(Url, 'create').mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    await expect(retentionService.restore('expired1', 60, owner)).rejects.toThrow(ShortcodeTakenError);
+
+    expect(archivedUrls.docs).toHaveLength(1);
+    expect(archivedClicks.docs).toHaveLength(2);
+  });
+});
@@ -0,0 +1,98 @@
+const ruleService = require('../src/services/ruleService');
+const ValidationService = require('../src/utils/validation');
+const { AppError } = require('../src/utils/errors');
+
+// 10:30 in UTC, 12:30 in Berlin (summer time)
+const NOW = new Date('2024-07-01T10:30:00.000Z');
+
+const visitor = (fields = {}) => ({
+  country: 'DE',
+  device: 'mobile',
+  os: 'iOS',
+  language: 'de-AT',
+  now: NOW,
+  ...fields
+});
+
+describe('ruleService', () => {
+  test('picks the first rule whose conditions all match', () => {
+    const rules = [
+      { destination: 'https://example.com/fr', countries: ['FR'] },
+      { destination: 'https://example.com/de-desktop', countries: ['DE'], devices: ['desktop'] },
+      { destination: 'https://example.com/de-mobile', countries: ['DE', 'AT'], devices: ['mobile', 'tablet'] },
+      { destination: 'https://example.com/ios', os: ['iOS'] }
+    ];
+
+    expect(ruleService.findMatch(rules, visitor())).toEqual({ index: 2, rule: rules[2] });
+    expect(ruleService.findMatch(rules, visitor({ country: 'US' }))).toEqual({ index: 3, rule: rules[3] });
+    expect(ruleService.findMatch(rules, visitor({ country: 'US', os: 'Android' }))).toBeNull();
+    expect(ruleService.findMatch([], visitor())).toBeNull();
+  });
+
+  test('matches a language and its regional variants, but not the other way round', () => {
+    expect(ruleService.matches({ languages: ['de'] }, visitor())).toBe(true);
+    expect(ruleService.matches({ languages: ['DE-at'] }, visitor())).toBe(true);
+    expect(ruleService.matches({ languages: ['de-CH'] }, visitor())).toBe(false);
+    expect(ruleService.matches({ languages: ['d'] }, visitor())).toBe(false);
+    expect(ruleService.matches({ languages: ['en-GB'] }, visitor({ language: 'en' }))).toBe(false);
+    expect(ruleService.matches({ languages: ['de'] }, visitor({ language: null }))).toBe(false);
+  });
+
+  test('does not match visitors whose country or device is unknown', () => {
+    expect(ruleService.matches({ countries: ['DE'] }, visitor({ country: null }))).toBe(false);
+    expect(ruleService.matches({ devices: ['mobile'] }, visitor({ device: null }))).toBe(false);
+  });
+
+  test('evaluates time windows in the rule\'s time zone, end exclusive', () => {
+    const inWindow = (start, end, timezone) => ruleService.isInTimeWindow({ start, end, timezone }, NOW);
+
+    expect(inWindow('10:00', '11:00')).toBe(true);
+    expect(inWindow('10:30', '10:31')).toBe(true);
+    expect(inWindow('09:00', '10:30')).toBe(false);
+    expect(inWindow('10:00', '11:00', 'Europe/Berlin')).toBe(false);
+    expect(inWindow('12:00', '13:00', 'Europe/Berlin')).toBe(true);
+  });
+
+  test('lets time windows wrap around midnight', () => {
+    const night = { start: '22:00', end: '06:00', timezone: 'UTC' };
+
+    expect(ruleService.isInTimeWindow(night, new Date('2024-07-01T23:15:00.000Z'))).toBe(true);
+    expect(ruleService.isInTimeWindow(night, new Date('2024-07-02T05:59:00.000Z'))).toBe(true);
+    expect(ruleService.isInTimeWindow(night, NOW)).toBe(false);
+  });
+
+  describe('validateRules', () => {
+    test('normalises country codes and fills in the defaults', () => {
+      const { rules } = ValidationService.validateRules([{
+        destination: 'https://example.com/de',
+        countries: ['de', 'At'],
+        timeWindow: { start: '08:00', end: '18:00' }
+      }]);
+
+      expect(rules).toEqual([{
+        name: null,
+        destination: 'https://example.com/de',
+        countries: ['DE', 'AT'],
+        devices: [],
+        os: [],
+        languages: [],
+        timeWindow: { start: '08:00', end: '18:00', timezone: 'UTC' }
+      }]);
+    });
+
+    test.each([
+      [{ destination: 'https://example.com/' }, /must define at least one condition/],
+      [{ destination: 'https://example.com/', countries: ['DEU'] }, /countries must contain/],
+      [{ destination: 'https://example.com/', devices: ['phone'] }, /devices must contain/],
+      [{ destination: 'https://example.com/', timeWindow: { start: '08:00', end: '08:00' } }, /timeWindow needs/],
+      [
+        { destination: 'https://example.com/', timeWindow: { start: '08:00', end: '09:00', timezone: 'Mars/Base' } },
+        /IANA time zone/
+      ],
+      [{ destination: 'ftp://example.com/', countries: ['DE'] }, /^Rule 0: destination/]
+    ])('rejects the rule %j', (rule, message) => {
+      expect(() => ValidationService.validateRules([rule])).toThrow(AppError);
+      expect(() => ValidationService.validateRules([rule])).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const config = require('../src/config');
+const Domain = require('../src/models/Domain');
+const DomainRule = require('../src/models/DomainRule');
+const domainService = require('../src/services/domainService');
+const screeningService = require('../src/services/screeningService');
+const { FileReputationChecker } = require('../src/services/reputationCheckers');
+const {
+  ConflictError,
+  PrivateAddressError,
+  DestinationBlockedError,
+  ShortenerChainError,
+  SelfReferenceError,
+  MaliciousDestinationError,
+  UnresolvableHostError
+} = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+describe('ScreeningService', () => {
+  let checkers;
+
+  const rule = (domain, list, reason = null) => ({ _id: new mongoose.Types.ObjectId(), domain, list, reason });
+
+  // A reputation checker flagging the entries of the given file content
+  const fileChecker = (text) => {
+    const checker = new FileReputationChecker({ path: 'reputation.txt', reloadIntervalMs: 60 * 1000 });
+    checker.parse(text);
+    checker.checkedAt = Date.now();
+    return checker;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    fakeModel(DomainRule, [
+      rule('example.net', 'block', 'spam campaign'),
+      rule('docs.example.net', 'allow'),
+      rule('tiny.example', 'allow')
+    ]);
+    fakeModel(Domain, [{ _id: new mongoose.Types.ObjectId(), hostname: 'go.example.com', createdAt: new Date() }]);
+    domainService.domains = null;
+    screeningService.lists = null;
+    jest.spyOn(screeningService, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    checkers = screeningService.checkers;
+    screeningService.checkers = [];
+  });
+
+  afterEach(() => {
+    screeningService.checkers = checkers;
+    jest.restoreAllMocks();
+  });
+
+  test('accepts an ordinary public destination', async() => {
+    await expect(screeningService.screen('https://example.com/page')).resolves.toBeUndefined();
+    expect(screeningService.lookup).toHaveBeenCalledWith('example.com', { all: true, verbatim: true });
+  });
+
+  describe('blocklist and allowlist', () => {
+    test('blocks a listed domain and its subdomains with the reason', async() => {
+      await expect(screeningService.screen('https://example.net/'))
+        .rejects.toThrow(new DestinationBlockedError('example.net is blocked: spam campaign'));
+      await expect(screeningService.screen('https://WWW.example.net./offer')).rejects.toThrow(DestinationBlockedError);
+    });
+
+    test('lets an allowlisted subdomain of a blocked domain through', async() => {
+      await expect(screeningService.screen('https://docs.example.net/guide')).resolves.toBeUndefined();
+      await expect(screeningService.screen('https://api.docs.example.net/')).resolves.toBeUndefined();
+    });
+
+    test('keeps the lists loaded until an entry is added', async() => {
+      await screeningService.screen('https://example.com/');
+      await screeningService.screen('https://example.org/');
+      expect(DomainRule.find).toHaveBeenCalledTimes(1);
+
+      await screeningService.addDomain({ domain: 'example.org', list: 'block', reason: null }, { owner: 'admin' });
+
+      await expect(screeningService.screen('https://example.org/')).rejects.toThrow(DestinationBlockedError);
+      expect(DomainRule.find).toHaveBeenCalledTimes(2);
+    });
+
+    test('refuses a domain that is already listed', async() => {
+      DomainRule.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await expect(screeningService.addDomain({ domain: 'example.net', list: 'allow' }, null))
+        .rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('nested short links', () => {
+    test('rejects links to other URL shorteners', async() => {
+      await expect(screeningService.screen('https://bit.ly/abc')).rejects.toThrow(ShortenerChainError);
+      await expect(screeningService.screen('http://www.tinyurl.com/abc'))
+        .rejects.toThrow('tinyurl.com is a URL shortener; link to the final destination instead');
+    });
+
+    test('rejects links back at this service or at one of its domains', async() => {
+      await expect(screeningService.screen(`https://${config.baseHostname}/abc`)).rejects.toThrow(SelfReferenceError);
+      await expect(screeningService.screen('https://go.example.com/abc')).rejects.toThrow(SelfReferenceError);
+    });
+  });
+
+  describe('resolved addresses', () => {
+    test.each([
+      ['a private', '10.0.0.7'],
+      ['the metadata', '169.254.169.254'],
+      ['an IPv6 loopback', '::1']
+    ])('rejects hostnames resolving to %s address', async(name, address) => {
+      screeningService.lookup.mockResolvedValue([
+        { address: '93.184.216.34', family: 4 },
+        { address, family: address.includes(':') ? 6 : 4 }
+      ]);
+
+      await expect(screeningService.screen('https://internal.example.com/'))
+        .rejects.toThrow(new PrivateAddressError('internal.example.com resolves to a private/local address'));
+    });
+
+    test('checks the addresses of allowlisted domains too', async() => {
+      screeningService.lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+      await expect(screeningService.screen('https://docs.example.net/')).rejects.toThrow(PrivateAddressError);
+    });
+
+    test('accepts hosts that do not resolve unless configured to require it', async() => {
+      screeningService.lookup.mockRejectedValue(new Error('getaddrinfo ENOTFOUND not-yet-live.example'));
+
+      await expect(screeningService.screen('https://not-yet-live.example/')).resolves.toBeUndefined();
+
+      jest.replaceProperty(config.screening.dns, 'requireResolvable', true);
+      await expect(screeningService.screen('https://not-yet-live.example/')).rejects.toThrow(UnresolvableHostError);
+    });
+
+    test('does not resolve literal addresses again', async() => {
+      await screeningService.screen('https://93.184.216.34/');
+
+      expect(screeningService.lookup).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reputation checks', () => {
+    test('rejects destinations flagged by a checker with their category', async() => {
+      screeningService.checkers = [fileChecker('phish.example phishing\nhttps://files.example/payload malware')];
+
+      const error = await screeningService.screen('https://login.phish.example/').catch(caught => caught);
+      expect(error).toBeInstanceOf(MaliciousDestinationError);
+      expect(error.extensions).toEqual({ category: 'phishing' });
+
+      await expect(screeningService.screen('https://files.example/payload.exe')).rejects.toThrow(/as malware/);
+      await expect(screeningService.screen('https://files.example/readme')).resolves.toBeUndefined();
+    });
+
+    test('skips a failing checker', async() => {
+      const failing = fileChecker('');
+      jest.spyOn(failing, 'check').mockRejectedValue(new Error('feed unavailable'));
+      screeningService.checkers = [failing, fileChecker('phish.example')];
+
+      await expect(screeningService.screen('https://phish.example/')).rejects.toThrow(MaliciousDestinationError);
+      expect(console.warn).toHaveBeenCalledWith('[ScreeningService] file reputation check failed:', 'feed unavailable');
+    });
+
+    test('are skipped for allowlisted domains', async() => {
+      screeningService.checkers = [fileChecker('tiny.example')];
+
+      await expect(screeningService.screen('https://tiny.example/')).resolves.toBeUndefined();
+    });
+  });
+
+  test('names the rule or variant whose destination was rejected', async() => {
+    const link = {
+      originalUrl: 'https://example.com/',
+      rules: [{ destination: 'https://example.org/' }],
+      variants: [{ url: 'https://example.com/a' }, { url: 'https://bit.ly/b' }]
+    };
+
+    await expect(screeningService.screenLink(link)).rejects.toThrow(/^Variant 1: url: bit\.ly is a URL shortener/);
+    await expect(screeningService.screenLink({ rules: [{ destination: 'https://example.net/' }] }))
+      .rejects.toThrow('Rule 0: destination: example.net is blocked: spam campaign');
+  });
+});
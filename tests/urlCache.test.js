@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Url = require('../src/models/Url');
+const urlCache = require('../src/services/urlCache');
+const { MemoryStore, RedisStore } = require('../src/services/cacheStores');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('URL cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MemoryStore', () => {
+    test('returns independent copies of the stored values', async() => {
+      const store = new MemoryStore({ maxEntries: 10 });
+      const value = { tags: ['a'] };
+
+      await store.set('key', value, 1000);
+      value.tags.push('b');
+      (await store.get('key')).tags.push('c');
+
+      expect(await store.get('key')).toEqual({ tags: ['a'] });
+    });
+
+    test('expires entries after their TTL', async() => {
+      const store = new MemoryStore({ maxEntries: 10 });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+      await store.set('key', 1, 500);
+      now.mockReturnValue(1499);
+      expect(await store.get('key')).toBe(1);
+      now.mockReturnValue(1500);
+      expect(await store.get('key')).toBeNull();
+    });
+
+    test('evicts the least recently used entry when full', async() => {
+      const store = new MemoryStore({ maxEntries: 2 });
+
+      await store.set('a', 1, 1000);
+      await store.set('b', 2, 1000);
+      await store.get('a');
+      await store.set('c', 3, 1000);
+
+      expect(await store.get('a')).toBe(1);
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('c')).toBe(3);
+    });
+  });
+
+  describe('RedisStore', () => {
+    const connectedStore = (client) => {
+      const store = new RedisStore({ url: 'redis://localhost:6379', keyPrefix: 'url:' });
+      store.client = { isReady: true, ...client };
+      return store;
+    };
+
+    test('prefixes keys and stores JSON with a TTL', async() => {
+      const set = jest.fn().mockResolvedValue('OK');
+      const store = connectedStore({ set, get: jest.fn().mockResolvedValue('{"a":1}') });
+
+      await store.set('go.example.com/abc', { a: 1 }, 5000);
+
+      expect(set).toHaveBeenCalledWith('url:go.example.com/abc', '{"a":1}', { PX: 5000 });
+      expect(await store.get('abc')).toEqual({ a: 1 });
+    });
+
+    test('treats a missing connection or a failing command as a miss', async() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const store = connectedStore({ get: jest.fn().mockRejectedValue(new Error('socket closed')) });
+
+      expect(await store.get('abc')).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('[RedisStore] Cache read failed:', 'socket closed');
+
+      store.client.isReady = false;
+      expect(await store.get('abc')).toBeNull();
+      await expect(store.ping()).rejects.toThrow('Redis is not connected');
+    });
+  });
+
+  describe('urlCache', () => {
+    let link;
+    let urls;
+
+    beforeEach(() => {
+      link = {
+        _id: new mongoose.Types.ObjectId(),
+        shortcode: 'cached1',
+        domain: null,
+        originalUrl: 'https://example.com/',
+        createdAt: new Date(),
+        expiryAt: new Date(Date.now() + HOUR_MS),
+        clickCount: 0
+      };
+      urls = fakeModel(Url, [link, { ...link, _id: new mongoose.Types.ObjectId(), domain: 'go.example.com' }]);
+
+      urlCache.enabled = true;
+      urlCache.store = new MemoryStore({ maxEntries: 10 });
+    });
+
+    test('reads each link from the database once and serves usable documents after that', async() => {
+      await urlCache.findByShortcode('cached1');
+      const cached = await urlCache.findByShortcode('cached1');
+
+      expect(Url.findOne).toHaveBeenCalledTimes(1);
+      expect(cached).toBeInstanceOf(Url);
+      expect(cached.isExpired()).toBe(false);
+      expect(String(cached._id)).toBe(String(link._id));
+    });
+
+    test('keeps links of different domains apart', async() => {
+      const own = await urlCache.findByShortcode('cached1');
+      const branded = await urlCache.findByShortcode('cached1', 'go.example.com');
+
+      expect(branded.domain).toBe('go.example.com');
+      expect(own.domain).toBeNull();
+      expect(Url.findOne).toHaveBeenCalledTimes(2);
+    });
+
+    test('reads the link again after it was invalidated', async() => {
+      await urlCache.findByShortcode('cached1');
+      urls.docs[0].originalUrl = 'https://example.org/changed';
+      await urlCache.invalidate('cached1');
+
+      expect((await urlCache.findByShortcode('cached1')).originalUrl).toBe('https://example.org/changed');
+    });
+
+    test('does not cache a link past its expiry', async() => {
+      jest.spyOn(urlCache.store, 'set');
+      urls.docs[0].expiryAt = new Date(Date.now() + 1000);
+
+      await urlCache.findByShortcode('cached1');
+
+      expect(urlCache.store.set.mock.calls[0][2]).toBeLessThanOrEqual(1000);
+    });
+
+    test('does not cache unknown shortcodes', async() => {
+      expect(await urlCache.findByShortcode('missing')).toBeNull();
+      expect(await urlCache.findByShortcode('missing')).toBeNull();
+
+      expect(Url.findOne).toHaveBeenCalledTimes(2);
+    });
+  });
+});
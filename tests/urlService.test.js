@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const Domain = require('../src/models/Domain');
+const DomainRule = require('../src/models/DomainRule');
+const urlService = require('../src/services/urlService');
+const redirectService = require('../src/services/redirectService');
+const clickWriter = require('../src/services/clickWriter');
+const urlCache = require('../src/services/urlCache');
+const domainService = require('../src/services/domainService');
+const screeningService = require('../src/services/screeningService');
+const ValidationService = require('../src/utils/validation');
+const PasswordHasher = require('../src/utils/password');
+const { InvalidRequestError, ShortenerChainError } = require('../src/utils/errors');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const link = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  shortcode: 'reused1',
+  domain: null,
+  originalUrl: 'https://example.com/',
+  createdAt: new Date(),
+  expiryAt: new Date(Date.now() + HOUR_MS),
+  clickCount: 0,
+  maxClicks: null,
+  owner: 'alice',
+  ...fields
+});
+
+const storedClick = (domain) => ({
+  _id: new mongoose.Types.ObjectId(),
+  shortcode: 'reused1',
+  domain,
+  ip: '203.0.113.7'
+});
+
+describe('urlService', () => {
+  let urls;
+  let clicks;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    urls = fakeModel(Url);
+    clicks = fakeModel(Click);
+    clickWriter.queue = new MemoryClickQueue();
+    clickWriter.retryAttempt = 0;
+    clickWriter.retryAt = 0;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateShortUrl', () => {
+    let stored;
+
+    const update = body => urlService.updateShortUrl(
+      Url.hydrate({ ...stored }),
+      ValidationService.validateUrlUpdate(body).changes
+    );
+
+    beforeEach(() => {
+      fakeModel(Domain);
+      fakeModel(DomainRule);
+      domainService.domains = null;
+      screeningService.lists = null;
+      jest.spyOn(screeningService, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      jest.spyOn(urlCache, 'invalidate');
+
+      stored = link({ passwordHash: 'old-hash', maxClicks: 10 });
+      urls.docs.push(stored);
+    });
+
+    test('saves the new destination and password and drops the cached link', async() => {
+      await update({ url: 'https://example.org/new', password: 'n3w-secret' });
+
+      expect(urls.docs[0].originalUrl).toBe('https://example.org/new');
+      expect(await PasswordHasher.verify('n3w-secret', urls.docs[0].passwordHash)).toBe(true);
+      expect(urlCache.invalidate).toHaveBeenCalledWith('reused1', null);
+    });
+
+    test('removes the password and the click limit when they are set to null', async() => {
+      await update({ password: null, maxClicks: null, active: false });
+
+      expect(urls.docs[0]).toMatchObject({ passwordHash: null, maxClicks: null, isActive: false });
+    });
+
+    test('screens the new destination and keeps the link unchanged when it is rejected', async() => {
+      await expect(update({ url: 'https://bit.ly/abc' })).rejects.toThrow(ShortenerChainError);
+
+      expect(urls.docs[0].originalUrl).toBe('https://example.com/');
+      expect(urlCache.invalidate).not.toHaveBeenCalled();
+    });
+
+    test('counts a new validity from now', () => {
+      const { changes } = ValidationService.validateUrlUpdate({ validity: 60 });
+
+      expect(changes.expiryAt.getTime() - Date.now()).toBeGreaterThan(59 * 60 * 1000);
+      expect(changes.expiryAt.getTime() - Date.now()).toBeLessThanOrEqual(HOUR_MS);
+    });
+
+    test.each([
+      [{}],
+      [{ owner: 'bob' }],
+      [{ validity: null }],
+      [{ active: 'yes' }],
+      [{ redirectStatus: null }]
+    ])('rejects the update %j', (body) => {
+      expect(() => ValidationService.validateUrlUpdate(body)).toThrow(InvalidRequestError);
+    });
+  });
+
+  describe('deleteShortUrl', () => {
+    test('deletes the link and its stored clicks', async() => {
+      const deleted = link();
+      urls.docs.push(deleted);
+      clicks.docs.push(storedClick(null), storedClick('go.example.com'));
+
+      expect(await urlService.deleteShortUrl(Url.hydrate(deleted))).toBe(1);
+
+      expect(urls.docs).toHaveLength(0);
+      expect(clicks.docs.map(doc => doc.domain)).toEqual(['go.example.com']);
+    });
+
+    test('does not carry queued clicks over to a new link with the same shortcode', async() => {
+      const deleted = link();
+      urls.docs.push(deleted);
+      const discardedBefore = clickWriter.getMetrics().discarded;
+      await redirectService.recordClick(Url.hydrate(deleted), { ip: '203.0.113.7', ts: new Date() });
+
+      await urlService.deleteShortUrl(Url.hydrate(deleted));
+      const reused = link();
+      urls.docs.push(reused);
+
+      await clickWriter.flush();
+
+      expect(clickWriter.queue.size()).toBe(0);
+      expect(clickWriter.getMetrics().discarded).toBe(discardedBefore + 1);
+      expect(clicks.docs).toHaveLength(0);
+      expect(urls.docs[0].clickCount).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/server');
+const config = require('../src/config');
+const Url = require('../src/models/Url');
+const Click = require('../src/models/Click');
+const Domain = require('../src/models/Domain');
+const redirectService = require('../src/services/redirectService');
+const clickWriter = require('../src/services/clickWriter');
+const ValidationService = require('../src/utils/validation');
+const { MemoryClickQueue } = require('../src/services/clickQueueStores');
+const { InvalidRequestError } = require('../src/utils/errors');
+const { fakeModel } = require('./helpers/fakeModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const VARIANTS = [
+  { name: 'control', url: 'https://example.com/a', weight: 1 },
+  { name: 'new', url: 'https://example.com/b', weight: 3 }
+];
+
+describe('A/B variants', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pickVariant', () => {
+    test('always puts the same visitor of a link into the same variant', () => {
+      const first = redirectService.pickVariant(VARIANTS, 'split01:visitor-1');
+
+      for (let i = 0; i < 10; i++) {
+        expect(redirectService.pickVariant(VARIANTS, 'split01:visitor-1')).toBe(first);
+      }
+    });
+
+    test('splits traffic by weight', () => {
+      const counts = { control: 0, new: 0 };
+      for (let i = 0; i < 10000; i++) {
+        counts[redirectService.pickVariant(VARIANTS, `split01:visitor-${i}`).name]++;
+      }
+
+      expect(counts.control / 10000).toBeCloseTo(0.25, 1);
+      expect(counts.new / 10000).toBeCloseTo(0.75, 1);
+    });
+
+    test('buckets visitors independently per link', () => {
+      const even = VARIANTS.map(variant => ({ ...variant, weight: 1 }));
+      const pick = seed => redirectService.pickVariant(even, seed);
+      const differing = Array.from({ length: 200 }, (item, i) => i)
+        .filter(i => pick(`linkA:visitor-${i}`) !== pick(`linkB:visitor-${i}`));
+
+      expect(differing.length).toBeGreaterThan(50);
+      expect(differing.length).toBeLessThan(150);
+    });
+  });
+
+  describe('redirects', () => {
+    let clicks;
+
+    const visit = (cookie, ip = '198.51.100.7') => {
+      const req = request(app).get('/split01').set('X-Forwarded-For', ip);
+      return cookie ? req.set('Cookie', cookie) : req;
+    };
+
+    beforeAll(() => {
+      app.set('trust proxy', true);
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      fakeModel(Url, [{
+        _id: new mongoose.Types.ObjectId(),
+        shortcode: 'split01',
+        domain: null,
+        originalUrl: 'https://example.com/',
+        createdAt: new Date(),
+        expiryAt: new Date(Date.now() + HOUR_MS),
+        clickCount: 0,
+        variants: VARIANTS
+      }]);
+      clicks = fakeModel(Click);
+      fakeModel(Domain);
+      clickWriter.queue = new MemoryClickQueue();
+    });
+
+    test('keeps a visitor on their variant with the visitor cookie and records it', async() => {
+      const first = await visit().expect(302);
+      const cookie = first.headers['set-cookie'][0].split(';')[0];
+      expect(cookie).toMatch(new RegExp(`^${config.variants.cookieName}=[a-f0-9]{32}$`));
+
+      // From another network, the cookie still decides
+      const second = await visit(cookie, '203.0.113.99').expect(302);
+      expect(second.headers.location).toBe(first.headers.location);
+      expect(second.headers['set-cookie']).toBeUndefined();
+
+      await clickWriter.flush();
+      const variant = VARIANTS.find(entry => entry.url === first.headers.location).name;
+      expect(clicks.docs.map(doc => doc.variant)).toEqual([variant, variant]);
+    });
+
+    test('ignores a malformed visitor cookie', async() => {
+      const { headers } = await visit(`${config.variants.cookieName}=not-a-visitor-id`).expect(302);
+
+      expect(headers['set-cookie'][0]).toMatch(/^sl_vid=[a-f0-9]{32};/);
+    });
+  });
+
+  describe('validateVariants', () => {
+    test.each([
+      [[VARIANTS[0]]],
+      [[VARIANTS[0], { ...VARIANTS[1], name: 'control' }]],
+      [[VARIANTS[0], { ...VARIANTS[1], weight: 0 }]],
+      [[VARIANTS[0], { ...VARIANTS[1], weight: 1.5 }]],
+      [[VARIANTS[0], { ...VARIANTS[1], name: 'with space' }]]
+    ])('rejects %j', (variants) => {
+      expect(() => ValidationService.validateVariants(variants)).toThrow(InvalidRequestError);
+    });
+  });
+});
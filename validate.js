@@ -23,9 +23,9 @@ const checks = [
     check: () => fs.existsSync('.env.example') && fs.existsSync('src/config/index.js')
   },
   {
-    name: 'Database models with TTL index',
-    check: () => fs.existsSync('src/models/Url.js') && 
-                 fs.readFileSync('src/models/Url.js', 'utf8').includes('expireAfterSeconds')
+    name: 'Database models with expiry retention',
+    check: () => fs.existsSync('src/models/Url.js') &&
+                 fs.existsSync('src/services/retentionService.js')
   },
   {
     name: 'Logging client with AffordMed integration',